@@ -0,0 +1,157 @@
+(function () {
+  // Product details fetched from retailer listing pages, kept in
+  // chrome.storage.local so re-opening a modal does not download the pages again.
+  const STORAGE_KEY = "ff_product_cache";
+
+  const HOUR_MS = 60 * 60 * 1000;
+  const DAY_MS = 24 * HOUR_MS;
+
+  // How long each field is fresh. Prices and stock move daily; images and titles hardly ever.
+  const DEFAULT_TTLS = {
+    title: 7 * DAY_MS,
+    imageUrl: 7 * DAY_MS,
+    rating: DAY_MS,
+    reviewCount: DAY_MS,
+    primeEligible: DAY_MS,
+    priceText: 6 * HOUR_MS,
+    unitPriceText: 6 * HOUR_MS,
+    availability: 6 * HOUR_MS
+  };
+  const DEFAULT_TTL_MS = DAY_MS;
+
+  // Past its TTL a value is still returned (and refreshed in the background)
+  // until it is this old; after that the caller waits for a new download.
+  const MAX_STALE_MS = 30 * DAY_MS;
+
+  // Least recently used products are dropped past this many entries.
+  const MAX_ENTRIES = 500;
+
+  /**
+   * Creates a cache of product fields keyed by product (e.g. "us:B00BWQ7W5A").
+   *
+   * `fetchFields(productUrl)` downloads the listing and resolves to every field
+   * it can read ({ imageUrl, priceText, ... }), or null when the page could not
+   * be loaded. Failed downloads are not cached.
+   *
+   * Concurrent requests for the same key share one download.
+   */
+  function createProductCache({
+    storage,
+    fetchFields,
+    ttls = DEFAULT_TTLS,
+    maxStaleMs = MAX_STALE_MS,
+    maxEntries = MAX_ENTRIES,
+    now = () => Date.now()
+  }) {
+    let entriesPromise = null;
+    const inFlight = new Map();
+
+    function loadEntries() {
+      if (!entriesPromise) {
+        entriesPromise = new Promise((resolve) => {
+          try {
+            storage.get([STORAGE_KEY], (items) => {
+              const stored = items?.[STORAGE_KEY];
+              resolve(stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {});
+            });
+          } catch {
+            resolve({});
+          }
+        });
+      }
+      return entriesPromise;
+    }
+
+    function saveEntries(entries) {
+      return new Promise((resolve) => {
+        try {
+          storage.set({ [STORAGE_KEY]: entries }, () => resolve());
+        } catch {
+          resolve();
+        }
+      });
+    }
+
+    function pruneEntries(entries) {
+      const keys = Object.keys(entries);
+      if (keys.length <= maxEntries) return;
+      keys
+        .sort((a, b) => (entries[a].usedAt || 0) - (entries[b].usedAt || 0))
+        .slice(0, keys.length - maxEntries)
+        .forEach((key) => delete entries[key]);
+    }
+
+    function refresh(key, productUrl) {
+      if (inFlight.has(key)) return inFlight.get(key);
+
+      const request = Promise.resolve()
+        .then(() => fetchFields(productUrl))
+        .then(async (fields) => {
+          if (!fields) return;
+          const entries = await loadEntries();
+          const fetchedAt = now();
+          const entry = entries[key] || { fields: {} };
+          for (const [name, value] of Object.entries(fields)) {
+            entry.fields[name] = { value: value ?? null, fetchedAt };
+          }
+          entry.usedAt = fetchedAt;
+          entries[key] = entry;
+          pruneEntries(entries);
+          await saveEntries(entries);
+        })
+        .catch((err) => {
+          console.warn("FairFindz: product cache refresh failed", productUrl, err?.message || err);
+        })
+        .finally(() => inFlight.delete(key));
+
+      inFlight.set(key, request);
+      return request;
+    }
+
+    /**
+     * Resolves to { [name]: { value, fetchedAt } } for `fieldNames`: the value
+     * and the time it was downloaded, both null for fields the listing does not
+     * have or that could not be fetched. A stale value keeps its old fetchedAt.
+     */
+    async function getFields(key, productUrl, fieldNames) {
+      const entries = await loadEntries();
+      const ageOf = (name) => {
+        const field = entries[key]?.fields?.[name];
+        return field ? now() - field.fetchedAt : Infinity;
+      };
+
+      if (fieldNames.some((name) => ageOf(name) > maxStaleMs)) {
+        await refresh(key, productUrl);
+      } else if (fieldNames.some((name) => ageOf(name) > (ttls[name] ?? DEFAULT_TTL_MS))) {
+        refresh(key, productUrl);
+      }
+
+      const entry = entries[key];
+      if (entry) entry.usedAt = now();
+      return Object.fromEntries(
+        fieldNames.map((name) => {
+          const field = entry?.fields?.[name];
+          return [name, { value: field?.value ?? null, fetchedAt: field?.fetchedAt ?? null }];
+        })
+      );
+    }
+
+    /**
+     * Resolves to { [name]: value } for `fieldNames`, with null for fields the
+     * listing does not have or that could not be fetched.
+     */
+    async function get(key, productUrl, fieldNames) {
+      const fields = await getFields(key, productUrl, fieldNames);
+      return Object.fromEntries(fieldNames.map((name) => [name, fields[name].value]));
+    }
+
+    return { get, getFields, refresh };
+  }
+
+  globalThis.FairFindzProductCache = {
+    STORAGE_KEY,
+    DEFAULT_TTLS,
+    MAX_STALE_MS,
+    createProductCache
+  };
+})();
@@ -0,0 +1,202 @@
+(function () {
+  // Listing downloads from the service worker go through one scheduler, so a
+  // few modals opening at once do not burst credentialed requests at the
+  // retailer, and the worker backs off when the retailer pushes back.
+  const STORAGE_KEY = "ff_request_breaker";
+
+  const SECOND_MS = 1000;
+  const MINUTE_MS = 60 * SECOND_MS;
+
+  const DEFAULT_OPTIONS = {
+    // Requests in flight per host, and the gap between two request starts.
+    maxConcurrentPerHost: 2,
+    minIntervalMs: 500,
+    // 429 and 503 answers are retried this many times, waiting
+    // baseBackoffMs, then twice that, and so on (or the Retry-After header).
+    maxRetries: 3,
+    baseBackoffMs: 2 * SECOND_MS,
+    maxBackoffMs: MINUTE_MS,
+    // This many pushbacks in a row (429, 503 or a robot check page) pause the
+    // host for breakerCooldownMs. After the pause one more pushback is enough
+    // to pause it again.
+    breakerThreshold: 3,
+    breakerCooldownMs: 15 * MINUTE_MS
+  };
+
+  const RETRY_STATUSES = new Set([429, 503]);
+
+  function getRetryAfterMs(res, nowMs) {
+    const raw = res?.headers?.get?.("Retry-After");
+    if (!raw) return null;
+    const seconds = Number(raw);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * SECOND_MS);
+    const date = Date.parse(raw);
+    return Number.isFinite(date) ? Math.max(0, date - nowMs) : null;
+  }
+
+  /**
+   * Creates a scheduler whose `request(url, init)` downloads a page and
+   * resolves to { res, html, blocked, paused }:
+   * - `html` is the body of a 2xx answer, null otherwise;
+   * - `blocked` is true when `isBlocked(url, html)` recognizes a bot check page;
+   * - `paused` is true (with no download) while the host's breaker is open.
+   *
+   * Network errors reject as they would with fetch. The open breakers are kept
+   * in `storage` (chrome.storage.local) so a restarted worker stays paused.
+   */
+  function createRequestScheduler({
+    fetch: fetchPage,
+    isBlocked = () => false,
+    storage = null,
+    now = () => Date.now(),
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    ...options
+  }) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const hosts = new Map();
+    let breakersPromise = null;
+
+    function getHost(name) {
+      if (!hosts.has(name)) hosts.set(name, { active: 0, waiting: [], nextStartAt: 0, pushbacks: 0 });
+      return hosts.get(name);
+    }
+
+    // { [host]: pausedUntil }
+    function loadBreakers() {
+      if (!breakersPromise) {
+        breakersPromise = new Promise((resolve) => {
+          if (!storage) {
+            resolve({});
+            return;
+          }
+          try {
+            storage.get([STORAGE_KEY], (items) => {
+              const stored = items?.[STORAGE_KEY];
+              resolve(stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {});
+            });
+          } catch {
+            resolve({});
+          }
+        });
+      }
+      return breakersPromise;
+    }
+
+    function saveBreakers(breakers) {
+      return new Promise((resolve) => {
+        if (!storage) {
+          resolve();
+          return;
+        }
+        try {
+          storage.set({ [STORAGE_KEY]: breakers }, () => resolve());
+        } catch {
+          resolve();
+        }
+      });
+    }
+
+    async function isPaused(hostName) {
+      const breakers = await loadBreakers();
+      const pausedUntil = breakers[hostName];
+      if (!pausedUntil) return false;
+      if (pausedUntil > now()) return true;
+
+      // The pause is over: let requests through, but pause again on the next pushback.
+      delete breakers[hostName];
+      getHost(hostName).pushbacks = settings.breakerThreshold - 1;
+      await saveBreakers(breakers);
+      return false;
+    }
+
+    async function recordPushback(hostName, reason) {
+      const host = getHost(hostName);
+      host.pushbacks += 1;
+      if (host.pushbacks < settings.breakerThreshold) return;
+
+      host.pushbacks = 0;
+      const breakers = await loadBreakers();
+      breakers[hostName] = now() + settings.breakerCooldownMs;
+      await saveBreakers(breakers);
+      console.warn("FairFindz: pausing listing requests after retailer pushback", {
+        host: hostName,
+        reason,
+        minutes: settings.breakerCooldownMs / MINUTE_MS
+      });
+    }
+
+    function acquire(host) {
+      return new Promise((resolve) => {
+        host.waiting.push(resolve);
+        startWaiting(host);
+      });
+    }
+
+    function startWaiting(host) {
+      while (host.active < settings.maxConcurrentPerHost && host.waiting.length) {
+        host.active += 1;
+        host.waiting.shift()();
+      }
+    }
+
+    function release(host) {
+      host.active -= 1;
+      startWaiting(host);
+    }
+
+    // Reserves the host's next start time and waits for it.
+    async function waitTurn(host) {
+      const startAt = Math.max(now(), host.nextStartAt);
+      host.nextStartAt = startAt + settings.minIntervalMs;
+      if (startAt > now()) await sleep(startAt - now());
+    }
+
+    async function request(url, init) {
+      const hostName = new URL(url).host;
+      const host = getHost(hostName);
+      const paused = { res: null, html: null, blocked: false, paused: true };
+      if (await isPaused(hostName)) return paused;
+
+      await acquire(host);
+      try {
+        for (let attempt = 0; ; attempt += 1) {
+          if (await isPaused(hostName)) return paused;
+          await waitTurn(host);
+
+          const res = await fetchPage(url, init);
+          const html = res.ok ? await res.text() : null;
+
+          if (RETRY_STATUSES.has(res.status)) {
+            await recordPushback(hostName, res.status);
+            if (attempt >= settings.maxRetries) return { res, html, blocked: false, paused: false };
+            const delay = Math.min(
+              settings.maxBackoffMs,
+              getRetryAfterMs(res, now()) ?? settings.baseBackoffMs * 2 ** attempt
+            );
+            host.nextStartAt = Math.max(host.nextStartAt, now() + delay);
+            continue;
+          }
+
+          if (html != null && isBlocked(url, html)) {
+            // Retrying a bot check only makes it stricter.
+            await recordPushback(hostName, "robot check");
+            return { res, html, blocked: true, paused: false };
+          }
+
+          host.pushbacks = 0;
+          return { res, html, blocked: false, paused: false };
+        }
+      } finally {
+        release(host);
+      }
+    }
+
+    return { request };
+  }
+
+  globalThis.FairFindzRequestScheduler = {
+    STORAGE_KEY,
+    DEFAULT_OPTIONS,
+    createRequestScheduler
+  };
+})();
@@ -0,0 +1,1037 @@
+(function () {
+  const Storefronts = globalThis.FairFindzStorefronts;
+  const PRICE_SOURCE = Storefronts.PRICE_PATTERN_SOURCE;
+
+  const ASIN_RE = /^[A-Z0-9]{10}$/;
+
+  /**
+   * Reads an ASIN out of an Amazon URL or path:
+   * - /dp/B012345678
+   * - /gp/product/B012345678
+   * - ?asin=B012345678
+   */
+  function extractAsin(url) {
+    if (!url) return null;
+    const s = String(url);
+
+    const dp = s.match(/\/dp\/([A-Z0-9]{10})(?:[/?]|$)/i);
+    if (dp?.[1]) return dp[1].toUpperCase();
+
+    const gp = s.match(/\/gp\/product\/([A-Z0-9]{10})(?:[/?]|$)/i);
+    if (gp?.[1]) return gp[1].toUpperCase();
+
+    const q = s.match(/[?&]asin=([A-Z0-9]{10})(?:&|$)/i);
+    if (q?.[1]) return q[1].toUpperCase();
+
+    return null;
+  }
+
+  function getSearchQuery(url) {
+    // `k`, or `field-keywords` on older links.
+    return (url.searchParams.get("k") || url.searchParams.get("field-keywords") || "").trim();
+  }
+
+  /**
+   * Amazon product pages commonly look like:
+   * - https://www.amazon.com/dp/B08N5WRWNW
+   * - https://www.amazon.com/gp/product/B08N5WRWNW
+   * - https://www.amazon.com/Some-Product-Name/dp/B08N5WRWNW
+   */
+  function isProductPath(path) {
+    // Explicitly exclude common non-product areas so we don't accidentally match.
+    // (This list isn't exhaustive, but covers the main ones.)
+    const excludedPrefixes = [
+      "/s", // search results
+      "/gp/cart", // cart
+      "/cart", // cart (sometimes appears)
+      "/gp/buy", // checkout flow
+      "/checkout" // checkout
+    ];
+
+    // Home page: "/"
+    if (path === "/") return false;
+    if (excludedPrefixes.some((prefix) => path.startsWith(prefix))) return false;
+
+    // Product pages include an ASIN (10 characters, letters/numbers) after /dp/,
+    // /gp/product/ or the mobile /gp/aw/d/.
+    return (
+      /\/dp\/([A-Z0-9]{10})(?:[/?]|$)/i.test(path) ||
+      /\/gp\/product\/([A-Z0-9]{10})(?:[/?]|$)/i.test(path) ||
+      /\/gp\/aw\/d\/([A-Z0-9]{10})(?:[/?]|$)/i.test(path)
+    );
+  }
+
+  // "Your Orders": /your-orders/orders, or the older /gp/css/order-history and
+  // /gp/your-account/order-history.
+  function isOrderHistoryPath(path) {
+    return /^\/(?:your-orders\/orders|gp\/css\/order-history|gp\/your-account\/order-history)(?:[/?]|$)/.test(path);
+  }
+
+  // Wishlists (/hz/wishlist/ls/<id>) and gift registries (/registries/..., /wedding/registry/...,
+  // /baby-reg/...).
+  function isListPath(path) {
+    return (
+      /^\/hz\/wishlist\/(?:ls|genericItemsPage)(?:[/?]|$)/.test(path) ||
+      /^\/(?:registries|wedding\/registry|wedding\/share|baby-reg)\/./.test(path)
+    );
+  }
+
+  // Subscribe & Save management: /auto-deliveries/subscriptionList, or the older
+  // /gp/subscribe-and-save/manager/viewsubscriptions.
+  function isSubscriptionsPath(path) {
+    return /^\/(?:auto-deliveries|gp\/subscribe-and-save\/manager)(?:[/?]|$)/.test(path);
+  }
+
+  function getPageType(url) {
+    const path = url.pathname;
+    if (/^\/(?:gp\/)?cart(?:\/|$)/.test(path)) return "cart";
+    if (isOrderHistoryPath(path)) return "orders";
+    if (isListPath(path)) return "list";
+    if (isSubscriptionsPath(path)) return "subscriptions";
+    // https://www.amazon.com/s?k=coffee, /s/ref=nb_sb_noss?field-keywords=coffee
+    if (/^\/s(?:\/|$)/.test(path)) return getSearchQuery(url) ? "search" : null;
+    return isProductPath(path) ? "product" : null;
+  }
+
+  function textFrom(root, selector) {
+    const el = root.querySelector(selector);
+    return el?.textContent ? el.textContent.trim() : "";
+  }
+
+  const SUBSCRIPTION_OFFER_SELECTOR = [
+    "#snsAccordionRowMiddle",
+    "#snsAccordionRowOuter",
+    "#sns-base-price",
+    'input[name="submit.add-to-cart-sns"]'
+  ].join(", ");
+
+  function extractProduct(document, url) {
+    const title =
+      textFrom(document, "#productTitle") ||
+      textFrom(document, "h1#title") ||
+      textFrom(document, "h1") ||
+      document.title.replace(/\s*:\s*Amazon\.[a-z.]+\s*$/i, "").trim();
+
+    const breadcrumbs =
+      textFrom(document, "#wayfinding-breadcrumbs_feature_div") ||
+      textFrom(document, "#wayfinding-breadcrumbs_container") ||
+      textFrom(document, ".a-breadcrumb") ||
+      "";
+
+    const priceText =
+      textFrom(document, "#corePriceDisplay_desktop_feature_div .a-price .a-offscreen") ||
+      textFrom(document, "#corePrice_feature_div .a-price .a-offscreen") ||
+      textFrom(document, "#priceblock_ourprice") ||
+      textFrom(document, "#priceblock_dealprice") ||
+      "";
+
+    // Byline reads "Visit the Starbucks Store" or "Brand: Starbucks".
+    const bylineText = textFrom(document, "#bylineInfo");
+    const brand =
+      bylineText.match(/^visit the\s+(.+?)\s+store$/i)?.[1] ||
+      bylineText.match(/^brand:\s*(.+)$/i)?.[1] ||
+      "";
+
+    const itemId =
+      extractAsin(url.href) ||
+      (document.querySelector("input#ASIN")?.value || "").trim().toUpperCase() ||
+      null;
+
+    return {
+      itemId,
+      title,
+      brand,
+      breadcrumbs,
+      features: textFrom(document, "#feature-bullets"),
+      description: textFrom(document, "#productDescription"),
+      priceText,
+      // The buy box has a "Subscribe & Save" option next to "One-time purchase".
+      subscriptionOffered: Boolean(document.querySelector(SUBSCRIPTION_OFFER_SELECTOR))
+    };
+  }
+
+  /** Organic and sponsored result tiles on a search results page. */
+  function extractSearchResults(document) {
+    const tiles = [];
+    document.querySelectorAll('[data-component-type="s-search-result"][data-asin]').forEach((element) => {
+      const itemId = (element.getAttribute("data-asin") || "").trim().toUpperCase();
+      if (!ASIN_RE.test(itemId)) return;
+
+      const title = element.querySelector("h2")?.textContent || "";
+      if (!title.trim()) return;
+
+      // Skip struck-through list prices; the first remaining price is what the shopper pays.
+      const priceText =
+        element.querySelector(".a-price:not([data-a-strike]) .a-offscreen")?.textContent ||
+        element.querySelector(".a-price .a-offscreen")?.textContent ||
+        "";
+
+      tiles.push({ element, itemId, title, priceText });
+    });
+    return tiles;
+  }
+
+  /** Line items of the active cart (not "Saved for later"). */
+  function extractCartItems(document, url) {
+    const activeCart = document.querySelector("#sc-active-cart") || document;
+    const items = [];
+
+    activeCart.querySelectorAll(".sc-list-item[data-asin]").forEach((element) => {
+      if (element.closest("#sc-saved-cart") || element.getAttribute("data-removed") === "true") return;
+
+      const itemId = (element.getAttribute("data-asin") || "").trim().toUpperCase();
+      if (!ASIN_RE.test(itemId)) return;
+
+      const title =
+        element.querySelector(".sc-product-title .a-truncate-full")?.textContent ||
+        element.querySelector(".sc-product-title")?.textContent ||
+        "";
+      if (!title.trim()) return;
+
+      // data-price is a plain number ("17.98"); fall back to the rendered price.
+      const dataPrice = Number(element.getAttribute("data-price"));
+      const priceText =
+        Number.isFinite(dataPrice) && dataPrice > 0
+          ? Storefronts.formatPrice(dataPrice, getStorefront(url))
+          : element.querySelector(".sc-product-price")?.textContent || "";
+
+      const quantityValue =
+        element.getAttribute("data-quantity") ||
+        element.querySelector('select[name="quantity"]')?.value ||
+        element.querySelector('input[name="quantityBox"]')?.value ||
+        "1";
+
+      items.push({ element, itemId, title, priceText, quantity: Math.max(1, Number.parseInt(quantityValue, 10) || 1) });
+    });
+
+    return items;
+  }
+
+  /**
+   * Active subscriptions on the Subscribe & Save page:
+   * [{ element, itemId, title, priceText, frequency }]. Cancelled and paused
+   * subscriptions are left out.
+   */
+  function extractSubscriptions(document) {
+    const items = [];
+    document.querySelectorAll(".subscription-card[data-asin]").forEach((element) => {
+      const status = (element.getAttribute("data-subscription-status") || "active").toLowerCase();
+      if (status !== "active") return;
+
+      const itemId = (element.getAttribute("data-asin") || "").trim().toUpperCase();
+      const title = textFrom(element, ".subscription-card__title").replace(/\s+/g, " ");
+      if (!ASIN_RE.test(itemId) || !title) return;
+
+      items.push({
+        element,
+        itemId,
+        title,
+        priceText: textFrom(element, ".subscription-card__price .a-offscreen") || textFrom(element, ".subscription-card__price"),
+        frequency: textFrom(element, ".subscription-card__frequency").replace(/\s+/g, " ")
+      });
+    });
+    return items;
+  }
+
+  /**
+   * Items on a wishlist or registry page: [{ element, itemId, title, priceText }].
+   * Wishlist rows carry the ASIN in data-reposition-action-params; registry
+   * cards in data-asin.
+   */
+  function extractListItems(document, url) {
+    const items = [];
+
+    document.querySelectorAll("#g-items li[data-itemid], li.g-item-sortable[data-itemid]").forEach((element) => {
+      const params = element.getAttribute("data-reposition-action-params") || "";
+      const nameLink = element.querySelector('a[id^="itemName_"]');
+      const itemId = params.match(/ASIN:([A-Z0-9]{10})/)?.[1] || extractAsin(nameLink?.getAttribute("href"));
+      const title = (nameLink?.getAttribute("title") || nameLink?.textContent || "").replace(/\s+/g, " ").trim();
+      if (!itemId || !title) return;
+
+      // data-price is "-Infinity" for unavailable items.
+      const dataPrice = Number(element.getAttribute("data-price"));
+      const priceText =
+        Number.isFinite(dataPrice) && dataPrice > 0
+          ? Storefronts.formatPrice(dataPrice, getStorefront(url))
+          : textFrom(element, ".a-price .a-offscreen");
+
+      items.push({ element, itemId, title, priceText });
+    });
+
+    document.querySelectorAll(".registry-asin-card[data-asin]").forEach((element) => {
+      const itemId = (element.getAttribute("data-asin") || "").trim().toUpperCase();
+      const title = textFrom(element, ".registry-asin-card__title").replace(/\s+/g, " ");
+      if (!ASIN_RE.test(itemId) || !title) return;
+      items.push({ element, itemId, title, priceText: textFrom(element, ".a-price .a-offscreen") });
+    });
+
+    return items;
+  }
+
+  /**
+   * Orders on a "Your Orders" page, newest first:
+   * [{ orderId, orderDate, items: [{ itemId, title }] }]. Items without a
+   * product link (digital orders, gift cards) are left out.
+   */
+  function extractOrders(document) {
+    const orders = [];
+    document.querySelectorAll(".order-card, .js-order-card").forEach((card) => {
+      const header = card.querySelector(".order-header");
+      const orderId = (header?.textContent || "").match(/\b[0-9A-Z]\d{2}-\d{7}-\d{7}\b/)?.[0] || null;
+      const orderDate = textFrom(card, ".order-header__header-list-item .a-size-base");
+
+      const items = [];
+      card.querySelectorAll(".yohtmlc-product-title").forEach((titleEl) => {
+        const link = titleEl.querySelector("a[href]") || titleEl.closest("a[href]");
+        const itemId = extractAsin(link?.getAttribute("href"));
+        const title = titleEl.textContent.replace(/\s+/g, " ").trim();
+        if (itemId && title) items.push({ itemId, title });
+      });
+
+      if (items.length) orders.push({ orderId, orderDate, items });
+    });
+    return orders;
+  }
+
+  /** The next "Your Orders" page, or null on the last one. */
+  function getNextOrdersPageUrl(document, url) {
+    const href = document.querySelector(".a-pagination li.a-last:not(.a-disabled) a[href]")?.getAttribute("href");
+    if (!href) return null;
+    try {
+      const next = new URL(href, url);
+      return next.origin === url.origin && isOrderHistoryPath(next.pathname) ? next.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function getStorefront(url) {
+    return Storefronts.getStorefrontForHost(url.hostname);
+  }
+
+  // Parsers for fetched product page HTML. The service worker runs these when
+  // resolving catalog listings (ratings, prices, images).
+  function isPlausibleAmazonPriceText(priceText) {
+    if (typeof priceText !== "string") return false;
+    // Amazon main prices virtually always include cents. This avoids coupon amounts like "$10".
+    // Accept formats like "$15.99", "$1,234.00" or "15,99 €".
+    return Storefronts.isPriceText(priceText, { requireCents: true });
+  }
+
+  // Amazon serves a bot check / captcha interstitial instead of the product
+  // page when it suspects automated access; nothing can be read from it. The
+  // markers are specific to those pages, since a listing may well mention
+  // "robot" or "captcha" in its own text.
+  const ROBOT_CHECK_MARKERS = [
+    "/errors/validatecaptcha",
+    "type the characters you see",
+    "enter the characters you see",
+    "make sure you're not a robot",
+    "robot check</title>",
+    "to discuss automated access to amazon data"
+  ];
+
+  function isRobotCheckHtml(html) {
+    const lowered = String(html || "").toLowerCase();
+    return ROBOT_CHECK_MARKERS.some((marker) => lowered.includes(marker));
+  }
+
+  // How far each extraction strategy is trusted, from 0 to 1. Element ids and
+  // Amazon's own JSON are reliable; scanning the page for anything that looks
+  // like a price or an image is a guess.
+  const STRATEGY_CONFIDENCE = {
+    "buying-options-json": 0.98,
+    "image-gallery-json": 0.97,
+    "json-ld": 0.95,
+    "a-state": 0.9,
+    "dynamic-image": 0.95,
+    "image-attribute": 0.9,
+    "inline-json": 0.7,
+    "cdn-url": 0.5,
+    "meta-tag": 0.4,
+    "price-to-pay": 0.95,
+    "price-to-pay-json": 0.9,
+    "apex-price": 0.9,
+    "mobile-page": 0.7,
+    priceblock: 0.7,
+    "offscreen-scan": 0.6,
+    "whole-fraction": 0.5,
+    "core-price": 0.9,
+    "review-widget": 0.95,
+    "review-count-text": 0.95,
+    "page-text": 0.5,
+    "product-title": 0.95,
+    "og-title": 0.7,
+    "document-title": 0.5,
+    "availability-block": 0.9,
+    "out-of-stock-block": 0.9,
+    "add-to-cart-button": 0.6,
+    "prime-json": 0.9,
+    "prime-badge": 0.8,
+    "no-prime-badge": 0.3
+  };
+
+  /** { value, strategy, confidence } for a parser result ({ value, strategy } or null). */
+  function toListingField(found) {
+    if (!found || found.value == null) return { value: null, strategy: null, confidence: 0 };
+    return { value: found.value, strategy: found.strategy, confidence: STRATEGY_CONFIDENCE[found.strategy] ?? 0.5 };
+  }
+
+  function decodeHtmlText(text) {
+    return String(text || "")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&amp;/g, "&")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  // Structured data: Amazon's embedded JSON is read before the HTML heuristics
+  // further down, which only run when a page has none of it.
+  const { readJsonAt, parseJsonLd } = globalThis.FairFindzSiteAdapters;
+
+  function findJsonLdProduct(html) {
+    return (
+      parseJsonLd(html).find((item) => {
+        const type = item["@type"];
+        return Array.isArray(type) ? type.includes("Product") : type === "Product";
+      }) || null
+    );
+  }
+
+  function getJsonLdOffer(product) {
+    const offers = product?.offers;
+    const offer = Array.isArray(offers) ? offers[0] : offers;
+    return offer && typeof offer === "object" ? offer : null;
+  }
+
+  function toPriceField(amount, storefront, strategy) {
+    const numeric = typeof amount === "number" ? amount : Storefronts.parsePriceAmount(String(amount ?? ""));
+    if (numeric == null || !Number.isFinite(numeric) || numeric <= 0) return null;
+    return { value: Storefronts.formatPrice(numeric, storefront || undefined), strategy };
+  }
+
+  // Price entries ({ priceAmount, displayPrice, buyingOptionType }) anywhere in a parsed blob.
+  function collectPriceEntries(value, entries = []) {
+    if (Array.isArray(value)) {
+      value.forEach((item) => collectPriceEntries(item, entries));
+    } else if (value && typeof value === "object") {
+      if (typeof value.priceAmount === "number") entries.push(value);
+      else Object.values(value).forEach((item) => collectPriceEntries(item, entries));
+    }
+    return entries;
+  }
+
+  function pickPriceEntry(entries) {
+    return entries.find((e) => String(e.buyingOptionType || "").toUpperCase() === "NEW") || entries[0] || null;
+  }
+
+  // <script type="a-state" data-a-state="{&quot;key&quot;:&quot;...&quot;}">{...}</script>
+  function parseAStateBlobs(html) {
+    const blobs = [];
+    const re = /<script[^>]+type=["']a-state["'][^>]*>([\s\S]*?)<\/script>/gi;
+    let m;
+    while ((m = re.exec(html))) {
+      try {
+        blobs.push(JSON.parse(m[1].trim()));
+      } catch {
+        // Not JSON; skip it.
+      }
+    }
+    return blobs;
+  }
+
+  function findStructuredPrice(html, storefront = null) {
+    if (!html) return null;
+
+    // The twister's buying options carry the price to pay for the selected variant.
+    const optionsMatch = html.match(/class=["'][^"']*twister-plus-buying-options-price-data[^"']*["'][^>]*>\s*/i);
+    if (optionsMatch) {
+      const entry = pickPriceEntry(collectPriceEntries(readJsonAt(html, optionsMatch.index + optionsMatch[0].length)));
+      const field = entry && toPriceField(entry.priceAmount, storefront, "buying-options-json");
+      if (field) return field;
+    }
+
+    const aStateEntry = pickPriceEntry(collectPriceEntries(parseAStateBlobs(html)));
+    const aStateField = aStateEntry && toPriceField(aStateEntry.priceAmount, storefront, "a-state");
+    if (aStateField) return aStateField;
+
+    const offer = getJsonLdOffer(findJsonLdProduct(html));
+    return toPriceField(offer?.price ?? offer?.lowPrice, storefront, "json-ld");
+  }
+
+  function findStructuredImage(html) {
+    if (!html) return null;
+
+    // ImageBlockATF: 'colorImages': { 'initial': [{ "hiRes": ..., "large": ... }] }
+    const galleryMatch = html.match(/['"]colorImages['"]\s*:\s*\{\s*['"]initial['"]\s*:\s*/);
+    if (galleryMatch) {
+      const gallery = readJsonAt(html, galleryMatch.index + galleryMatch[0].length);
+      const first = Array.isArray(gallery) ? gallery[0] : null;
+      const url = first?.hiRes || first?.large || (first?.main && Object.keys(first.main)[0]);
+      if (typeof url === "string" && /^https?:\/\//.test(url)) return { value: url, strategy: "image-gallery-json" };
+    }
+
+    const image = findJsonLdProduct(html)?.image;
+    const first = Array.isArray(image) ? image[0] : image;
+    const url = typeof first === "string" ? first : first?.url || first?.contentUrl;
+    return typeof url === "string" && /^https?:\/\//.test(url) ? { value: url, strategy: "json-ld" } : null;
+  }
+
+  function findStructuredTitle(html) {
+    const name = findJsonLdProduct(html)?.name;
+    return typeof name === "string" && name.trim() ? { value: decodeHtmlText(name), strategy: "json-ld" } : null;
+  }
+
+  function findStructuredRatingReview(html) {
+    const aggregate = findJsonLdProduct(html)?.aggregateRating;
+    const rating = Number(aggregate?.ratingValue);
+    const reviewCount = Number(aggregate?.reviewCount ?? aggregate?.ratingCount);
+    return {
+      rating: aggregate?.ratingValue != null && Number.isFinite(rating) ? { value: rating, strategy: "json-ld" } : null,
+      reviewCount:
+        (aggregate?.reviewCount ?? aggregate?.ratingCount) != null && Number.isFinite(reviewCount)
+          ? { value: reviewCount, strategy: "json-ld" }
+          : null
+    };
+  }
+
+  function findStructuredAvailability(html) {
+    const availability = String(getJsonLdOffer(findJsonLdProduct(html))?.availability || "");
+    if (/BackOrder/i.test(availability)) return { value: "temporarily_out_of_stock", strategy: "json-ld" };
+    if (/OutOfStock|SoldOut|Discontinued/i.test(availability)) return { value: "out_of_stock", strategy: "json-ld" };
+    if (/InStock|LimitedAvailability|OnlineOnly|InStoreOnly|PreOrder/i.test(availability)) {
+      return { value: "in_stock", strategy: "json-ld" };
+    }
+    return null;
+  }
+
+  function extractImageUrlFromHtml(html) {
+    if (isRobotCheckHtml(html)) return null;
+    return (findStructuredImage(html) || findImageInHtml(html))?.value ?? null;
+  }
+
+  function findImageInHtml(html) {
+    if (!html) return null;
+
+    // If Amazon served a bot/consent/interstitial page, image extraction will fail.
+    // Detect common markers to avoid wasting cycles.
+    if (isRobotCheckHtml(html)) {
+      return null;
+    }
+
+    const patterns = [
+      // Amazon product pages often include a dynamic image map.
+      // Example: data-a-dynamic-image='{"https://...jpg":[500,500],...}'
+      { re: /data-a-dynamic-image\s*=\s*"([^"]+)"/i, strategy: "dynamic-image" },
+      { re: /data-a-dynamic-image\s*=\s*'([^']+)'/i, strategy: "dynamic-image" },
+
+      // Common attributes on the main image element.
+      { re: /data-old-hires\s*=\s*"(https?:[^\"]+)"/i, strategy: "image-attribute" },
+      { re: /data-old-hires\s*=\s*'(https?:[^']+)'/i, strategy: "image-attribute" },
+      { re: /id=\"landingImage\"[^>]+src=\"(https?:[^\"]+)\"/i, strategy: "image-attribute" },
+      { re: /id='landingImage'[^>]+src='(https?:[^']+)'/i, strategy: "image-attribute" },
+
+      // JSON-like keys that appear in inline scripts.
+      { re: /"landingImage"\s*:\s*"(https?:\\\/\\\/[^\"]+)"/i, strategy: "inline-json" },
+      { re: /"mainImage"\s*:\s*"(https?:\\\/\\\/[^\"]+)"/i, strategy: "inline-json" },
+      { re: /"hiRes"\s*:\s*"(https?:\\\/\\\/[^\"]+)"/i, strategy: "inline-json" },
+      { re: /"large"\s*:\s*"(https?:\\\/\\\/[^\"]+)"/i, strategy: "inline-json" },
+      { re: /"mainUrl"\s*:\s*"(https?:\\\/\\\/[^\"]+)"/i, strategy: "inline-json" },
+      { re: /"displayUrl"\s*:\s*"(https?:\\\/\\\/[^\"]+)"/i, strategy: "inline-json" }
+    ];
+
+    for (const { re, strategy } of patterns) {
+      const m = html.match(re);
+      const raw = m?.[1];
+      if (!raw) continue;
+
+      // Special handling for the dynamic-image attribute map.
+      if (strategy === "dynamic-image") {
+        // Unescape common HTML entities.
+        const decoded = raw
+          .replace(/&quot;/g, '"')
+          .replace(/&#34;/g, '"')
+          .replace(/&amp;/g, "&");
+
+        // Prefer the largest image in the map if we can parse it.
+        // Map shape: { "https://...jpg": [500, 500], ... }
+        try {
+          const parsed = JSON.parse(decoded);
+          if (parsed && typeof parsed === "object") {
+            let bestUrl = null;
+            let bestArea = -1;
+            for (const [u, dims] of Object.entries(parsed)) {
+              if (typeof u !== "string") continue;
+              const url = u.includes("\\/") ? u.replace(/\\\//g, "/") : u;
+              const w = Array.isArray(dims) ? Number(dims[0]) : NaN;
+              const h = Array.isArray(dims) ? Number(dims[1]) : NaN;
+              const area = Number.isFinite(w) && Number.isFinite(h) ? w * h : 0;
+              if (area > bestArea) {
+                bestArea = area;
+                bestUrl = url;
+              }
+            }
+            if (bestUrl) return { value: bestUrl, strategy };
+          }
+        } catch {
+          // Ignore JSON parsing errors.
+        }
+
+        // Fallback: find the first https URL inside the JSON map.
+        const urlMatchEscaped = decoded.match(/https?:\\\/\\\/[^\"\\s]+/i);
+        if (urlMatchEscaped?.[0]) return { value: urlMatchEscaped[0].replace(/\\\//g, "/"), strategy };
+
+        const urlMatchPlain = decoded.match(/https?:\/\/[^\"\s]+/i);
+        if (urlMatchPlain?.[0]) return { value: urlMatchPlain[0], strategy };
+        continue;
+      }
+
+      const url = raw.includes("\\/") ? raw.replace(/\\\//g, "/") : raw;
+      return { value: url, strategy };
+    }
+
+    // Last resort: pick the first Amazon CDN product image-like URL.
+    const cdn = html.match(/https?:\/\/m\.media-amazon\.com\/images\/I\/[^\"'\s]+\.(?:jpg|jpeg|png|webp)/i);
+    if (cdn?.[0]) return { value: cdn[0], strategy: "cdn-url" };
+
+    // Meta tag extraction where attribute order can vary.
+    // Example: <meta content="..." property="og:image" />
+    // We do this late because og:image can sometimes point to a brand tile/logo
+    // rather than the actual main product image.
+    const metaNames = ["og:image:secure_url", "og:image", "twitter:image"];
+    for (const name of metaNames) {
+      const re1 = new RegExp(
+        `<meta[^>]+(?:property|name)=["']${name}["'][^>]+content=["']([^"']+)["'][^>]*>`,
+        "i"
+      );
+      const re2 = new RegExp(
+        `<meta[^>]+content=["']([^"']+)["'][^>]+(?:property|name)=["']${name}["'][^>]*>`,
+        "i"
+      );
+      const m1 = html.match(re1);
+      if (m1?.[1]) return { value: m1[1], strategy: "meta-tag" };
+      const m2 = html.match(re2);
+      if (m2?.[1]) return { value: m2[1], strategy: "meta-tag" };
+    }
+
+    return null;
+  }
+
+  // "$0.74 / Ounce", "$0.27/count" or "$1.33 per ounce": the amount before is a unit price.
+  const UNIT_PRICE_SUFFIX_RE = /^\s*(?:\/|per\s)\s*\p{L}/iu;
+
+  function isUnitPriceAt(html, end) {
+    return UNIT_PRICE_SUFFIX_RE.test(html.slice(end, end + 80).replace(/<[^>]+>/g, " "));
+  }
+
+  function extractPriceFromMobileHtml(html, storefront = null) {
+    if (!html) return null;
+
+    if (isRobotCheckHtml(html)) {
+      return null;
+    }
+
+    const structured = findStructuredPrice(html, storefront);
+    if (structured) return structured.value;
+
+    const patterns = [
+      // Mobile PDP often uses these blocks.
+      /id=["']priceblock_(?:ourprice|dealprice|saleprice)["'][^>]*>\s*([^<\s][^<]{0,20})\s*</i,
+      /id=["']newBuyBoxPrice["'][^>]*>\s*([^<\s][^<]{0,20})\s*</i,
+      new RegExp(`id=["']buyBoxInner["'][\\s\\S]{0,3000}?(${PRICE_SOURCE})`, "i")
+    ];
+
+    for (const re of patterns) {
+      const m = html.match(re);
+      if (m?.[1] && Storefronts.isPriceText(m[1].trim())) {
+        return m[1].trim();
+      }
+    }
+
+    // Generic: find a $xx.xx that is NOT a unit price or a coupon amount.
+    const anyPrice = new RegExp(PRICE_SOURCE, "g");
+    let m;
+    while ((m = anyPrice.exec(html))) {
+      const text = m[0].trim();
+      const numeric = Storefronts.parsePriceAmount(text);
+      if (numeric == null) continue;
+      if (isUnitPriceAt(html, m.index + m[0].length)) continue;
+
+      const start = Math.max(0, m.index - 120);
+      const end = Math.min(html.length, m.index + 240);
+      const ctx = html.slice(start, end).toLowerCase();
+      // Avoid coupon/savings amounts like "Save $10".
+      if (
+        ctx.includes("coupon") ||
+        ctx.includes("save ") ||
+        ctx.includes("save$") ||
+        ctx.includes("savings") ||
+        ctx.includes("discount") ||
+        ctx.includes("promo") ||
+        ctx.includes("promotion") ||
+        // "$2 off", but not the "a-offscreen" class.
+        /\boff\b/.test(ctx)
+      ) {
+        continue;
+      }
+
+      return text;
+    }
+
+    return null;
+  }
+
+  function extractRatingReviewFromHtml(html) {
+    if (isRobotCheckHtml(html)) return { rating: null, reviewCount: null };
+    const structured = findStructuredRatingReview(html);
+    const { rating, reviewCount } = findRatingReviewInHtml(html);
+    return { rating: (structured.rating || rating)?.value ?? null, reviewCount: (structured.reviewCount || reviewCount)?.value ?? null };
+  }
+
+  function findRatingReviewInHtml(html) {
+    if (!html) return { rating: null, reviewCount: null };
+
+    if (isRobotCheckHtml(html)) {
+      return { rating: null, reviewCount: null };
+    }
+
+    let rating = null;
+    let reviewCount = null;
+
+    // Constrain parsing to the canonical review widget area if present.
+    // This avoids accidentally matching ratings/reviews from other modules on the page.
+    const avgBlockMatch = html.match(/id=["']averageCustomerReviews["'][\s\S]{0,2500}/i);
+    const scope = avgBlockMatch?.[0] || html;
+    const scopeStrategy = avgBlockMatch ? "review-widget" : "page-text";
+
+    const ratingMatch = scope.match(/([0-9]+(?:\.[0-9]+)?)\s*out of\s*5\s*stars/i);
+    if (ratingMatch?.[1]) {
+      const parsed = Number(ratingMatch[1]);
+      if (!Number.isNaN(parsed)) rating = { value: parsed, strategy: scopeStrategy };
+    }
+
+    const acrMatch = scope.match(
+      /id=["']acrCustomerReviewText["'][^>]*>\s*([0-9,]+)\s+(?:global\s+ratings|ratings|rating)\s*</i
+    );
+    if (acrMatch?.[1]) {
+      const parsed = Number(String(acrMatch[1]).replace(/,/g, ""));
+      if (!Number.isNaN(parsed)) reviewCount = { value: parsed, strategy: "review-count-text" };
+    }
+
+    // Fallback (still scoped) in case Amazon changes element IDs.
+    if (reviewCount == null) {
+      const fallback = scope.match(/([0-9,]+)\s+(?:global\s+ratings|ratings|rating)\b/i);
+      if (fallback?.[1]) {
+        const parsed = Number(String(fallback[1]).replace(/,/g, ""));
+        if (!Number.isNaN(parsed)) reviewCount = { value: parsed, strategy: scopeStrategy };
+      }
+    }
+
+    return { rating, reviewCount };
+  }
+
+  function extractPriceFromHtml(html, storefront = null) {
+    if (isRobotCheckHtml(html)) return null;
+    return (findStructuredPrice(html, storefront) || findPriceInHtml(html, storefront))?.value ?? null;
+  }
+
+  function findPriceInHtml(html, storefront = null) {
+    if (!html) return null;
+
+    if (isRobotCheckHtml(html)) {
+      return null;
+    }
+
+    // Prefer JSON-embedded priceToPay displayPrice when present.
+    // Amazon can include multiple displayPrice values (including unit price), so we:
+    // - collect all displayPrice values near priceToPay
+    // - skip the ones inside unit price or coupon objects ("pricePerUnit", "basisPrice", "coupon")
+    const jsonAnchors = ["\"priceToPay\"", "\"apexPriceToPay\""];
+    for (const anchor of jsonAnchors) {
+      const idx = html.indexOf(anchor);
+      if (idx === -1) continue;
+
+      const window = html.slice(idx, idx + 15000);
+      const displayRe = new RegExp(`"displayPrice"\\s*:\\s*"(${PRICE_SOURCE})"`, "gi");
+
+      const candidates = [];
+      let m;
+      while ((m = displayRe.exec(window))) {
+        const text = String(m[1] || "").trim();
+        const numeric = Storefronts.parsePriceAmount(text);
+        if (numeric == null) continue;
+
+        // The object a displayPrice sits in says what it is: skip unit prices and
+        // coupon/savings/discount amounts inside the same JSON blob.
+        const enclosingKey = window.slice(0, m.index).match(/"(\w+)"\s*:\s*\{[^{}]*$/)?.[1] || "";
+        if (/unit|basis|coupon|sav|discount|promo/i.test(enclosingKey)) continue;
+        if (isUnitPriceAt(window, m.index + m[0].length)) continue;
+
+        candidates.push({ text, numeric });
+      }
+
+      // Prefer prices with cents (e.g. $15.99) over whole-dollar values (often coupon amounts).
+      const withCents = candidates.find((c) => /[.,][0-9]{2}(?:\s*€)?$/.test(c.text));
+      const best = withCents || candidates[0];
+      if (best) return { value: best.text, strategy: "price-to-pay-json" };
+    }
+
+    const priceBlockMatch = html.match(/id=["']corePriceDisplay_desktop_feature_div["'][\s\S]{0,5000}/i);
+    const scope = priceBlockMatch?.[0] || html;
+
+    // First: try to grab the primary "price to pay" value (selected offer/variation)
+    // This is more accurate than picking the lowest price from variation tiles.
+    const priceToPay = scope.match(
+      /priceToPay[\s\S]{0,1200}?class=["']a-offscreen["'][^>]*>\s*([^<\s][^<]{0,20})\s*</i
+    );
+    if (priceToPay?.[1] && Storefronts.isPriceText(priceToPay[1].trim())) {
+      return { value: priceToPay[1].trim(), strategy: "price-to-pay" };
+    }
+
+    // Some templates place the main price outside the corePriceDisplay block.
+    // As a fallback, search for the apex price-to-pay container.
+    const apexPrice = html.match(
+      /apexPriceToPay[\s\S]{0,2000}?class=["']a-offscreen["'][^>]*>\s*([^<\s][^<]{0,20})\s*</i
+    );
+    if (apexPrice?.[1] && Storefronts.isPriceText(apexPrice[1].trim())) {
+      return { value: apexPrice[1].trim(), strategy: "apex-price" };
+    }
+
+    const apexPriceAlt = html.match(
+      /id=["']apexPriceToPay["'][\s\S]{0,3500}?class=["']a-offscreen["'][^>]*>\s*([^<\s][^<]{0,20})\s*</i
+    );
+    if (apexPriceAlt?.[1] && Storefronts.isPriceText(apexPriceAlt[1].trim())) {
+      return { value: apexPriceAlt[1].trim(), strategy: "apex-price" };
+    }
+
+    // Most reliable: a-offscreen contains a fully formatted price.
+    // BUT Amazon often includes a unit price (e.g. "$1.33") near strings like "/ounce".
+    // We scan all a-offscreen values and pick a plausible *main* price.
+    const priceCandidates = [];
+    const re = /class=["']a-offscreen["'][^>]*>\s*([^<\s][^<]{0,20})\s*</gi;
+    let m;
+    while ((m = re.exec(scope))) {
+      const text = String(m[1] || "").trim();
+      if (!Storefronts.isPriceText(text)) continue;
+
+      const numeric = Storefronts.parsePriceAmount(text);
+      if (numeric == null) continue;
+
+      const start = Math.max(0, m.index - 80);
+      const end = Math.min(scope.length, m.index + 220);
+      const ctx = scope.slice(start, end).toLowerCase();
+
+      // Exclude unit prices like "$1.33" that are shown as "($1.33 / ounce)".
+      // IMPORTANT: the main price is often displayed right next to the unit price,
+      // so only exclude when the candidate matches the unit price in parentheses.
+      if (ctx.includes("/ounce") || ctx.includes("/ oz") || ctx.includes("/oz") || ctx.includes("per ounce")) {
+        const unit = ctx.match(new RegExp(`\\(\\s*(${PRICE_SOURCE})\\s*\\/\\s*ounce`, "i"));
+        if (unit?.[1]) {
+          const unitText = unit[1].replace(/\s+/g, "");
+          const candidateText = text.replace(/\s+/g, "").toLowerCase();
+          if (unitText === candidateText) {
+            continue;
+          }
+        }
+      }
+
+      // Exclude list-price/strike-through contexts.
+      if (ctx.includes("list price") || ctx.includes("was:") || ctx.includes("a-text-price") || ctx.includes("price was")) {
+        continue;
+      }
+
+      priceCandidates.push({ text, numeric });
+    }
+
+    if (priceCandidates.length) {
+      // Avoid selecting a random variation tile price. Prefer a "larger" price when
+      // multiple plausible candidates exist, since small values are more likely to be unit prices.
+      // (Unit prices should be filtered above, but this is an extra guard.)
+      priceCandidates.sort((a, b) => b.numeric - a.numeric);
+      return { value: priceCandidates[0].text, strategy: "offscreen-scan" };
+    }
+
+    const priceblock = scope.match(
+      /id=["']priceblock_(?:ourprice|dealprice|saleprice)["'][^>]*>\s*([^<\s][^<]{0,20})\s*</i
+    );
+    if (priceblock?.[1]) return { value: priceblock[1].trim(), strategy: "priceblock" };
+
+    // Fallback: reconstruct from whole + fraction.
+    const wholeFrac = scope.match(
+      /class=["']a-price-whole["'][^>]*>\s*([0-9][0-9,\.]*)\s*<\/span>[\s\S]{0,120}?class=["']a-price-fraction["'][^>]*>\s*([0-9]{2})\s*<\/span>/i
+    );
+    if (wholeFrac?.[1] && wholeFrac?.[2]) {
+      const amount = Number(`${String(wholeFrac[1]).replace(/[.,]/g, "")}.${wholeFrac[2]}`);
+      return { value: Storefronts.formatPrice(amount, storefront || undefined), strategy: "whole-fraction" };
+    }
+
+    return null;
+  }
+
+  // Amazon shows unit prices as "($0.64 / Ounce)" or "($0.27$0.27 / Count)" next to the main price.
+  function extractUnitPriceFromHtml(html) {
+    const { strategy, ...unitPrice } = findUnitPriceInHtml(html) || {};
+    return strategy ? unitPrice : null;
+  }
+
+  function findUnitPriceInHtml(html) {
+    if (!html) return null;
+
+    const priceBlockMatch = html.match(/id=["']corePriceDisplay_desktop_feature_div["'][\s\S]{0,5000}/i);
+    const scope = priceBlockMatch?.[0] || html;
+    const text = scope.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ");
+
+    const m = text.match(
+      new RegExp(`\\(\\s*(${PRICE_SOURCE})(?:\\s*${PRICE_SOURCE})?\\s*\\/\\s*(\\p{L}[\\p{L} ]{0,20}?)\\s*\\)`, "iu")
+    );
+    if (!m) return null;
+
+    return {
+      priceText: m[1].replace(/\s+/g, ""),
+      unitPriceText: `${m[1].replace(/\s+/g, "")}/${m[2].trim().toLowerCase()}`,
+      strategy: priceBlockMatch ? "core-price" : "page-text"
+    };
+  }
+
+  function findTitleInHtml(html) {
+    const productTitle = html.match(/id=["']productTitle["'][^>]*>([\s\S]{0,1000}?)<\/span>/i);
+    if (productTitle && decodeHtmlText(productTitle[1])) {
+      return { value: decodeHtmlText(productTitle[1]), strategy: "product-title" };
+    }
+
+    const ogTitle =
+      html.match(/<meta[^>]+property=["']og:title["'][^>]+content=["']([^"']+)["']/i) ||
+      html.match(/<meta[^>]+content=["']([^"']+)["'][^>]+property=["']og:title["']/i);
+    if (ogTitle && decodeHtmlText(ogTitle[1])) return { value: decodeHtmlText(ogTitle[1]), strategy: "og-title" };
+
+    // "Amazon.com : <title> : <category>" or "<title> : Amazon.co.uk: <category>"
+    const documentTitle = html.match(/<title[^>]*>([\s\S]{0,1000}?)<\/title>/i);
+    const title = decodeHtmlText(documentTitle?.[1])
+      .replace(/^Amazon(?:\.[a-z.]+)?\s*:\s*/i, "")
+      .split(/\s+:\s+|\s*:\s*Amazon\.[a-z.]+\b/i)[0]
+      .trim();
+    return title ? { value: title, strategy: "document-title" } : null;
+  }
+
+  // "in_stock" / "out_of_stock", like catalog `availability`.
+  // "Temporarily out of stock" listings still take orders and ship when the
+  // item is back; "Currently unavailable" ones cannot be bought at all.
+  function findAvailabilityInHtml(html) {
+    const block = html.match(/id=["']availability["'][^>]*>([\s\S]{0,800}?)<\/div>/i);
+    const text = decodeHtmlText(block?.[1]).toLowerCase();
+    if (/temporarily out of stock|vorübergehend nicht auf lager|temporalmente sin existencias/.test(text)) {
+      return { value: "temporarily_out_of_stock", strategy: "availability-block" };
+    }
+    if (/currently unavailable|out of stock|unavailable|derzeit nicht verfügbar|no disponible/.test(text)) {
+      return { value: "out_of_stock", strategy: "availability-block" };
+    }
+    if (/in stock|only \d+ left|left in stock|auf lager|disponible|usually ships|available to ship/.test(text)) {
+      return { value: "in_stock", strategy: "availability-block" };
+    }
+
+    if (/id=["']outOfStock["']/i.test(html)) return { value: "out_of_stock", strategy: "out-of-stock-block" };
+    if (/id=["']add-to-cart-button["']/i.test(html)) return { value: "in_stock", strategy: "add-to-cart-button" };
+    return null;
+  }
+
+  function findPrimeInHtml(html) {
+    const flag = html.match(/"isPrimeEligible"\s*:\s*(true|false)/i);
+    if (flag) return { value: flag[1].toLowerCase() === "true", strategy: "prime-json" };
+    if (/class=["'][^"']*\ba-icon-prime\b|id=["'](?:prime-badge|primeBadge)["']/i.test(html)) {
+      return { value: true, strategy: "prime-badge" };
+    }
+    return { value: false, strategy: "no-prime-badge" };
+  }
+
+  const LISTING_FIELDS = ["title", "imageUrl", "priceText", "unitPriceText", "rating", "reviewCount", "availability", "primeEligible"];
+
+  /**
+   * Everything the extension reads from a fetched product page, per field:
+   * { value, strategy, confidence }, where `strategy` names the extraction that
+   * succeeded and `confidence` (0-1) is how far it is trusted. Embedded JSON
+   * wins over the HTML heuristics. `blocked` is true for Amazon's bot check
+   * page, which has no fields.
+   */
+  function extractListingFromHtml(html, storefront = null) {
+    if (!html || isRobotCheckHtml(html)) {
+      return { blocked: Boolean(html), fields: Object.fromEntries(LISTING_FIELDS.map((name) => [name, toListingField(null)])) };
+    }
+
+    const structured = findStructuredRatingReview(html);
+    const { rating, reviewCount } = findRatingReviewInHtml(html);
+    const unitPrice = findUnitPriceInHtml(html);
+    return {
+      blocked: false,
+      fields: {
+        title: toListingField(findStructuredTitle(html) || findTitleInHtml(html)),
+        imageUrl: toListingField(findStructuredImage(html) || findImageInHtml(html)),
+        priceText: toListingField(findStructuredPrice(html, storefront) || findPriceInHtml(html, storefront)),
+        unitPriceText: toListingField(unitPrice && { value: unitPrice.unitPriceText, strategy: unitPrice.strategy }),
+        rating: toListingField(structured.rating || rating),
+        reviewCount: toListingField(structured.reviewCount || reviewCount),
+        availability: toListingField(findStructuredAvailability(html) || findAvailabilityInHtml(html)),
+        primeEligible: toListingField(findPrimeInHtml(html))
+      }
+    };
+  }
+
+  // The mobile product page; its HTML is more static and reliably contains the main price.
+  function getMobileProductUrl(productUrl) {
+    const url = globalThis.FairFindzSiteAdapters.parseUrl(productUrl);
+    const asin = url ? extractAsin(url.pathname) : null;
+    return asin ? `${url.origin}/gp/aw/d/${asin}?psc=1` : null;
+  }
+
+  globalThis.FairFindzSiteAdapters.registerAdapter({
+    id: "amazon",
+    name: "Amazon",
+    matchesUrl: (url) => Boolean(getStorefront(url)),
+    getPageType,
+    getSearchQuery,
+    getProductId: (url) => extractAsin(url.href),
+    getStorefront,
+    extractProduct,
+    extractSearchResults,
+    extractCartItems,
+    extractListItems,
+    extractSubscriptions,
+    cartButtons: {
+      addToCart: '#add-to-cart-button, input[name="submit.add-to-cart"]',
+      // Buy Now has a few variants depending on experiment/layout.
+      buyNow: '#buy-now-button, input[name="submit.buy-now"]'
+    },
+    searchLayout: { resultsSlot: ".s-main-slot", tileTitle: "h2" },
+    orderHistory: { extractOrders, getNextPageUrl: getNextOrdersPageUrl },
+    // Picking a variant in the twister swaps these without a navigation.
+    productChangeSelectors: [
+      "#productTitle",
+      "input#ASIN",
+      'input[name="ASIN"]',
+      "#corePriceDisplay_desktop_feature_div .a-price .a-offscreen",
+      "#corePrice_feature_div .a-price .a-offscreen",
+      "#priceblock_ourprice",
+      "#priceblock_dealprice"
+    ],
+    parsePrice: Storefronts.parsePriceAmount,
+    extractAsin,
+    html: {
+      isPlausiblePriceText: isPlausibleAmazonPriceText,
+      extractImageUrl: extractImageUrlFromHtml,
+      extractPrice: extractPriceFromHtml,
+      extractMobilePrice: extractPriceFromMobileHtml,
+      extractRatingReview: extractRatingReviewFromHtml,
+      extractUnitPrice: extractUnitPriceFromHtml,
+      LISTING_FIELDS,
+      extractListing: extractListingFromHtml,
+      toListingField,
+      isRobotCheck: isRobotCheckHtml,
+      getMobileProductUrl
+    }
+  });
+})();
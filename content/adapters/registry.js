@@ -0,0 +1,160 @@
+(function () {
+  /**
+   * Retailer adapters. Everything that depends on a retailer's URLs or markup
+   * lives behind this interface so content.js and the service worker can stay
+   * retailer-agnostic. Each adapter file registers itself with registerAdapter().
+   *
+   * An adapter is an object with:
+   * - id, name                      "amazon", "Amazon"
+   * - matchesUrl(url)               true when the URL (a URL instance) belongs to the retailer
+   * - getPageType(url)              "product" | "search" | "cart" | null ("list", "orders" and
+   *                                 "subscriptions" with the optional members below)
+   * - getSearchQuery(url)           the shopper's query on a search page, or ""
+   * - getProductId(url)             the retailer's item id for a product URL, or null
+   * - getStorefront(url)            the FairFindzStorefronts entry whose currency the page uses
+   * - extractProduct(document, url) { itemId, title, brand, breadcrumbs, features, description, priceText,
+   *                                 subscriptionOffered } (subscriptionOffered is optional)
+   * - extractSearchResults(document, url)  [{ element, itemId, title, priceText }]
+   * - extractCartItems(document, url)      [{ element, itemId, title, priceText, quantity }], active items only
+   * - cartButtons                   { addToCart, buyNow } selectors for cart actions on product pages ("" if none)
+   * - parsePrice(text)              the amount in a price string, or null
+   *
+   * Optional:
+   * - searchLayout                  { resultsSlot, tileTitle } selectors: the results
+   *                                 container the search banner goes before, and the
+   *                                 tile title the alternative chip goes after
+   * - productChangeSelectors        selectors for what identifies the product shown on a
+   *                                 product page (title, item id inputs, price); when
+   *                                 their contents change, matching runs again
+   * - extractListItems(document, url)     [{ element, itemId, title, priceText }] on wishlist and
+   *                                 registry pages, for retailers whose getPageType() returns "list"
+   * - extractSubscriptions(document, url) [{ element, itemId, title, priceText, frequency }], the
+   *                                 active subscriptions on a "subscriptions" page
+   * - orderHistory                  { extractOrders(document, url), getNextPageUrl(document, url) }
+   *                                 for retailers whose getPageType() also returns "orders":
+   *                                 [{ orderId, orderDate, items: [{ itemId, title }] }],
+   *                                 and the absolute URL of the next page or null
+   *
+   * Adapters for retailers whose listings appear in the catalog also provide
+   * `html`, the parsers the service worker runs on fetched product pages
+   * (see content/adapters/amazon.js). `html.extractListing(html, storefront)`
+   * returns { blocked, fields }, each field as { value, strategy, confidence },
+   * and `html.isRobotCheck(html)` tells the worker's request scheduler that the
+   * retailer answered with a bot check instead of the page.
+   */
+  const REQUIRED_METHODS = [
+    "matchesUrl",
+    "getPageType",
+    "getSearchQuery",
+    "getProductId",
+    "getStorefront",
+    "extractProduct",
+    "extractSearchResults",
+    "extractCartItems",
+    "parsePrice"
+  ];
+
+  const adapters = [];
+
+  function registerAdapter(adapter) {
+    if (!adapter || typeof adapter.id !== "string" || !adapter.id) {
+      throw new Error("Site adapter must have a string id");
+    }
+    const missing = REQUIRED_METHODS.filter((name) => typeof adapter[name] !== "function");
+    if (missing.length) {
+      throw new Error(`Site adapter "${adapter.id}" is missing ${missing.join(", ")}`);
+    }
+    if (adapters.some((a) => a.id === adapter.id)) {
+      throw new Error(`Site adapter "${adapter.id}" is already registered`);
+    }
+    adapters.push(adapter);
+    return adapter;
+  }
+
+  /** Parses an http(s) URL; returns null for anything else. */
+  function parseUrl(urlOrString) {
+    try {
+      const url = urlOrString instanceof URL ? urlOrString : new URL(urlOrString);
+      return url.protocol === "https:" || url.protocol === "http:" ? url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Parses the JSON object or array that starts at `start` in `text` (e.g. a
+   * value embedded in an inline script). Returns null when it is not valid JSON.
+   */
+  function readJsonAt(text, start) {
+    const open = text?.[start];
+    if (open !== "{" && open !== "[") return null;
+
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i += 1) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === "\\") i += 1;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === "{" || ch === "[") {
+        depth += 1;
+      } else if (ch === "}" || ch === "]") {
+        depth -= 1;
+        if (depth === 0) {
+          try {
+            return JSON.parse(text.slice(start, i + 1));
+          } catch {
+            return null;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /** The schema.org objects in a page's JSON-LD blocks, with @graph entries flattened. */
+  function parseJsonLd(html) {
+    const objects = [];
+    const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+    let m;
+    while ((m = re.exec(String(html || "")))) {
+      let data;
+      try {
+        data = JSON.parse(m[1].trim());
+      } catch {
+        continue;
+      }
+      for (const item of Array.isArray(data) ? data : [data]) {
+        if (!item || typeof item !== "object") continue;
+        objects.push(item);
+        if (Array.isArray(item["@graph"])) objects.push(...item["@graph"].filter((g) => g && typeof g === "object"));
+      }
+    }
+    return objects;
+  }
+
+  function getAdapterForUrl(urlOrString) {
+    const url = parseUrl(urlOrString);
+    if (!url) return null;
+    return adapters.find((a) => a.matchesUrl(url)) || null;
+  }
+
+  function getAdapterById(id) {
+    return adapters.find((a) => a.id === id) || null;
+  }
+
+  // Shared by the content scripts and the service worker (via importScripts).
+  globalThis.FairFindzSiteAdapters = {
+    registerAdapter,
+    parseUrl,
+    readJsonAt,
+    parseJsonLd,
+    getAdapterForUrl,
+    getAdapterById,
+    get adapters() {
+      return adapters.slice();
+    }
+  };
+})();
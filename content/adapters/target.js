@@ -0,0 +1,134 @@
+(function () {
+  const Storefronts = globalThis.FairFindzStorefronts;
+
+  // Target.com only sells in US dollars.
+  const storefront = Storefronts.getStorefrontById("us");
+
+  function matchesUrl(url) {
+    const host = url.hostname.toLowerCase();
+    return host === "target.com" || host.endsWith(".target.com");
+  }
+
+  // Product pages end in the TCIN: /p/some-product-name/-/A-12345678 or /p/-/A-12345678.
+  function getProductIdFromPath(path) {
+    return String(path || "").match(/^\/p\/(?:[^?#]*\/)?-\/A-(\d{5,})(?:[/?#]|$)/)?.[1] || null;
+  }
+
+  // /s?searchTerm=coffee, or the shorter /s/coffee.
+  function getSearchQuery(url) {
+    if (url.pathname === "/s") return (url.searchParams.get("searchTerm") || "").trim();
+    const term = url.pathname.match(/^\/s\/([^/]+)/)?.[1];
+    if (!term) return "";
+    try {
+      return decodeURIComponent(term).replace(/\+/g, " ").trim();
+    } catch {
+      return "";
+    }
+  }
+
+  function getPageType(url) {
+    if (/^\/cart(?:\/|$)/.test(url.pathname)) return "cart";
+    if (getSearchQuery(url)) return "search";
+    return getProductIdFromPath(url.pathname) ? "product" : null;
+  }
+
+  function textFrom(root, selector) {
+    const el = root.querySelector(selector);
+    return el?.textContent ? el.textContent.replace(/\s+/g, " ").trim() : "";
+  }
+
+  function getLinkedProductId(root) {
+    const href = root.querySelector('a[href*="/A-"]')?.getAttribute("href") || "";
+    try {
+      return getProductIdFromPath(new URL(href, "https://www.target.com").pathname);
+    } catch {
+      return null;
+    }
+  }
+
+  function extractProduct(document, url) {
+    const title =
+      textFrom(document, 'h1[data-test="product-title"]') ||
+      textFrom(document, "h1") ||
+      document.title.replace(/\s*:\s*Target\s*$/i, "").trim();
+
+    const breadcrumbs = Array.from(
+      document.querySelectorAll('[data-test="@web/Breadcrumbs/BreadcrumbLink"]'),
+      (a) => a.textContent.trim()
+    )
+      .filter(Boolean)
+      .join(" / ");
+
+    // The brand link reads "Shop all Starbucks".
+    const brandText = textFrom(document, '[data-test="@web/ProductDetailPage/ProductDetailBrandLink"]');
+
+    return {
+      itemId: getProductIdFromPath(url.pathname),
+      title,
+      brand: brandText.replace(/^shop all\s+/i, ""),
+      breadcrumbs,
+      features: textFrom(document, '[data-test="item-details-highlights"]'),
+      description: textFrom(document, '[data-test="item-details-description"]'),
+      priceText: Storefronts.findPriceText(textFrom(document, '[data-test="product-price"]'))
+    };
+  }
+
+  function extractSearchResults(document) {
+    const tiles = [];
+    document.querySelectorAll('[data-test="@web/site-top-of-funnel/ProductCardWrapper"]').forEach((element) => {
+      const itemId = getLinkedProductId(element);
+      const title = textFrom(element, '[data-test="product-title"]');
+      if (!itemId || !title) return;
+
+      const priceText = Storefronts.findPriceText(textFrom(element, '[data-test="current-price"]'));
+      tiles.push({ element, itemId, title, priceText });
+    });
+    return tiles;
+  }
+
+  function extractCartItems(document) {
+    const items = [];
+    document.querySelectorAll('[data-test="cartItem"]').forEach((element) => {
+      if (element.closest('[data-test="save-for-later-section"]')) return;
+
+      const itemId = getLinkedProductId(element);
+      const title = textFrom(element, '[data-test="cartItem-title"]');
+      if (!itemId || !title) return;
+
+      const quantity = Math.max(1, Number.parseInt(element.querySelector('[data-test="cartItem-qty"]')?.value, 10) || 1);
+
+      // The cart shows the line total; the per-item price only appears as "$9.99 each" for multiples.
+      let priceText = Storefronts.findPriceText(textFrom(element, '[data-test="cartItem-unitPrice"]'));
+      if (!priceText) {
+        const lineTotal = Storefronts.parsePriceAmount(Storefronts.findPriceText(textFrom(element, '[data-test="cartItem-price"]')));
+        priceText = lineTotal != null ? Storefronts.formatPrice(lineTotal / quantity, storefront) : "";
+      }
+
+      items.push({ element, itemId, title, priceText, quantity });
+    });
+    return items;
+  }
+
+  globalThis.FairFindzSiteAdapters.registerAdapter({
+    id: "target",
+    name: "Target",
+    matchesUrl,
+    getPageType,
+    getSearchQuery,
+    getProductId: (url) => getProductIdFromPath(url.pathname),
+    getStorefront: () => storefront,
+    extractProduct,
+    extractSearchResults,
+    extractCartItems,
+    cartButtons: {
+      addToCart: 'button[data-test="shippingButton"], button[data-test="orderPickupButton"], button[data-test="scheduledDeliveryButton"]',
+      buyNow: ""
+    },
+    searchLayout: {
+      resultsSlot: '[data-test="@web/ProductGrid"]',
+      tileTitle: '[data-test="product-title"]'
+    },
+    productChangeSelectors: ['h1[data-test="product-title"]', '[data-test="product-price"]'],
+    parsePrice: Storefronts.parsePriceAmount
+  });
+})();
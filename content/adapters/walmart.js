@@ -0,0 +1,117 @@
+(function () {
+  const Storefronts = globalThis.FairFindzStorefronts;
+
+  // Walmart.com only sells in US dollars.
+  const storefront = Storefronts.getStorefrontById("us");
+
+  function matchesUrl(url) {
+    const host = url.hostname.toLowerCase();
+    return host === "walmart.com" || host.endsWith(".walmart.com");
+  }
+
+  // Product pages: /ip/Some-Product-Name/10450996 or /ip/10450996.
+  function getProductId(url) {
+    return url.pathname.match(/^\/ip\/(?:[^/]+\/)?(\d{5,})(?:[/?]|$)/)?.[1] || null;
+  }
+
+  function getSearchQuery(url) {
+    return url.pathname === "/search" ? (url.searchParams.get("q") || "").trim() : "";
+  }
+
+  function getPageType(url) {
+    if (/^\/cart(?:\/|$)/.test(url.pathname)) return "cart";
+    if (getSearchQuery(url)) return "search";
+    return getProductId(url) ? "product" : null;
+  }
+
+  function textFrom(root, selector) {
+    const el = root.querySelector(selector);
+    return el?.textContent ? el.textContent.replace(/\s+/g, " ").trim() : "";
+  }
+
+  function extractProduct(document, url) {
+    const title =
+      textFrom(document, 'h1[itemprop="name"]') ||
+      textFrom(document, "h1#main-title") ||
+      textFrom(document, "h1") ||
+      document.title.replace(/\s*-\s*Walmart\.com\s*$/i, "").trim();
+
+    // Breadcrumb links have no separators in their text, so join them ourselves.
+    const breadcrumbs = Array.from(document.querySelectorAll('nav[aria-label="breadcrumb"] li'), (li) =>
+      li.textContent.trim()
+    )
+      .filter(Boolean)
+      .join(" / ");
+
+    return {
+      itemId: getProductId(url),
+      title,
+      brand: textFrom(document, '[data-seo-id="brand-name"]') || textFrom(document, '[itemprop="brand"]'),
+      breadcrumbs,
+      features: textFrom(document, '[data-testid="product-highlights"]'),
+      description: textFrom(document, '[data-testid="product-description-content"]'),
+      // The hero price reads "Now $17.48" on rollbacks.
+      priceText: Storefronts.findPriceText(textFrom(document, '[itemprop="price"]'))
+    };
+  }
+
+  function extractSearchResults(document) {
+    const tiles = [];
+    document.querySelectorAll("[data-item-id]").forEach((element) => {
+      const itemId = (element.getAttribute("data-item-id") || "").trim();
+      const title = textFrom(element, '[data-automation-id="product-title"]');
+      if (!/^\d+$/.test(itemId) || !title) return;
+
+      // The screen-reader text ("current price Now $17.48") comes before the styled price.
+      const priceText = Storefronts.findPriceText(textFrom(element, '[data-automation-id="product-price"]'));
+      tiles.push({ element, itemId, title, priceText });
+    });
+    return tiles;
+  }
+
+  function extractCartItems(document) {
+    const items = [];
+    document.querySelectorAll('[data-testid="cart-item"]').forEach((element) => {
+      if (element.closest('[data-testid="saved-for-later"]')) return;
+
+      const itemId = (element.getAttribute("data-item-id") || "").trim();
+      const title = textFrom(element, '[data-testid="productName"]');
+      if (!/^\d+$/.test(itemId) || !title) return;
+
+      const quantity = Math.max(1, Number.parseInt(textFrom(element, '[data-testid="quantity-label"]'), 10) || 1);
+
+      // Walmart shows the line total, plus "$17.48/ea" when there is more than one.
+      let priceText = Storefronts.findPriceText(textFrom(element, '[data-testid="price-per-unit"]'));
+      if (!priceText) {
+        const lineTotal = Storefronts.parsePriceAmount(Storefronts.findPriceText(textFrom(element, '[data-testid="line-price"]')));
+        priceText = lineTotal != null ? Storefronts.formatPrice(lineTotal / quantity, storefront) : "";
+      }
+
+      items.push({ element, itemId, title, priceText, quantity });
+    });
+    return items;
+  }
+
+  globalThis.FairFindzSiteAdapters.registerAdapter({
+    id: "walmart",
+    name: "Walmart",
+    matchesUrl,
+    getPageType,
+    getSearchQuery,
+    getProductId,
+    getStorefront: () => storefront,
+    extractProduct,
+    extractSearchResults,
+    extractCartItems,
+    cartButtons: {
+      addToCart: 'button[data-automation-id="atc"], button[data-dca-name="ItemBuyBoxAddToCartButton"]',
+      buyNow: ""
+    },
+    searchLayout: {
+      resultsSlot: '[data-testid="item-stack"]',
+      tileTitle: '[data-automation-id="product-title"]'
+    },
+    productChangeSelectors: ['h1[itemprop="name"]', '[itemprop="price"]'],
+    parsePrice: Storefronts.parsePriceAmount
+  });
+})();
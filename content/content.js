@@ -1,55 +1,57 @@
-/**
- * Returns true if the current URL looks like an Amazon product detail page.
- *
- * Amazon product pages commonly look like:
- * - https://www.amazon.com/dp/B08N5WRWNW
- * - https://www.amazon.com/gp/product/B08N5WRWNW
- * - https://www.amazon.com/Some-Product-Name/dp/B08N5WRWNW
- */
 try {
   globalThis.FairFindzContentScriptLoaded = true;
   globalThis.FairFindzContentScriptInjecting = false;
 } catch {}
 
-function isProductPage(urlString = window.location.href, { detectCategory = false } = {}) {
-  let url;
+// Tokenizing, stemming and phrase helpers live in content/text-analysis.js,
+// which manifest.json loads before this file.
+const textAnalyzer = globalThis.FairFindzText.createAnalyzer();
+const { countPhraseOccurrences, maskPhrases } = globalThis.FairFindzText;
 
-  try {
-    url = new URL(urlString);
-  } catch {
-    // If the URL can't be parsed, treat it as not a product page.
-    return false;
-  }
+// Marketplace hosts, currencies and price parsing live in content/storefronts.js.
+const Storefronts = globalThis.FairFindzStorefronts;
 
-  // Ensure we're on an amazon.com host (www.amazon.com, smile.amazon.com, etc.)
-  // If you later want other Amazon TLDs (amazon.co.uk, amazon.ca, etc.), expand this.
-  if (!/(^|\.)amazon\.com$/i.test(url.hostname)) return false;
+// Retailer-specific URL detection and extraction live in content/adapters/.
+const SiteAdapters = globalThis.FairFindzSiteAdapters;
 
-  const path = url.pathname;
+/**
+ * The retailer adapter for a URL plus the parsed URL its methods take, or null
+ * when the URL is not on a supported retailer.
+ */
+function getSiteForUrl(urlString = window.location.href) {
+  const url = SiteAdapters.parseUrl(urlString);
+  const adapter = url && SiteAdapters.getAdapterForUrl(url);
+  return adapter ? { adapter, url } : null;
+}
 
-  // Explicitly exclude common non-product areas so we don't accidentally match.
-  // (This list isn't exhaustive, but covers the main ones you asked about.)
-  const excludedPrefixes = [
-    "/s", // search results
-    "/gp/cart", // cart
-    "/cart", // cart (sometimes appears)
-    "/gp/buy", // checkout flow
-    "/checkout" // checkout
-  ];
+function getSiteAdapter(urlString = window.location.href) {
+  return getSiteForUrl(urlString)?.adapter || null;
+}
+
+/** "product", "search", "cart", or null when the page is none of those on a supported retailer. */
+function getPageType(urlString = window.location.href) {
+  const site = getSiteForUrl(urlString);
+  return site ? site.adapter.getPageType(site.url) : null;
+}
 
-  // Home page: "/"
-  if (path === "/") return false;
-  if (excludedPrefixes.some((prefix) => path.startsWith(prefix))) return false;
+/** The storefront of the current page; amazon.com when the page is not a known storefront. */
+function getCurrentStorefront(urlString = window.location.href) {
+  const site = getSiteForUrl(urlString);
+  return site?.adapter.getStorefront(site.url) || Storefronts.getStorefrontById(Storefronts.DEFAULT_STOREFRONT_ID);
+}
 
-  // Product pages typically include an ASIN (10 characters, letters/numbers).
-  // We match two main patterns:
-  // - /dp/ASIN
-  // - /gp/product/ASIN
-  const dpPattern = /\/dp\/([A-Z0-9]{10})(?:[/?]|$)/i;
-  const gpProductPattern = /\/gp\/product\/([A-Z0-9]{10})(?:[/?]|$)/i;
-  const gpAwPattern = /\/gp\/aw\/d\/([A-Z0-9]{10})(?:[/?]|$)/i;
+/** The retailer's id for the product on the page (the ASIN on Amazon), or null. */
+function getPageProductId(urlString = window.location.href) {
+  const site = getSiteForUrl(urlString);
+  return site ? site.adapter.getProductId(site.url) : null;
+}
 
-  const isProduct = dpPattern.test(path) || gpProductPattern.test(path) || gpAwPattern.test(path);
+/**
+ * Returns true if the URL is a product detail page on a supported retailer,
+ * e.g. https://www.amazon.com/dp/B08N5WRWNW or https://www.walmart.com/ip/10450996.
+ */
+function isProductPage(urlString = window.location.href, { detectCategory = false } = {}) {
+  const isProduct = getPageType(urlString) === "product";
 
   // Optional: when you're on a product page, also detect category from page text.
   // Keeping this optional lets you reuse isProductPage() purely as a URL check.
@@ -61,61 +63,106 @@ function isProductPage(urlString = window.location.href, { detectCategory = fals
   return isProduct;
 }
 
+/**
+ * Returns true if the URL is a search results page with a query:
+ * - https://www.amazon.com/s?k=coffee
+ * - https://www.walmart.com/search?q=coffee
+ */
+function isSearchResultsPage(urlString = window.location.href) {
+  return getPageType(urlString) === "search";
+}
+
+/**
+ * Returns true on the retailer's shopping cart (/gp/cart/view.html, /cart).
+ */
+function isCartPage(urlString = window.location.href) {
+  return getPageType(urlString) === "cart";
+}
+
+/**
+ * Returns true on a wishlist or gift registry (/hz/wishlist/ls/..., /registries/...).
+ */
+function isListPage(urlString = window.location.href) {
+  return getPageType(urlString) === "list";
+}
+
+/**
+ * Returns true on the retailer's subscription management page (Subscribe & Save on Amazon).
+ */
+function isSubscriptionsPage(urlString = window.location.href) {
+  return getPageType(urlString) === "subscriptions";
+}
+
+/**
+ * Returns true on the retailer's order history ("Your Orders" on Amazon).
+ */
+function isOrderHistoryPage(urlString = window.location.href) {
+  return getPageType(urlString) === "orders";
+}
+
+/**
+ * Reads the search query from a search results URL.
+ */
+function getSearchQuery(urlString = window.location.href) {
+  const site = getSiteForUrl(urlString);
+  return site ? site.adapter.getSearchQuery(site.url) : "";
+}
+
 /**
  * Tries to infer the product category from page text.
  *
- * We use multiple sources because Amazon pages vary:
- * - Title: usually #productTitle
- * - Breadcrumbs: category/navigation links near the top
- * - Description: feature bullets + product description blocks
- */
-function getProductCategory() {
-  // Keyword lists (lowercase). Keep these small and easy to tweak.
-  const keywordSets = {
-    coffee: ["coffee", "espresso", "k-cup", "keurig", "beans"],
-    candles: ["candle", "candles", "scented", "soy candle", "soy", "fragrance"]
-  };
-
-  // Helper: safely grab visible text content from a selector.
-  const textFrom = (selector) => {
-    const el = document.querySelector(selector);
-    return el?.textContent ? el.textContent.trim() : "";
-  };
+ * We use the title and breadcrumbs from the retailer adapter; feature bullets
+ * and descriptions are too noisy (see getCategoryFromText).
+ *
+ * Category keyword lists come from the domain taxonomy (see loadDomainTaxonomy).
+ * The returned value is a domain id, or "unknown".
+ */
+function getProductCategory(taxonomy = domainTaxonomy) {
+  const site = getSiteForUrl();
+  if (!site) return "unknown";
 
-  // 1) Product title
-  const titleText = textFrom("#productTitle") || textFrom("h1#title") || "";
+  const { title, breadcrumbs } = site.adapter.extractProduct(document, site.url);
+  return getCategoryFromText(title, breadcrumbs, taxonomy);
+}
 
-  // 2) Breadcrumbs / navigation (Amazon uses a few variations)
-  // Common containers: #wayfinding-breadcrumbs_container, #wayfinding-breadcrumbs_feature_div
-  // We also look for obvious breadcrumb-like links.
-  const breadcrumbText =
-    textFrom("#wayfinding-breadcrumbs_container") ||
-    textFrom("#wayfinding-breadcrumbs_feature_div") ||
-    textFrom(".a-breadcrumb") ||
-    "";
+/**
+ * Category detection on plain text, shared by product pages and search result
+ * tiles (which have a title but no breadcrumbs).
+ */
+function getCategoryFromText(titleText, breadcrumbText = "", taxonomy = domainTaxonomy) {
+  const categoryDomains = (taxonomy?.domains || []).filter((d) => d.categoryKeywords.length);
+  if (!categoryDomains.length) return "unknown";
 
   // Combine ONLY high-signal category cues.
   // Breadcrumbs are useful, but feature bullets/description can include unrelated content
   // (recommendations, promos, etc.) that can cause false positives.
-  const haystack = `${titleText}\n${breadcrumbText}`.toLowerCase();
+  const haystack = tokenizeText(`${titleText}\n${breadcrumbText}`);
 
   // Score each category by counting how many keywords appear.
-  const scoreCategory = (keywords) =>
-    keywords.reduce((score, kw) => (haystack.includes(kw) ? score + 1 : score), 0);
+  // The domain's exclusion phrases are blanked out first, same as detectDomainsFromText.
+  const scoreCategory = (domain) => {
+    const scoped = maskPhrases(haystack, domain.phrases.exclusions);
+    return domain.phrases.categoryKeywords.reduce(
+      (score, phrase) => (countPhraseOccurrences(scoped, phrase) > 0 ? score + 1 : score),
+      0
+    );
+  };
 
-  const coffeeScore = scoreCategory(keywordSets.coffee);
-  const candleScore = scoreCategory(keywordSets.candles);
+  const scores = categoryDomains
+    .map((domain) => ({ domain, score: scoreCategory(domain) }))
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score);
 
-  if (coffeeScore === 0 && candleScore === 0) return "unknown";
-  if (coffeeScore > candleScore) return "coffee";
-  if (candleScore > coffeeScore) return "candles";
+  if (!scores.length) return "unknown";
+  if (scores.length === 1 || scores[0].score > scores[1].score) return scores[0].domain.id;
 
-  // Tie-breaker: prefer title matches if both categories score equally.
-  const titleLower = titleText.toLowerCase();
-  const coffeeInTitle = keywordSets.coffee.some((kw) => titleLower.includes(kw));
-  const candlesInTitle = keywordSets.candles.some((kw) => titleLower.includes(kw));
-  if (coffeeInTitle && !candlesInTitle) return "coffee";
-  if (candlesInTitle && !coffeeInTitle) return "candles";
+  // Tie-breaker: prefer title matches if several categories score equally.
+  const titleTokens = tokenizeText(titleText);
+  const tied = scores.filter((x) => x.score === scores[0].score);
+  const inTitle = tied.filter((x) =>
+    x.domain.phrases.categoryKeywords.some((phrase) => countPhraseOccurrences(titleTokens, phrase) > 0)
+  );
+  if (inTitle.length === 1) return inTitle[0].domain.id;
 
   return "unknown";
 }
@@ -123,7 +170,7 @@ function getProductCategory() {
 function isValidAmazonProductUrl(urlString) {
   try {
     const url = new URL(urlString);
-    if (!/(^|\.)amazon\.com$/i.test(url.hostname)) return false;
+    if (!Storefronts.getStorefrontForHost(url.hostname)) return false;
     return /^\/dp\/[A-Z0-9]{10}(?:[/?]|$)/i.test(url.pathname) ||
       /^\/gp\/product\/[A-Z0-9]{10}(?:[/?]|$)/i.test(url.pathname) ||
       /^\/gp\/aw\/d\/[A-Z0-9]{10}(?:[/?]|$)/i.test(url.pathname) ||
@@ -142,6 +189,47 @@ function isValidAmazonImageUrl(urlString) {
   }
 }
 
+/**
+ * Validates the curator matching rules shared by catalog products and taxonomy domains:
+ * - negativeKeywords: never suggest when the Amazon page mentions one of them
+ * - requiredKeywords: only suggest when the page mentions at least one of them
+ * - boostRules: [{ keywords, points }], adds `points` when the page mentions any keyword
+ * Returns normalized copies; missing fields become empty arrays.
+ */
+function validateMatchingRules(source, path) {
+  const isStringArray = (value) =>
+    Array.isArray(value) && value.every((v) => typeof v === "string" && v.trim().length > 0);
+
+  for (const field of ["negativeKeywords", "requiredKeywords"]) {
+    if (source[field] !== undefined && source[field] !== null && !isStringArray(source[field])) {
+      throw new Error(`${path}.${field} must be an array of strings if provided`);
+    }
+  }
+
+  if (source.boostRules !== undefined && source.boostRules !== null) {
+    if (!Array.isArray(source.boostRules)) {
+      throw new Error(`${path}.boostRules must be an array if provided`);
+    }
+    source.boostRules.forEach((rule, i) => {
+      if (!rule || !isStringArray(rule.keywords) || !rule.keywords.length) {
+        throw new Error(`${path}.boostRules[${i}].keywords must be a non-empty array of strings`);
+      }
+      if (typeof rule.points !== "number" || !Number.isFinite(rule.points)) {
+        throw new Error(`${path}.boostRules[${i}].points must be a number`);
+      }
+    });
+  }
+
+  return {
+    negativeKeywords: (source.negativeKeywords || []).map((kw) => normalizeText(kw)),
+    requiredKeywords: (source.requiredKeywords || []).map((kw) => normalizeText(kw)),
+    boostRules: (source.boostRules || []).map((rule) => ({
+      keywords: rule.keywords.map((kw) => normalizeText(kw)),
+      points: rule.points
+    }))
+  };
+}
+
 function validateBusinessesData(data) {
   if (!data || typeof data !== "object" || Array.isArray(data)) {
     throw new Error("businesses.json must be an object with a 'products' array");
@@ -162,7 +250,7 @@ function validateBusinessesData(data) {
 
   // These fields are used as fallbacks. Live values can be hydrated from Amazon.
   const optionalFields = ["price", "rating", "reviewCount", "imageUrl"];
-  const allowedAvailability = new Set(["in_stock", "out_of_stock"]);
+  const allowedAvailability = new Set(PRODUCT_AVAILABILITY_VALUES);
   const seenIds = new Set();
 
   products.forEach((p, idx) => {
@@ -194,8 +282,8 @@ function validateBusinessesData(data) {
     }
 
     if (p.price !== "") {
-      if (typeof p.price !== "string" || !/^\$\d+(?:\.\d{2})?$/.test(p.price)) {
-        throw new Error(`products[${idx}].price must be empty or a string like '$26.99'`);
+      if (typeof p.price !== "string" || !Storefronts.isPriceText(p.price)) {
+        throw new Error(`products[${idx}].price must be empty or a string like '$26.99' or '26,99 €'`);
       }
     }
 
@@ -213,7 +301,13 @@ function validateBusinessesData(data) {
 
     if (p.availability !== undefined) {
       if (typeof p.availability !== "string" || !allowedAvailability.has(p.availability)) {
-        throw new Error(`products[${idx}].availability must be 'in_stock' or 'out_of_stock' if provided`);
+        throw new Error(`products[${idx}].availability must be one of ${PRODUCT_AVAILABILITY_VALUES.join(", ")} if provided`);
+      }
+    }
+
+    if (p.availabilityCheckedAt !== undefined) {
+      if (typeof p.availabilityCheckedAt !== "string" || Number.isNaN(Date.parse(p.availabilityCheckedAt))) {
+        throw new Error(`products[${idx}].availabilityCheckedAt must be an ISO date string if provided`);
       }
     }
 
@@ -227,10 +321,32 @@ function validateBusinessesData(data) {
       throw new Error(`products[${idx}].productUrl must be a valid Amazon product URL`);
     }
 
+    // Storefronts the listing is sold in; defaults to the storefront of its productUrl.
+    if (p.marketplaces !== undefined) {
+      if (
+        !Array.isArray(p.marketplaces) ||
+        !p.marketplaces.length ||
+        !p.marketplaces.every((id) => typeof id === "string" && Storefronts.getStorefrontById(id))
+      ) {
+        const known = Storefronts.STOREFRONTS.map((sf) => sf.id).join(", ");
+        throw new Error(`products[${idx}].marketplaces must be a non-empty array of storefront ids (${known}) if provided`);
+      }
+    } else {
+      p.marketplaces = [getProductStorefront(p).id];
+    }
+
     if (p.description !== undefined && typeof p.description !== "string") {
       throw new Error(`products[${idx}].description must be a string if provided`);
     }
 
+    if (p.brandStory !== undefined && typeof p.brandStory !== "string") {
+      throw new Error(`products[${idx}].brandStory must be a string if provided`);
+    }
+
+    if (p.offersSubscription !== undefined && typeof p.offersSubscription !== "boolean") {
+      throw new Error(`products[${idx}].offersSubscription must be a boolean if provided`);
+    }
+
     if (p.badges !== undefined) {
       if (!Array.isArray(p.badges) || !p.badges.every((b) => typeof b === "string" && b.trim().length > 0)) {
         throw new Error(`products[${idx}].badges must be an array of strings if provided`);
@@ -251,6 +367,17 @@ function validateBusinessesData(data) {
         throw new Error(`products[${idx}].amazonCategories must be an array of strings if provided`);
       }
     }
+
+    // Listings of the same parent product (flavors, sizes) share a productId.
+    for (const field of ["variant", "listingId", "productId", "brandId"]) {
+      if (p[field] !== undefined && p[field] !== null && typeof p[field] !== "string") {
+        throw new Error(`products[${idx}].${field} must be a string if provided`);
+      }
+    }
+    p.variant = (p.variant || "").trim();
+    p.productId = (p.productId || "").trim() || p.id;
+
+    Object.assign(p, validateMatchingRules(p, `products[${idx}]`));
   });
 
   return products;
@@ -296,11 +423,399 @@ async function getSupabasePublicConfig() {
   });
 }
 
-function formatUsdPrice(value) {
-  if (value === null || value === undefined || value === "") return "";
-  const n = typeof value === "number" ? value : Number(value);
-  if (!Number.isFinite(n)) return "";
-  return `$${n.toFixed(2)}`;
+// Formats an amount in the current storefront's currency ("$26.99", "26,99 €").
+function formatPrice(value, storefront = getCurrentStorefront(), options) {
+  return Storefronts.formatPrice(value, storefront, options);
+}
+
+// Parses Amazon/catalog price text like "$1,234.56" or "1.234,56 €" into a number.
+function parsePriceText(text) {
+  return Storefronts.parsePriceAmount(text);
+}
+
+// Alternatives priced outside [minRatio, maxRatio] x the Amazon price are dropped.
+const DEFAULT_PRICE_BAND = { minRatio: 0.2, maxRatio: 2.5 };
+
+function getPriceBandSettings() {
+  return new Promise((resolve) => {
+    try {
+      chrome.storage.local.get(["ff_price_min_ratio", "ff_price_max_ratio"], (items) => {
+        const minRatio = Number(items?.ff_price_min_ratio);
+        const maxRatio = Number(items?.ff_price_max_ratio);
+        resolve({
+          minRatio: Number.isFinite(minRatio) && minRatio >= 0 ? minRatio : DEFAULT_PRICE_BAND.minRatio,
+          maxRatio: Number.isFinite(maxRatio) && maxRatio > 0 ? maxRatio : DEFAULT_PRICE_BAND.maxRatio
+        });
+      });
+    } catch {
+      resolve({ ...DEFAULT_PRICE_BAND });
+    }
+  });
+}
+
+/**
+ * Supabase config plus the signed-in user's token and id, or null for guests
+ * and signed-out users. User tables (user_preferences, user_history,
+ * user_favorites) are only readable/writable with the user's token (RLS).
+ */
+async function getSignedInSupabaseContext() {
+  const authState = await globalThis.FairFindzAuth?.getAuthState?.().catch(() => null);
+  const accessToken = authState?.session?.access_token;
+  const userId = authState?.session?.user?.id;
+  if (!accessToken || !userId) return null;
+
+  const { url, anonKey } = await getSupabasePublicConfig();
+  if (!url || !anonKey) return null;
+
+  return { baseUrl: url.replace(/\/$/, ""), anonKey, accessToken, userId };
+}
+
+function getUserRequestHeaders(ctx, extra = {}) {
+  return {
+    apikey: ctx.anonKey,
+    Authorization: `Bearer ${ctx.accessToken}`,
+    Accept: "application/json",
+    ...extra
+  };
+}
+
+/**
+ * Loads the signed-in user's price_range_min/max from `user_preferences`.
+ * Returns nulls for guests, or when the request fails.
+ */
+async function loadUserPriceRange() {
+  const empty = { userMin: null, userMax: null };
+
+  const ctx = await getSignedInSupabaseContext();
+  if (!ctx) return empty;
+
+  try {
+    const qs = new URLSearchParams({
+      select: "price_range_min,price_range_max",
+      user_id: `eq.${ctx.userId}`,
+      limit: "1"
+    });
+    const res = await fetch(`${ctx.baseUrl}/rest/v1/user_preferences?${qs.toString()}`, {
+      method: "GET",
+      headers: getUserRequestHeaders(ctx)
+    });
+    if (!res.ok) return empty;
+
+    const rows = await res.json();
+    const row = Array.isArray(rows) ? rows[0] : null;
+    return {
+      userMin: parsePriceText(row?.price_range_min),
+      userMax: parsePriceText(row?.price_range_max)
+    };
+  } catch {
+    return empty;
+  }
+}
+
+const USER_HISTORY_ACTIONS = ["viewed", "clicked", "favorited"];
+
+/**
+ * Records a `user_history` row for signed-in users; a no-op for guests.
+ * `productId` is the catalog listing id. Failures are logged and swallowed.
+ */
+async function logUserHistoryEvent(actionType, { productId = null, amazonProductUrl = null } = {}) {
+  if (!USER_HISTORY_ACTIONS.includes(actionType)) {
+    throw new Error(`Unknown user_history action_type: ${actionType}`);
+  }
+
+  const ctx = await getSignedInSupabaseContext();
+  if (!ctx) return false;
+
+  try {
+    const res = await fetch(`${ctx.baseUrl}/rest/v1/user_history`, {
+      method: "POST",
+      headers: getUserRequestHeaders(ctx, { "Content-Type": "application/json", Prefer: "return=minimal" }),
+      body: JSON.stringify({
+        user_id: ctx.userId,
+        product_id: productId,
+        action_type: actionType,
+        amazon_product_url: amazonProductUrl
+      })
+    });
+    if (!res.ok) console.warn("⚠️ user_history insert failed:", res.status);
+    return res.ok;
+  } catch (err) {
+    console.warn("⚠️ user_history insert failed:", err?.message || err);
+    return false;
+  }
+}
+
+// Favorites are kept locally so guests can use them too, and mirrored to
+// `user_favorites` when the user is signed in.
+const FAVORITES_STORAGE_KEY = "ff_favorite_product_ids";
+
+function loadFavoriteProductIds() {
+  return new Promise((resolve) => {
+    try {
+      chrome.storage.local.get([FAVORITES_STORAGE_KEY], (items) => {
+        const ids = items?.[FAVORITES_STORAGE_KEY];
+        resolve(Array.isArray(ids) ? ids.filter((id) => typeof id === "string" && id) : []);
+      });
+    } catch {
+      resolve([]);
+    }
+  });
+}
+
+async function syncFavoriteToSupabase(productId, isFavorite) {
+  const ctx = await getSignedInSupabaseContext();
+  if (!ctx) return;
+
+  try {
+    const endpoint = `${ctx.baseUrl}/rest/v1/user_favorites`;
+    const res = isFavorite
+      ? await fetch(`${endpoint}?on_conflict=user_id,product_id`, {
+          method: "POST",
+          headers: getUserRequestHeaders(ctx, {
+            "Content-Type": "application/json",
+            Prefer: "resolution=ignore-duplicates,return=minimal"
+          }),
+          body: JSON.stringify({ user_id: ctx.userId, product_id: productId })
+        })
+      : await fetch(`${endpoint}?${new URLSearchParams({ user_id: `eq.${ctx.userId}`, product_id: `eq.${productId}` })}`, {
+          method: "DELETE",
+          headers: getUserRequestHeaders(ctx, { Prefer: "return=minimal" })
+        });
+    if (!res.ok) console.warn("⚠️ user_favorites update failed:", res.status);
+  } catch (err) {
+    console.warn("⚠️ user_favorites update failed:", err?.message || err);
+  }
+}
+
+/**
+ * Adds or removes a catalog listing from the favorites and returns the new id list.
+ * Adding also records a "favorited" history event for signed-in users.
+ */
+async function setProductFavorite(product, isFavorite) {
+  const productId = product?.id;
+  if (!productId) return loadFavoriteProductIds();
+
+  const current = await loadFavoriteProductIds();
+  const next = isFavorite
+    ? [...current.filter((id) => id !== productId), productId]
+    : current.filter((id) => id !== productId);
+
+  await new Promise((resolve) => {
+    try {
+      chrome.storage.local.set({ [FAVORITES_STORAGE_KEY]: next }, () => resolve());
+    } catch {
+      resolve();
+    }
+  });
+
+  await syncFavoriteToSupabase(productId, isFavorite);
+  if (isFavorite) await logUserHistoryEvent("favorited", { productId, amazonProductUrl: product.productUrl || null });
+  return next;
+}
+
+let priceSettingsPromise = null;
+
+// Signing in or out and the options page change what loadPriceSettings reads,
+// so the next match loads the settings again.
+const PRICE_SETTINGS_STORAGE_KEYS = [
+  "ff_price_min_ratio",
+  "ff_price_max_ratio",
+  "ff_supabase_session",
+  "ff_guest_mode",
+  "ff_supabase_url",
+  "ff_supabase_anon_key"
+];
+
+chrome.storage?.onChanged?.addListener((changes, areaName) => {
+  if (areaName === "local" && PRICE_SETTINGS_STORAGE_KEYS.some((key) => key in changes)) {
+    priceSettingsPromise = null;
+  }
+});
+
+function loadPriceSettings() {
+  if (!priceSettingsPromise) {
+    priceSettingsPromise = Promise.all([getPriceBandSettings(), loadUserPriceRange()]).then(([band, range]) => ({
+      ...band,
+      ...range
+    }));
+  }
+  return priceSettingsPromise;
+}
+
+// Size units folded onto a common base so "2 lb" and "32 oz" compare as equal.
+// Order matters: longer units must be tried before their prefixes ("fl oz" before "oz").
+const SIZE_UNITS = [
+  { pattern: "fl\\.?\\s*oz|fluid ounces?", base: "floz", factor: 1 },
+  { pattern: "oz|ounces?", base: "oz", factor: 1 },
+  { pattern: "lbs?|pounds?", base: "oz", factor: 16 },
+  { pattern: "kg|kilograms?", base: "g", factor: 1000 },
+  { pattern: "g|grams?", base: "g", factor: 1 },
+  { pattern: "ml|milliliters?", base: "ml", factor: 1 },
+  { pattern: "l|liters?|litres?", base: "ml", factor: 1000 },
+  { pattern: "count|ct|(?:keurig\\s+)?k-?cups?|pods?|capsules?|gummies|tablets?|pack|pk", base: "count", factor: 1 },
+  { pattern: "day supply", base: "day", factor: 1 }
+];
+
+const SIZE_PATTERN = new RegExp(
+  `(\\d+(?:\\.\\d+)?)\\s*-?\\s*(${SIZE_UNITS.map((u) => u.pattern).join("|")})\\b`,
+  "i"
+);
+
+/**
+ * Parses the first size/quantity in `text` ("28 Oz", "12oz", "30 Day Supply").
+ * Returns `{ value, base }` in the unit's base, or null when there is none.
+ */
+function parseSizeQuantity(text) {
+  const m = String(text || "").match(SIZE_PATTERN);
+  if (!m) return null;
+
+  const unit = SIZE_UNITS.find((u) => new RegExp(`^(?:${u.pattern})$`, "i").test(m[2]));
+  const value = Number(m[1]) * unit.factor;
+  return value > 0 ? { value, base: unit.base } : null;
+}
+
+/**
+ * Total quantity of a listing, multiplying out multipacks:
+ * "12 oz, Pack of 3" and "3 x 12 oz" are both 36 oz.
+ */
+function parseProductQuantity(text) {
+  const size = parseSizeQuantity(text);
+  if (!size) return null;
+
+  // A count already is the pack size ("6 Pack", "60 K-Cup Pods").
+  if (size.base === "count") return size;
+
+  const m = String(text).match(/\bpack of\s*(\d+)\b|\b(\d+)\s*-?\s*(?:pack|pk)\b|\b(\d+)\s*x\s*\d/i);
+  const packs = Number(m?.[1] || m?.[2] || m?.[3] || 1);
+  return { value: Math.round(size.value * (packs > 0 ? packs : 1) * 1000) / 1000, base: size.base };
+}
+
+function getProductQuantity(product) {
+  return parseProductQuantity(product?.variant) || parseProductQuantity(product?.name);
+}
+
+// How each base unit is shown; grams and milliliters read better per 100.
+const UNIT_PRICE_DISPLAY = {
+  oz: { per: 1, label: "oz" },
+  floz: { per: 1, label: "fl oz" },
+  g: { per: 100, label: "100 g" },
+  ml: { per: 100, label: "100 ml" },
+  count: { per: 1, label: "count" },
+  day: { per: 1, label: "day" }
+};
+
+function computeUnitPrice(price, quantity) {
+  if (!price || !quantity?.value) return null;
+  return { value: price / quantity.value, base: quantity.base };
+}
+
+function formatUnitPrice(unitPrice) {
+  if (!unitPrice) return "";
+  const display = UNIT_PRICE_DISPLAY[unitPrice.base];
+  const value = unitPrice.value * display.per;
+  // Sub-dime unit prices (per count, per gram) need the extra digit to be distinguishable.
+  const amount = formatPrice(value, getCurrentStorefront(), { fractionDigits: value < 0.1 ? 3 : 2 });
+  return `${amount}/${display.label}`;
+}
+
+/**
+ * Compares an alternative's price with the Amazon price.
+ * Returns null when either price is unknown.
+ *
+ * When both sides have a size in the same unit (oz, count, ...) the comparison is made
+ * per unit, so a 12 oz bag and a 2 lb bag are judged fairly; `basis` says which was used.
+ */
+function comparePrices(amazonPrice, alternativePrice, { amazonQuantity = null, alternativeQuantity = null } = {}) {
+  if (!amazonPrice || !alternativePrice) return null;
+
+  const amazonUnitPrice = computeUnitPrice(amazonPrice, amazonQuantity);
+  const alternativeUnitPrice = computeUnitPrice(alternativePrice, alternativeQuantity);
+  const perUnit = Boolean(amazonUnitPrice && alternativeUnitPrice && amazonUnitPrice.base === alternativeUnitPrice.base);
+
+  const reference = perUnit ? amazonUnitPrice.value : amazonPrice;
+  const candidate = perUnit ? alternativeUnitPrice.value : alternativePrice;
+  const delta = candidate - reference;
+  const ratio = candidate / reference;
+  const suffix = perUnit ? ` per ${UNIT_PRICE_DISPLAY[amazonUnitPrice.base].label}` : "";
+
+  // Within 5% (or 50 cents on cheap items) reads as "about the same".
+  let label;
+  let kind;
+  if (Math.abs(delta) <= Math.max(perUnit ? 0 : 0.5, reference * 0.05)) {
+    label = `About the same${suffix}`;
+    kind = "same";
+  } else if (delta < 0) {
+    label = `Cheaper${suffix}`;
+    kind = "cheaper";
+  } else {
+    label = perUnit ? `+${formatUnitPrice({ value: delta, base: amazonUnitPrice.base })}` : `+${formatPrice(delta)}`;
+    kind = "more";
+  }
+
+  return {
+    amazonPrice,
+    alternativePrice,
+    delta,
+    ratio,
+    label,
+    kind,
+    basis: perUnit ? "unit" : "total",
+    amazonUnitPrice,
+    alternativeUnitPrice
+  };
+}
+
+/** The storefront a catalog listing is priced in: the host of its productUrl. */
+function getProductStorefront(product) {
+  return (
+    Storefronts.getStorefrontForUrl(product?.productUrl) || Storefronts.getStorefrontById(Storefronts.DEFAULT_STOREFRONT_ID)
+  );
+}
+
+/** Listings without a `marketplaces` tag are sold where their productUrl points. */
+function isAvailableInStorefront(product, storefrontId) {
+  const marketplaces =
+    Array.isArray(product?.marketplaces) && product.marketplaces.length
+      ? product.marketplaces
+      : [getProductStorefront(product).id];
+  return marketplaces.includes(storefrontId);
+}
+
+const storefrontProductsCache = new WeakMap();
+
+// Filters the catalog to one storefront. Cached per catalog array so the relevance index
+// (also cached per array) is not rebuilt on every match.
+function getStorefrontProducts(products, storefrontId) {
+  if (!Array.isArray(products)) return [];
+  let byStorefront = storefrontProductsCache.get(products);
+  if (!byStorefront) {
+    byStorefront = new Map();
+    storefrontProductsCache.set(products, byStorefront);
+  }
+  if (!byStorefront.has(storefrontId)) {
+    byStorefront.set(storefrontId, products.filter((p) => isAvailableInStorefront(p, storefrontId)));
+  }
+  return byStorefront.get(storefrontId);
+}
+
+/** The page price, parsed by the adapter of the retailer it was read from. */
+function parsePagePrice(amazonInfo) {
+  const adapter = SiteAdapters.getAdapterById(amazonInfo?.retailer);
+  return adapter ? adapter.parsePrice(amazonInfo.priceText) : parsePriceText(amazonInfo?.priceText);
+}
+
+/**
+ * Compares a catalog product with the Amazon page, per unit when sizes allow.
+ * Prices in different currencies are not compared.
+ */
+function comparePriceToPage(amazonInfo, product) {
+  const pageStorefront = Storefronts.getStorefrontById(amazonInfo?.storefront) || getCurrentStorefront();
+  if (getProductStorefront(product).currency !== pageStorefront.currency) return null;
+
+  return comparePrices(parsePagePrice(amazonInfo), parsePriceText(product?.price), {
+    amazonQuantity: amazonInfo?.quantity || parseProductQuantity(amazonInfo?.title),
+    alternativeQuantity: getProductQuantity(product)
+  });
 }
 
 async function loadSupabaseProducts() {
@@ -329,7 +844,19 @@ async function loadSupabaseProducts() {
       "description",
       "badges",
       "amazon_keywords",
-      "amazon_categories"
+      "amazon_categories",
+      "variant",
+      "listing_id",
+      "parent_product_id",
+      "brand_id",
+      "brand_story",
+      "offers_subscription",
+      "availability",
+      "availability_checked_at",
+      "negative_keywords",
+      "required_keywords",
+      "boost_rules",
+      "marketplaces"
     ].join(","),
     is_active: "eq.true"
   });
@@ -362,7 +889,7 @@ async function loadSupabaseProducts() {
       name: String(r?.name || "").trim(),
       brand: String(r?.brand || "").trim(),
       category: String(r?.category || "").trim(),
-      price: formatUsdPrice(r?.price),
+      price: formatPrice(r?.price, getProductStorefront({ productUrl: r?.product_url })),
       rating: typeof r?.rating === "number" ? r.rating : Number(r?.rating || 0),
       reviewCount: typeof r?.review_count === "number" ? r.review_count : Number(r?.review_count || 0),
       imageUrl: r?.image_url ? String(r.image_url).trim() : "",
@@ -370,360 +897,1382 @@ async function loadSupabaseProducts() {
       description: r?.description ? String(r.description) : "",
       badges: Array.isArray(r?.badges) ? r.badges : [],
       amazonKeywords: Array.isArray(r?.amazon_keywords) ? r.amazon_keywords : [],
-      amazonCategories: Array.isArray(r?.amazon_categories) ? r.amazon_categories : []
+      amazonCategories: Array.isArray(r?.amazon_categories) ? r.amazon_categories : [],
+      variant: r?.variant ? String(r.variant).trim() : "",
+      listingId: r?.listing_id ? String(r.listing_id) : null,
+      productId: r?.parent_product_id ? String(r.parent_product_id) : String(r?.id || "").trim(),
+      brandId: r?.brand_id ? String(r.brand_id) : null,
+      brandStory: r?.brand_story ? String(r.brand_story).trim() : "",
+      offersSubscription: r?.offers_subscription === true,
+      availability: PRODUCT_AVAILABILITY_VALUES.includes(r?.availability) ? r.availability : "in_stock",
+      availabilityCheckedAt: r?.availability_checked_at ? String(r.availability_checked_at) : null,
+      negativeKeywords: Array.isArray(r?.negative_keywords) ? r.negative_keywords : [],
+      requiredKeywords: Array.isArray(r?.required_keywords) ? r.required_keywords : [],
+      boostRules: Array.isArray(r?.boost_rules) ? r.boost_rules : [],
+      marketplaces: Array.isArray(r?.marketplaces) ? r.marketplaces.filter((id) => Storefronts.getStorefrontById(id)) : []
     }))
-    .filter((p) => p.id && p.name && p.brand && p.category && p.productUrl);
+    .filter((p) => p.id && p.name && p.brand && p.category && p.productUrl)
+    .map((p) => (p.marketplaces.length ? p : { ...p, marketplaces: [getProductStorefront(p).id] }))
+    .map((p) => {
+      // A malformed rule set must not take the whole catalog down; drop the rules instead.
+      try {
+        return { ...p, ...validateMatchingRules(p, `product ${p.id}`) };
+      } catch (err) {
+        console.warn("⚠️ Ignoring invalid matching rules:", err?.message || err);
+        return { ...p, negativeKeywords: [], requiredKeywords: [], boostRules: [] };
+      }
+    });
 }
 
-let productDatabasePromise = null;
+function validateDomainTaxonomy(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("domains.json must be an object with a 'domains' array");
+  }
 
-let cachedAmazonInfo = null;
-let cachedMatches = null;
-let lastObservedUrl = null;
-let cachedUrl = null;
-let cachedAsin = null;
-let toastInitialized = false;
-let toastClosedByUser = false;
-let toastCountdownIntervalId = null;
+  const domains = data.domains;
+  if (!Array.isArray(domains)) {
+    throw new Error("domains.json missing required 'domains' array");
+  }
 
-function resetRecommendationStateForNavigation() {
-  cachedAmazonInfo = null;
-  cachedMatches = null;
-  cachedUrl = null;
-  cachedAsin = null;
-  toastInitialized = false;
-  toastClosedByUser = false;
-  closeToast();
-  // If we navigated away, clear any badge state until we recompute matches.
-  sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
-}
+  const isStringArray = (value) =>
+    Array.isArray(value) && value.every((v) => typeof v === "string" && v.trim().length > 0);
 
-function onPossibleUrlChange() {
-  const href = window.location.href;
-  if (href === lastObservedUrl) return;
-  lastObservedUrl = href;
-  resetRecommendationStateForNavigation();
-  logProductPageStatus();
-}
+  if (data.stopwords !== undefined && data.stopwords !== null && !isStringArray(data.stopwords)) {
+    throw new Error("domains.json stopwords must be an array of strings if provided");
+  }
 
-function loadProductDatabase() {
-  if (!productDatabasePromise) {
-    productDatabasePromise = (async () => {
-      let cfg = { url: "", anonKey: "" };
-      try {
-        cfg = await getSupabasePublicConfig();
-      } catch {
-        cfg = { url: "", anonKey: "" };
-      }
+  const byId = new Map();
 
-      console.log("🔧 FairFindz product DB load starting", {
-        hasSupabaseUrl: Boolean(cfg?.url),
-        hasSupabaseAnonKey: Boolean(cfg?.anonKey)
-      });
+  domains.forEach((d, idx) => {
+    if (!d || typeof d !== "object" || Array.isArray(d)) {
+      throw new Error(`domains[${idx}] must be an object`);
+    }
+
+    if (typeof d.id !== "string" || !d.id.trim()) {
+      throw new Error(`domains[${idx}] missing required field 'id'`);
+    }
+    const id = d.id.trim();
+    if (byId.has(id)) throw new Error(`Duplicate domain id '${id}'`);
 
+    if (!isStringArray(d.keywords) || !d.keywords.length) {
+      throw new Error(`domains[${idx}].keywords must be a non-empty array of strings`);
+    }
+
+    for (const field of ["exclusions", "categoryKeywords", "genericKeywords"]) {
+      if (d[field] !== undefined && d[field] !== null && !isStringArray(d[field])) {
+        throw new Error(`domains[${idx}].${field} must be an array of strings if provided`);
+      }
+    }
+
+    if (d.parent !== undefined && d.parent !== null && typeof d.parent !== "string") {
+      throw new Error(`domains[${idx}].parent must be a domain id or null`);
+    }
+
+    const keywords = d.keywords.map((kw) => normalizeText(kw));
+    const exclusions = (d.exclusions || []).map((kw) => normalizeText(kw));
+    const categoryKeywords = (d.categoryKeywords || []).map((kw) => normalizeText(kw));
+    const genericKeywords = (d.genericKeywords || []).map((kw) => normalizeText(kw));
+    const rules = validateMatchingRules(d, `domains[${idx}]`);
+
+    byId.set(id, {
+      id,
+      label: typeof d.label === "string" && d.label.trim() ? d.label.trim() : id,
+      parent: d.parent ? d.parent.trim() : null,
+      keywords,
+      exclusions,
+      categoryKeywords,
+      allowSingleKeyword: Boolean(d.allowSingleKeyword),
+      genericKeywords,
+      ...rules,
+      // Analyzed once here so detection matches stems and whole tokens, not substrings.
+      phrases: {
+        keywords: keywords.map(tokenizeText),
+        exclusions: exclusions.map(tokenizeText),
+        categoryKeywords: categoryKeywords.map(tokenizeText),
+        genericKeywords: genericKeywords.map(tokenizeText)
+      }
+    });
+  });
+
+  // Parents must exist, and the parent chain must not loop back on itself.
+  for (const domain of byId.values()) {
+    const seen = new Set([domain.id]);
+    let parentId = domain.parent;
+    while (parentId) {
+      if (!byId.has(parentId)) {
+        throw new Error(`Domain '${domain.id}' references unknown parent '${parentId}'`);
+      }
+      if (seen.has(parentId)) {
+        throw new Error(`Domain '${domain.id}' has a circular parent chain`);
+      }
+      seen.add(parentId);
+      parentId = byId.get(parentId).parent;
+    }
+  }
+
+  // The curated stopwords replace the analyzer defaults for fallback keywords.
+  const analyzer = data.stopwords ? globalThis.FairFindzText.createAnalyzer({ stopwords: data.stopwords }) : textAnalyzer;
+
+  return { domains: Array.from(byId.values()), byId, analyzer };
+}
+
+async function loadBundledDomainTaxonomy() {
+  const url = chrome.runtime.getURL("data/domains.json");
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Failed to load domains.json: ${res.status} ${res.statusText}`);
+  }
+
+  return validateDomainTaxonomy(await res.json());
+}
+
+/**
+ * Reads active rows of a public Supabase table through PostgREST.
+ * Throws when Supabase is not configured or the request fails.
+ */
+async function fetchSupabaseRows(table, columns) {
+  const { url, anonKey } = await getSupabasePublicConfig();
+  if (!url || !anonKey) {
+    throw new Error("Supabase public config missing (ff_supabase_url / ff_supabase_anon_key)");
+  }
+
+  const endpoint = `${url.replace(/\/$/, "")}/rest/v1/${table}`;
+  const qs = new URLSearchParams({
+    select: columns.join(","),
+    is_active: "eq.true"
+  });
+
+  const res = await fetch(`${endpoint}?${qs.toString()}`, {
+    method: "GET",
+    headers: {
+      apikey: anonKey,
+      Authorization: `Bearer ${anonKey}`,
+      Accept: "application/json"
+    }
+  });
+
+  if (!res.ok) {
+    throw new Error(`Supabase ${table} fetch failed: ${res.status} ${res.statusText}`);
+  }
+
+  const rows = await res.json();
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Loads the taxonomy from the Supabase `product_domains` table, with the
+ * stopwords of the `text_stopwords` table. No stopword rows keeps the
+ * defaults of text-analysis.js.
+ */
+async function loadSupabaseDomainTaxonomy() {
+  const [rows, stopwordRows] = await Promise.all([
+    fetchSupabaseRows("product_domains", [
+      "id",
+      "label",
+      "parent_id",
+      "keywords",
+      "exclusions",
+      "category_keywords",
+      "allow_single_keyword",
+      "generic_keywords",
+      "negative_keywords",
+      "required_keywords",
+      "boost_rules"
+    ]),
+    fetchSupabaseRows("text_stopwords", ["word"])
+  ]);
+  if (!rows.length) return null;
+
+  const stopwords = stopwordRows.map((r) => String(r?.word || "").trim()).filter(Boolean);
+
+  // Map snake_case DB columns to the domains.json schema.
+  return validateDomainTaxonomy({
+    stopwords: stopwords.length ? stopwords : null,
+    domains: rows.map((r) => ({
+      id: String(r?.id || "").trim(),
+      label: r?.label ? String(r.label) : "",
+      parent: r?.parent_id ? String(r.parent_id).trim() : null,
+      keywords: Array.isArray(r?.keywords) ? r.keywords : [],
+      exclusions: Array.isArray(r?.exclusions) ? r.exclusions : [],
+      categoryKeywords: Array.isArray(r?.category_keywords) ? r.category_keywords : [],
+      allowSingleKeyword: Boolean(r?.allow_single_keyword),
+      genericKeywords: Array.isArray(r?.generic_keywords) ? r.generic_keywords : [],
+      negativeKeywords: Array.isArray(r?.negative_keywords) ? r.negative_keywords : [],
+      requiredKeywords: Array.isArray(r?.required_keywords) ? r.required_keywords : [],
+      boostRules: Array.isArray(r?.boost_rules) ? r.boost_rules : []
+    }))
+  });
+}
+
+let domainTaxonomyPromise = null;
+let domainTaxonomy = null;
+
+/**
+ * Loads the domain taxonomy (keywords, exclusions and parent/child links per domain).
+ *
+ * Curators maintain it in the Supabase `product_domains` table; the bundled
+ * data/domains.json is used when Supabase is unreachable or empty.
+ */
+function loadDomainTaxonomy() {
+  if (!domainTaxonomyPromise) {
+    domainTaxonomyPromise = (async () => {
+      let taxonomy = null;
       try {
-        const supabaseProducts = await loadSupabaseProducts();
-        if (Array.isArray(supabaseProducts) && supabaseProducts.length) {
-          console.log(`✅ Loaded ${supabaseProducts.length} products from Supabase`);
-          return supabaseProducts;
-        }
-        console.warn("⚠️ Supabase returned 0 products, falling back to businesses.json");
+        taxonomy = await loadSupabaseDomainTaxonomy();
+        if (taxonomy) console.log(`✅ Loaded ${taxonomy.domains.length} domains from Supabase`);
+        else console.warn("⚠️ Supabase returned 0 domains, falling back to domains.json");
       } catch (err) {
-        console.warn("⚠️ Supabase products load failed, falling back to businesses.json:", err?.message || err);
+        console.warn("⚠️ Supabase domains load failed, falling back to domains.json:", err?.message || err);
       }
 
-      return loadBusinessesProducts();
+      if (!taxonomy) taxonomy = await loadBundledDomainTaxonomy();
+      domainTaxonomy = taxonomy;
+      return taxonomy;
     })();
+
+    // Allow a retry on the next page if both sources failed.
+    domainTaxonomyPromise.catch(() => {
+      domainTaxonomyPromise = null;
+    });
+  }
+  return domainTaxonomyPromise;
+}
+
+function validateSubstitutionsData(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("substitutions.json must be an object with a 'substitutions' array");
+  }
+
+  const substitutions = data.substitutions;
+  if (!Array.isArray(substitutions)) {
+    throw new Error("substitutions.json missing required 'substitutions' array");
+  }
+
+  return substitutions.map((sub, idx) => {
+    if (!sub || typeof sub !== "object" || Array.isArray(sub)) {
+      throw new Error(`substitutions[${idx}] must be an object`);
+    }
+    if (typeof sub.sourceBrand !== "string" || !sub.sourceBrand.trim()) {
+      throw new Error(`substitutions[${idx}] missing required field 'sourceBrand'`);
+    }
+    if (sub.sourceProductLine != null && typeof sub.sourceProductLine !== "string") {
+      throw new Error(`substitutions[${idx}].sourceProductLine must be a string or null`);
+    }
+    if (sub.sourceAsins != null && (!Array.isArray(sub.sourceAsins) || !sub.sourceAsins.every((a) => /^[A-Z0-9]{10}$/i.test(a)))) {
+      throw new Error(`substitutions[${idx}].sourceAsins must be an array of ASINs if provided`);
+    }
+    if (!Array.isArray(sub.targetProductIds) || !sub.targetProductIds.length || !sub.targetProductIds.every((id) => typeof id === "string" && id.trim())) {
+      throw new Error(`substitutions[${idx}].targetProductIds must be a non-empty array of product ids`);
+    }
+
+    return {
+      id: String(sub.id || idx),
+      sourceBrand: sub.sourceBrand.trim(),
+      sourceProductLine: sub.sourceProductLine ? sub.sourceProductLine.trim() : null,
+      sourceAsins: (sub.sourceAsins || []).map((a) => a.toUpperCase()),
+      targetProductIds: sub.targetProductIds.map((id) => id.trim()),
+      priority: Number.isFinite(Number(sub.priority)) ? Number(sub.priority) : 0,
+      note: typeof sub.note === "string" ? sub.note : ""
+    };
+  });
+}
+
+async function loadBundledSubstitutions() {
+  const res = await fetch(chrome.runtime.getURL("data/substitutions.json"));
+  if (!res.ok) {
+    throw new Error(`Failed to load substitutions.json: ${res.status} ${res.statusText}`);
+  }
+
+  return validateSubstitutionsData(await res.json());
+}
+
+async function loadSupabaseSubstitutions() {
+  const rows = await fetchSupabaseRows("brand_substitutions", [
+    "id",
+    "source_brand",
+    "source_product_line",
+    "source_asins",
+    "target_product_id",
+    "priority",
+    "note"
+  ]);
+  if (!rows.length) return null;
+
+  // One DB row per (source, target) pair; the JSON schema allows several targets per entry.
+  return validateSubstitutionsData({
+    substitutions: rows.map((r) => ({
+      id: String(r?.id || ""),
+      sourceBrand: String(r?.source_brand || ""),
+      sourceProductLine: r?.source_product_line ? String(r.source_product_line) : null,
+      sourceAsins: Array.isArray(r?.source_asins) ? r.source_asins : [],
+      targetProductIds: r?.target_product_id ? [String(r.target_product_id)] : [],
+      priority: r?.priority,
+      note: r?.note ? String(r.note) : ""
+    }))
+  });
+}
+
+let substitutionsPromise = null;
+let brandSubstitutions = [];
+
+/**
+ * Loads curated brand-to-brand substitutions ("Starbucks -> Coffee Uplifts People").
+ *
+ * Same sources as the domain taxonomy: the Supabase `brand_substitutions` table,
+ * falling back to the bundled data/substitutions.json. A failure here never blocks
+ * keyword matching, so it resolves to an empty list instead of rejecting.
+ */
+function loadSubstitutions() {
+  if (!substitutionsPromise) {
+    substitutionsPromise = (async () => {
+      let substitutions = null;
+      try {
+        substitutions = await loadSupabaseSubstitutions();
+      } catch (err) {
+        console.warn("⚠️ Supabase substitutions load failed, falling back to substitutions.json:", err?.message || err);
+      }
+
+      if (!substitutions) {
+        try {
+          substitutions = await loadBundledSubstitutions();
+        } catch (err) {
+          console.warn("⚠️ substitutions.json load failed:", err?.message || err);
+          substitutions = [];
+        }
+      }
+
+      brandSubstitutions = substitutions;
+      return substitutions;
+    })();
+  }
+  return substitutionsPromise;
+}
+
+let productDatabasePromise = null;
+
+let cachedAmazonInfo = null;
+let cachedMatches = null;
+let lastObservedUrl = null;
+let cachedUrl = null;
+let cachedItemId = null;
+let toastInitialized = false;
+let toastClosedByUser = false;
+let toastCountdownIntervalId = null;
+// Product signature (see getProductSignature) the current matches were computed for.
+let lastProductSignature = null;
+// Item ids (see getListSignature) the list drawer was built from.
+let lastListSignature = null;
+let listDrawerClosedByUser = false;
+const PAGE_CHANGE_DEBOUNCE_MS = 300;
+const PAGE_CHANGE_MAX_WAIT_MS = 1500;
+let pageChangeTimerId = null;
+let pageChangeQueuedAt = 0;
+// Normalized search queries whose banner the user closed.
+const dismissedSearchBannerQueries = new Set();
+// Catalog products already logged as "viewed" since the last navigation, so
+// in-page re-runs (variant or price block updates) do not log them again.
+const viewedProductIds = new Set();
+
+function resetRecommendationStateForNavigation() {
+  cachedAmazonInfo = null;
+  cachedMatches = null;
+  cachedUrl = null;
+  cachedItemId = null;
+  lastProductSignature = null;
+  lastListSignature = null;
+  listDrawerClosedByUser = false;
+  toastInitialized = false;
+  toastClosedByUser = false;
+  closeToast();
+  closeCartNudge();
+  clearSearchResultsUi();
+  closeCartPanel();
+  closeListDrawer();
+  closeOrderHistoryPanel();
+  // If we navigated away, clear any badge state until we recompute matches.
+  sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
+}
+
+function onPossibleUrlChange() {
+  const href = window.location.href;
+  if (href === lastObservedUrl) return;
+  lastObservedUrl = href;
+  viewedProductIds.clear();
+  resetRecommendationStateForNavigation();
+  logProductPageStatus();
+}
+
+/**
+ * What the product page currently shows: the item id plus the contents of the
+ * adapter's `productChangeSelectors`. Null when the page is not a product page.
+ */
+function getProductSignature(urlString = window.location.href) {
+  const site = getSiteForUrl(urlString);
+  if (!site || site.adapter.getPageType(site.url) !== "product") return null;
+
+  const parts = (site.adapter.productChangeSelectors || []).map((selector) => {
+    const el = document.querySelector(selector);
+    if (!el) return "";
+    const text = el.tagName === "INPUT" ? el.value : el.textContent;
+    return String(text || "").replace(/\s+/g, " ").trim();
+  });
+  return [site.adapter.getProductId(site.url) || "", ...parts].join("|");
+}
+
+/**
+ * The item ids on a wishlist or registry page. Wishlists load rows as the
+ * shopper scrolls and registries render their cards late, so this changes
+ * without a navigation. Null when the page is not a list page.
+ */
+function getListSignature(urlString = window.location.href) {
+  const site = getSiteForUrl(urlString);
+  if (!site?.adapter.extractListItems || site.adapter.getPageType(site.url) !== "list") return null;
+  return site.adapter
+    .extractListItems(document, site.url)
+    .map((item) => item.itemId)
+    .join("|");
+}
+
+// The product changed without a navigation (e.g. a variant picked in Amazon's
+// twister): recompute matches, but keep a toast the user closed closed.
+function onInPageProductChange() {
+  const closedByUser = toastClosedByUser;
+  resetRecommendationStateForNavigation();
+  toastClosedByUser = closedByUser;
+  logProductPageStatus();
+}
+
+function checkForPageChange() {
+  window.clearTimeout(pageChangeTimerId);
+  pageChangeTimerId = null;
+  pageChangeQueuedAt = 0;
+
+  if (window.location.href !== lastObservedUrl) {
+    onPossibleUrlChange();
+    return;
+  }
+
+  // Null until showListAlternatives() has read the list.
+  if (lastListSignature !== null) {
+    if (getListSignature() !== lastListSignature) showListAlternatives();
+    return;
+  }
+
+  // Null until logProductPageStatus() has read the product page.
+  if (lastProductSignature === null) return;
+  if (getProductSignature() === lastProductSignature) return;
+  onInPageProductChange();
+}
+
+// Debounced, but never postponed past PAGE_CHANGE_MAX_WAIT_MS: busy pages
+// (carousels, ads) mutate continuously.
+function schedulePageChangeCheck() {
+  const now = Date.now();
+  if (!pageChangeQueuedAt) pageChangeQueuedAt = now;
+  window.clearTimeout(pageChangeTimerId);
+  const wait = Math.min(PAGE_CHANGE_DEBOUNCE_MS, Math.max(0, pageChangeQueuedAt + PAGE_CHANGE_MAX_WAIT_MS - now));
+  pageChangeTimerId = window.setTimeout(checkForPageChange, wait);
+}
+
+function isExtensionUiNode(node) {
+  const el = node?.nodeType === 1 ? node : node?.parentElement;
+  return Boolean(el?.closest?.('[id^="bbd-"], [class^="bbd-"], [class*=" bbd-"]'));
+}
+
+// Our own toast countdown, chips and panels should not wake the change check.
+function isExtensionUiMutation(record) {
+  if (record.type !== "childList") return isExtensionUiNode(record.target);
+  const nodes = [...record.addedNodes, ...record.removedNodes];
+  return nodes.length ? nodes.every(isExtensionUiNode) : isExtensionUiNode(record.target);
+}
+
+function loadProductDatabase() {
+  if (!productDatabasePromise) {
+    productDatabasePromise = Promise.all([loadCatalogProducts(), loadProductAvailability()]).then(([products]) =>
+      products.map(applyObservedAvailability)
+    );
   }
   return productDatabasePromise;
 }
 
+async function loadCatalogProducts() {
+  let cfg = { url: "", anonKey: "" };
+  try {
+    cfg = await getSupabasePublicConfig();
+  } catch {
+    cfg = { url: "", anonKey: "" };
+  }
+
+  console.log("🔧 FairFindz product DB load starting", {
+    hasSupabaseUrl: Boolean(cfg?.url),
+    hasSupabaseAnonKey: Boolean(cfg?.anonKey)
+  });
+
+  try {
+    const supabaseProducts = await loadSupabaseProducts();
+    if (Array.isArray(supabaseProducts) && supabaseProducts.length) {
+      console.log(`✅ Loaded ${supabaseProducts.length} products from Supabase`);
+      return supabaseProducts;
+    }
+    console.warn("⚠️ Supabase returned 0 products, falling back to businesses.json");
+  } catch (err) {
+    console.warn("⚠️ Supabase products load failed, falling back to businesses.json:", err?.message || err);
+  }
+
+  return loadBusinessesProducts();
+}
+
 function normalizeText(s) {
-  return (s || "")
-    .toLowerCase()
-    .replace(/[\u2019']/g, "'")
-    .replace(/\s+/g, " ")
-    .trim();
+  return FairFindzText.foldText(s);
 }
 
+// Catalog listings are Amazon listings, so catalog lookups go by ASIN.
 function extractAmazonAsinFromUrl(url) {
-  if (!url) return null;
-  const s = String(url);
+  return SiteAdapters.getAdapterById("amazon").extractAsin(url);
+}
 
-  // Common Amazon patterns:
-  // - /dp/B012345678
-  // - /gp/product/B012345678
-  // - ?asin=B012345678
-  const dp = s.match(/\/dp\/([A-Z0-9]{10})(?:[/?]|$)/i);
-  if (dp?.[1]) return dp[1].toUpperCase();
+/** The catalog listing for an ASIN, or null. */
+function findCatalogProductByAsin(asin, products) {
+  if (!asin) return null;
 
-  const gp = s.match(/\/gp\/product\/([A-Z0-9]{10})(?:[/?]|$)/i);
-  if (gp?.[1]) return gp[1].toUpperCase();
+  for (const p of products || []) {
+    const productAsin = extractAmazonAsinFromUrl(p?.productUrl);
+    if (productAsin && productAsin === asin) return p;
+  }
+  return null;
+}
 
-  const q = s.match(/[?&]asin=([A-Z0-9]{10})(?:&|$)/i);
-  if (q?.[1]) return q[1].toUpperCase();
+/** The catalog listing the shopper is looking at, or null (only possible on Amazon). */
+function getCurrentCatalogProduct(products) {
+  if (getSiteAdapter()?.id !== "amazon") return null;
+  return findCatalogProductByAsin(getPageProductId(), products);
+}
 
-  return null;
+function isCurrentProductInDatabase(products) {
+  return Boolean(getCurrentCatalogProduct(products));
 }
 
-function isCurrentAmazonProductInDatabase(products) {
-  const currentAsin = extractAmazonAsinFromUrl(window.location.href);
-  if (!currentAsin) return false;
+function isAsinInDatabase(asin, products) {
+  return Boolean(findCatalogProductByAsin(asin, products));
+}
 
-  for (const p of products || []) {
-    const asin = extractAmazonAsinFromUrl(p?.productUrl);
-    if (asin && asin === currentAsin) return true;
+/**
+ * Other products from the same brand as a catalog listing, one listing per
+ * product, for the "More from <brand>" list. Brands are compared by name;
+ * brandId is not consistent across listings yet.
+ */
+function getSameBrandProducts(product, products, { limit = 3, storefront = getCurrentStorefront().id } = {}) {
+  const brand = normalizeText(product?.brand);
+  if (!brand) return [];
+
+  const seen = new Set([product.productId || product.id]);
+  const related = [];
+  for (const p of getStorefrontProducts(products, storefront)) {
+    if (related.length >= limit) break;
+
+    const productId = p.productId || p.id;
+    if (seen.has(productId) || p.availability === "out_of_stock" || normalizeText(p.brand) !== brand) continue;
+    seen.add(productId);
+    related.push(p);
   }
-  return false;
+  return related;
 }
 
-function extractAmazonProduct() {
-  const textFrom = (selector) => {
-    const el = document.querySelector(selector);
-    return el?.textContent ? el.textContent.trim() : "";
-  };
+/**
+ * Reads the product on the current page through the retailer adapter.
+ * Returns the page info (`amazonInfo`) that matching and the modal work from.
+ */
+function extractPageProduct({ taxonomy = domainTaxonomy } = {}) {
+  const site = getSiteForUrl();
+  if (!site) return buildPageInfo({}, { taxonomy });
+
+  const fields = site.adapter.extractProduct(document, site.url);
+  return buildPageInfo({ ...fields, retailer: site.adapter.id }, { taxonomy, storefront: site.adapter.getStorefront(site.url) });
+}
+
+// Items the shopper subscribes to ("amazon:B00BWQ7W5A"), as listed on the
+// retailer's subscriptions page the last time they opened it.
+const SUBSCRIPTIONS_STORAGE_KEY = "ff_subscribed_item_keys";
+const subscribedItemKeys = new Set();
+let subscriptionsPromise = null;
+
+function getItemKey(retailer, itemId) {
+  return retailer && itemId ? `${retailer}:${itemId}` : null;
+}
+
+function isSubscribedItem(retailer, itemId) {
+  const key = getItemKey(retailer, itemId);
+  return Boolean(key && subscribedItemKeys.has(key));
+}
+
+/**
+ * Sort comparator for item lists ({ info }) from cart, list, subscription and
+ * order pages: the items the shopper subscribes to come first.
+ */
+function compareSubscribedFirst(a, b) {
+  return Number(Boolean(b.info?.subscribed)) - Number(Boolean(a.info?.subscribed));
+}
+
+function loadSubscriptions() {
+  if (!subscriptionsPromise) {
+    subscriptionsPromise = new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([SUBSCRIPTIONS_STORAGE_KEY], (items) => {
+          const keys = items?.[SUBSCRIPTIONS_STORAGE_KEY];
+          if (Array.isArray(keys)) keys.forEach((key) => subscribedItemKeys.add(String(key)));
+          resolve(subscribedItemKeys);
+        });
+      } catch {
+        resolve(subscribedItemKeys);
+      }
+    });
+  }
+  return subscriptionsPromise;
+}
+
+/** Replaces the stored subscriptions with the ones on the subscriptions page. */
+function saveSubscriptions(itemKeys) {
+  subscribedItemKeys.clear();
+  itemKeys.filter(Boolean).forEach((key) => subscribedItemKeys.add(key));
+  subscriptionsPromise = Promise.resolve(subscribedItemKeys);
+  return new Promise((resolve) => {
+    try {
+      chrome.storage.local.set({ [SUBSCRIPTIONS_STORAGE_KEY]: Array.from(subscribedItemKeys) }, () => resolve());
+    } catch {
+      resolve();
+    }
+  });
+}
+
+// Catalog listings' stock status. Products without one are treated as in stock;
+// "temporarily_out_of_stock" ones can still be ordered and are only ranked lower.
+const PRODUCT_AVAILABILITY_VALUES = ["in_stock", "temporarily_out_of_stock", "out_of_stock"];
+
+// Stock status read from the live listings, by catalog product id:
+// { availability, checkedAt }. An observation wins over the catalog's value
+// when it is newer, and is dropped after a day so the listing is checked again.
+const AVAILABILITY_STORAGE_KEY = "ff_product_availability";
+const OBSERVED_AVAILABILITY_TTL_MS = 24 * 60 * 60 * 1000;
+const observedAvailability = new Map();
+let productAvailabilityPromise = null;
+
+function isFreshAvailability(observation) {
+  const checkedAt = Date.parse(observation?.checkedAt || "");
+  return (
+    PRODUCT_AVAILABILITY_VALUES.includes(observation?.availability) &&
+    Number.isFinite(checkedAt) &&
+    Date.now() - checkedAt < OBSERVED_AVAILABILITY_TTL_MS
+  );
+}
+
+function loadProductAvailability() {
+  if (!productAvailabilityPromise) {
+    productAvailabilityPromise = new Promise((resolve) => {
+      try {
+        chrome.storage.local.get([AVAILABILITY_STORAGE_KEY], (items) => {
+          const stored = items?.[AVAILABILITY_STORAGE_KEY];
+          for (const [productId, observation] of Object.entries(stored && typeof stored === "object" ? stored : {})) {
+            if (isFreshAvailability(observation)) observedAvailability.set(productId, observation);
+          }
+          resolve(observedAvailability);
+        });
+      } catch {
+        resolve(observedAvailability);
+      }
+    });
+  }
+  return productAvailabilityPromise;
+}
 
-  const title =
-    textFrom("#productTitle") ||
-    textFrom("h1#title") ||
-    textFrom("h1") ||
-    document.title.replace(/\s*:\s*Amazon\.com\s*$/i, "").trim();
+/** Overrides a catalog product's availability with a newer live observation. */
+function applyObservedAvailability(product) {
+  const observation = observedAvailability.get(product?.id);
+  if (!isFreshAvailability(observation)) return product;
+  const catalogCheckedAt = Date.parse(product.availabilityCheckedAt || "") || 0;
+  if (Date.parse(observation.checkedAt) > catalogCheckedAt) {
+    product.availability = observation.availability;
+    product.availabilityCheckedAt = observation.checkedAt;
+  }
+  return product;
+}
+
+/**
+ * Stores what a listing said about a catalog product's stock, with the time
+ * the listing was downloaded (`fetchedAt`, ms). The service worker may answer
+ * from its cache, so readings older than OBSERVED_AVAILABILITY_TTL_MS, or
+ * older than the catalog's own check, are ignored.
+ */
+async function recordProductAvailability(product, availability, fetchedAt) {
+  if (!product?.id || !PRODUCT_AVAILABILITY_VALUES.includes(availability) || !Number.isFinite(fetchedAt)) return;
+  await loadProductAvailability();
+
+  const observation = { availability, checkedAt: new Date(fetchedAt).toISOString() };
+  if (!isFreshAvailability(observation)) return;
+  observedAvailability.set(product.id, observation);
+  applyObservedAvailability(product);
 
-  const breadcrumbText =
-    textFrom("#wayfinding-breadcrumbs_feature_div") ||
-    textFrom("#wayfinding-breadcrumbs_container") ||
-    textFrom(".a-breadcrumb") ||
-    "";
+  for (const [productId, stored] of observedAvailability) {
+    if (!isFreshAvailability(stored)) observedAvailability.delete(productId);
+  }
+  await new Promise((resolve) => {
+    try {
+      chrome.storage.local.set({ [AVAILABILITY_STORAGE_KEY]: Object.fromEntries(observedAvailability) }, () => resolve());
+    } catch {
+      resolve();
+    }
+  });
+}
 
-  const featureBullets = textFrom("#feature-bullets") || "";
-  const description = textFrom("#productDescription") || "";
+/**
+ * Reads the live availability of the suggested products (one cached, rate
+ * limited listing download each, via the service worker) and records it.
+ * Products checked within OBSERVED_AVAILABILITY_TTL_MS are skipped.
+ * Resolves to true when a suggestion's availability changed either way.
+ */
+async function refreshMatchAvailability(matches) {
+  await loadProductAvailability();
+  const changes = await Promise.all(
+    (matches || []).map(async ({ product }) => {
+      if (!product?.productUrl || isFreshAvailability(observedAvailability.get(product.id))) return false;
+      const { availability, fetchedAt } = await resolveProductViaBackground(product.productUrl);
+      const previous = product.availability || "in_stock";
+      await recordProductAvailability(product, availability, fetchedAt.availability);
+      return (product.availability || "in_stock") !== previous;
+    })
+  );
+  return changes.some(Boolean);
+}
 
-  const priceText =
-    textFrom("#corePriceDisplay_desktop_feature_div .a-price .a-offscreen") ||
-    textFrom("#corePrice_feature_div .a-price .a-offscreen") ||
-    textFrom("#priceblock_ourprice") ||
-    textFrom("#priceblock_dealprice") ||
-    "";
+/**
+ * Checks the stock of the suggestions the toast or modal is showing, and
+ * matches the page again when it changed. An open modal is drawn again with
+ * the new suggestions; the toast opens the modal from cachedMatches, so it
+ * only has to go away when nothing is left (with the badge). Page views alone
+ * do not download listings.
+ */
+async function refreshCachedMatchAvailability() {
+  const amazonInfo = cachedAmazonInfo;
+  if (!amazonInfo || !Array.isArray(cachedMatches) || !cachedMatches.length) return;
+  if (!(await refreshMatchAvailability(cachedMatches))) return;
+
+  const [products, taxonomy, priceSettings, substitutions] = await Promise.all([
+    loadProductDatabase(),
+    loadDomainTaxonomy(),
+    loadPriceSettings(),
+    loadSubstitutions()
+  ]);
+  if (cachedAmazonInfo !== amazonInfo) return;
+  cachedMatches = matchProducts(amazonInfo, products, { limit: 3, taxonomy, priceSettings, substitutions }).top;
+  console.log("📦 Suggestions updated after an availability check:", cachedMatches.map((m) => m.product.id));
+
+  const overlay = document.getElementById("bbd-modal-overlay");
+  if (overlay && !overlay.classList.contains("bbd-modal-hide")) {
+    overlay.remove();
+    modalInitialized = false;
+    createModal({ amazonInfo, matches: cachedMatches });
+  }
 
-  const category = getProductCategory();
+  if (!cachedMatches.length) {
+    closeToast();
+    sendBackgroundMessage({ type: "FAIRFINDZ_STOP_FLASHING" });
+    sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
+  }
+}
 
-  // IMPORTANT: exclude breadcrumbs from keyword matching to avoid generic breadcrumb text
-  // (e.g., "Home & Kitchen") causing irrelevant matches.
-  const combinedText = normalizeText(`${title}\n${featureBullets}\n${description}`);
+/**
+ * Builds page info from what an adapter extracted. Search result tiles, cart
+ * lines and the search query itself only have a title, so every other field is optional.
+ *
+ * `asin` is the Amazon item id (null on other retailers); it is what catalog and
+ * substitution lookups compare against.
+ */
+function buildPageInfo(
+  {
+    retailer = null,
+    itemId = null,
+    title = "",
+    brand = "",
+    breadcrumbs = "",
+    features = "",
+    description = "",
+    priceText = "",
+    subscriptionOffered = false
+  } = {},
+  { taxonomy = domainTaxonomy, storefront = getCurrentStorefront() } = {}
+) {
+  const clean = (value) => String(value || "").replace(/\s+/g, " ").trim();
+  const cleanTitle = clean(title);
 
   return {
-    category,
-    title: title.trim(),
-    breadcrumbs: breadcrumbText.trim(),
-    features: featureBullets.trim(),
-    description: description.trim(),
-    priceText: priceText.trim(),
-    combinedText
+    retailer,
+    itemId,
+    asin: retailer === "amazon" ? itemId : null,
+    storefront: storefront.id,
+    category: getCategoryFromText(cleanTitle, breadcrumbs, taxonomy),
+    title: cleanTitle,
+    brand: clean(brand),
+    quantity: parseProductQuantity(cleanTitle),
+    breadcrumbs: String(breadcrumbs || "").trim(),
+    features: String(features || "").trim(),
+    description: String(description || "").trim(),
+    priceText: clean(priceText),
+    subscriptionOffered: Boolean(subscriptionOffered),
+    subscribed: isSubscribedItem(retailer, itemId),
+    // IMPORTANT: exclude breadcrumbs from keyword matching to avoid generic breadcrumb text
+    // (e.g., "Home & Kitchen") causing irrelevant matches.
+    combinedText: normalizeText(`${cleanTitle}\n${features || ""}\n${description || ""}`)
   };
 }
 
-function scoreProduct(product, amazonInfo) {
-  if (!product || !amazonInfo) return { score: 0, keywordMatches: 0, matchedKeywords: [] };
-
-  const haystack = amazonInfo.combinedText;
-
-  const keywords = Array.isArray(product.amazonKeywords) ? product.amazonKeywords : [];
-  const fallbackKeywords = [];
-  if (!keywords.length) {
-    // Only use name + brand for fallback keywords.
-    // Category strings in the DB can be generic and cause false positives (e.g., "home", "grocery").
-    const raw = `${product.name || ""} ${product.brand || ""}`;
-    const stopwords = new Set([
-      "with",
-      "from",
-      "that",
-      "this",
-      "your",
-      "their",
-      "amazon",
-      "com",
-      "pack",
-      "count",
-      "size",
-      "ounce",
-      "ounces",
-      "pound",
-      "pounds",
-      "grams",
-      "fresh",
-      "medium",
-      "large",
-      "small",
-      "black",
-      "owned"
-    ]);
-    raw
-      .split(/[^a-z0-9]+/i)
-      .map((t) => t.trim())
-      .filter(Boolean)
-      .forEach((t) => {
-        // Avoid noisy tokens.
-        if (t.length < 5) return;
-        const lower = t.toLowerCase();
-        if (stopwords.has(lower)) return;
-        fallbackKeywords.push(t);
-      });
+/**
+ * Reads the organic and sponsored result tiles on a search results page.
+ * Returns [{ element, info }] where `info` is page info built from the tile.
+ */
+function extractSearchResultTiles({ taxonomy = domainTaxonomy } = {}) {
+  const site = getSiteForUrl();
+  if (!site) return [];
+
+  const storefront = site.adapter.getStorefront(site.url);
+  return site.adapter.extractSearchResults(document, site.url).map(({ element, ...fields }) => ({
+    element,
+    info: buildPageInfo({ ...fields, retailer: site.adapter.id }, { taxonomy, storefront })
+  }));
+}
+
+/**
+ * Reads the line items of the active cart (not "Saved for later").
+ * Returns [{ element, info, quantity, lineTotal }]; `lineTotal` is null when the price is unknown.
+ */
+function extractCartItems({ taxonomy = domainTaxonomy } = {}) {
+  const site = getSiteForUrl();
+  if (!site) return [];
+
+  const storefront = site.adapter.getStorefront(site.url);
+  return site.adapter.extractCartItems(document, site.url).map(({ element, quantity, ...fields }) => {
+    const info = buildPageInfo({ ...fields, retailer: site.adapter.id }, { taxonomy, storefront });
+    const unitPrice = site.adapter.parsePrice(info.priceText);
+    return { element, info, quantity, lineTotal: unitPrice != null ? unitPrice * quantity : null };
+  });
+}
+
+/**
+ * Reads the items on a wishlist or registry page. Returns [{ element, info }].
+ */
+function extractListItems({ taxonomy = domainTaxonomy } = {}) {
+  const site = getSiteForUrl();
+  if (!site?.adapter.extractListItems) return [];
+
+  const storefront = site.adapter.getStorefront(site.url);
+  return site.adapter.extractListItems(document, site.url).map(({ element, ...fields }) => ({
+    element,
+    info: buildPageInfo({ ...fields, retailer: site.adapter.id }, { taxonomy, storefront })
+  }));
+}
+
+/**
+ * Reads the active subscriptions on the subscriptions page.
+ * Returns [{ element, info, frequency }].
+ */
+function extractSubscriptionItems({ taxonomy = domainTaxonomy } = {}) {
+  const site = getSiteForUrl();
+  if (!site?.adapter.extractSubscriptions) return [];
+
+  const storefront = site.adapter.getStorefront(site.url);
+  return site.adapter.extractSubscriptions(document, site.url).map(({ element, frequency, ...fields }) => ({
+    element,
+    frequency: frequency || "",
+    info: buildPageInfo({ ...fields, retailer: site.adapter.id }, { taxonomy, storefront })
+  }));
+}
+
+function tokenizeText(s) {
+  return textAnalyzer.tokenize(s);
+}
+
+// BM25F parameters for scoring Amazon page fields against catalog keywords.
+// Title carries the most signal; breadcrumbs are generic ("Home & Kitchen") and only
+// reinforce a keyword, they never count as a keyword match on their own.
+const RELEVANCE_FIELDS = {
+  title: { weight: 3, expectedLength: 20, countsAsMatch: true },
+  features: { weight: 1, expectedLength: 120, countsAsMatch: true },
+  description: { weight: 0.5, expectedLength: 150, countsAsMatch: true },
+  breadcrumbs: { weight: 0.75, expectedLength: 8, countsAsMatch: false }
+};
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RELEVANCE_SCALE = 20;
+
+function tokenizePageFields(amazonInfo) {
+  const fields = {};
+  for (const name of Object.keys(RELEVANCE_FIELDS)) {
+    fields[name] = tokenizeText(amazonInfo?.[name] || "");
   }
+  return fields;
+}
+
+function getEffectiveKeywords(product, analyzer = textAnalyzer) {
+  const keywords = Array.isArray(product?.amazonKeywords) ? product.amazonKeywords : [];
+  if (keywords.length) return keywords;
+
+  // Only use name + brand for fallback keywords.
+  // Category strings in the DB can be generic and cause false positives (e.g., "home", "grocery").
+  const raw = `${product?.name || ""} ${product?.brand || ""}`;
+
+  // Keyed by stem so "Candle" and "Candles" in one name count once.
+  const fallbackKeywords = new Map();
+  raw
+    .split(/[^\p{L}\p{N}]+/u)
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .forEach((t) => {
+      // Avoid noisy tokens.
+      if (t.length < 5) return;
+      if (analyzer.isStopword(t)) return;
+      const key = tokenizeText(t).join(" ");
+      if (key && !fallbackKeywords.has(key)) fallbackKeywords.set(key, t);
+    });
+
+  return Array.from(fallbackKeywords.values());
+}
+
+const relevanceIndexCache = new WeakMap();
+
+/**
+ * Builds IDF statistics over the loaded catalog.
+ *
+ * Each catalog product is one document (name, brand, category and keywords). A keyword
+ * that appears in many products ("coffee") gets a low weight; a specific one ("sumatra")
+ * gets a high weight. IDF values are computed lazily per keyword and memoized.
+ */
+function buildRelevanceIndex(products) {
+  const list = Array.isArray(products) ? products : [];
+  const cached = relevanceIndexCache.get(list);
+  if (cached) return cached;
+
+  const documents = list.map((p) =>
+    tokenizeText(
+      [
+        p?.name,
+        p?.brand,
+        p?.category,
+        Array.isArray(p?.amazonCategories) ? p.amazonCategories.join(" ") : "",
+        Array.isArray(p?.amazonKeywords) ? p.amazonKeywords.join(" ") : ""
+      ].join(" ")
+    )
+  );
+
+  const idfByTerm = new Map();
+  const index = {
+    size: documents.length,
+    idf(term) {
+      if (idfByTerm.has(term)) return idfByTerm.get(term);
+      const phrase = term.split(" ");
+      const df = documents.filter((doc) => countPhraseOccurrences(doc, phrase) > 0).length;
+      // BM25 IDF, floored so a term present in every product still counts a little.
+      const idf = Math.max(0.05, Math.log(1 + (documents.length - df + 0.5) / (df + 0.5)));
+      idfByTerm.set(term, idf);
+      return idf;
+    }
+  };
 
-  const effectiveKeywords = keywords.length ? keywords : Array.from(new Set(fallbackKeywords));
+  relevanceIndexCache.set(list, index);
+  return index;
+}
 
+/**
+ * BM25F relevance of a set of catalog keywords against the Amazon page fields.
+ *
+ * Returns the summed relevance plus the keywords that occur in a matching field
+ * (whole tokens only, so "tin" does not match inside "cutting").
+ */
+function computeKeywordRelevance(keywords, pageFields, index) {
+  let relevance = 0;
   const matched = [];
-  for (const kwRaw of effectiveKeywords) {
-    const kw = normalizeText(kwRaw);
-    if (!kw) continue;
-    if (haystack.includes(kw)) matched.push(kwRaw);
+
+  for (const kwRaw of keywords) {
+    const phrase = tokenizeText(kwRaw);
+    if (!phrase.length) continue;
+
+    let weightedTf = 0;
+    let countsAsMatch = false;
+    for (const [name, field] of Object.entries(RELEVANCE_FIELDS)) {
+      const tokens = pageFields[name] || [];
+      const tf = countPhraseOccurrences(tokens, phrase);
+      if (!tf) continue;
+      const lengthNorm = 1 - BM25_B + BM25_B * (tokens.length / field.expectedLength);
+      weightedTf += (field.weight * tf) / lengthNorm;
+      if (field.countsAsMatch) countsAsMatch = true;
+    }
+
+    if (!weightedTf) continue;
+    relevance += index.idf(phrase.join(" ")) * (weightedTf / (BM25_K1 + weightedTf));
+    if (countsAsMatch) matched.push(kwRaw);
+  }
+
+  return { relevance, matched };
+}
+
+/**
+ * Collects the curator rules that apply to a product: its own, plus those of every
+ * taxonomy domain it belongs to. Generic keywords also come from the page's domains.
+ */
+function getProductMatchingRules(product, taxonomy = domainTaxonomy, pageDomains = null) {
+  const domains = Array.from(getProductDomains(product, taxonomy))
+    .map((id) => taxonomy?.byId?.get(id))
+    .filter(Boolean);
+
+  const genericKeywords = new Set();
+  for (const id of new Set([...domains.map((d) => d.id), ...(pageDomains || [])])) {
+    for (const phrase of taxonomy?.byId?.get(id)?.phrases?.genericKeywords || []) {
+      genericKeywords.add(phrase.join(" "));
+    }
+  }
+
+  const sources = [product, ...domains];
+  return {
+    genericKeywords,
+    negativeKeywords: sources.flatMap((src) => src.negativeKeywords || []),
+    requiredKeywordGroups: sources.map((src) => src.requiredKeywords || []).filter((group) => group.length),
+    boostRules: sources.flatMap((src) => src.boostRules || [])
+  };
+}
+
+function scoreProduct(product, amazonInfo, { taxonomy = domainTaxonomy, index = null } = {}) {
+  if (!product || !amazonInfo) {
+    return { score: 0, keywordMatches: 0, matchedKeywords: [], relevance: 0, brandMatches: false, breakdown: null };
   }
 
+  const pageFields = amazonInfo.pageFields || tokenizePageFields(amazonInfo);
+  const relevanceIndex = index || buildRelevanceIndex([product]);
+
+  const { relevance, matched } = computeKeywordRelevance(getEffectiveKeywords(product, taxonomy?.analyzer), pageFields, relevanceIndex);
+
   const keywordMatches = matched.length;
-  let score = 0;
 
-  const brandText = normalizeText(product.brand || "");
-  const brandMatches = brandText && haystack.includes(brandText);
+  const brandPhrase = tokenizeText(product.brand || "");
+  const brandMatches =
+    brandPhrase.length > 0 &&
+    ["title", "features", "description"].some((name) => countPhraseOccurrences(pageFields[name] || [], brandPhrase) > 0);
 
-  const productTextForIntent = normalizeText(
-    `${product?.name || ""} ${product?.category || ""} ${Array.isArray(product?.amazonCategories) ? product.amazonCategories.join(" ") : ""}`
-  );
-  const pageTextForIntent = normalizeText(
-    `${amazonInfo?.title || ""} ${amazonInfo?.breadcrumbs || ""} ${amazonInfo?.features || ""} ${amazonInfo?.description || ""}`
-  );
-  const pageWantsCollagen = pageTextForIntent.includes("collagen") || pageTextForIntent.includes("peptides");
+  const rules = getProductMatchingRules(product, taxonomy, amazonInfo?.pageDomains);
+  const pageMentions = (keyword) => {
+    const phrase = tokenizeText(keyword);
+    return Object.values(pageFields).some((tokens) => countPhraseOccurrences(tokens, phrase) > 0);
+  };
 
   // Generic terms like "coffee" or "candle" can appear in navigation, ads, or recommendations
   // on unrelated pages. We require at least one *non-generic* keyword match to consider a
-  // product relevant.
-  const genericKeywordSet = new Set(["coffee", "candle", "candles"]);
-  const nonGenericKeywordMatches = matched.filter((kw) => !genericKeywordSet.has(normalizeText(kw))).length;
-
-  // Minimum relevance gate:
-  // - If we don't know the page category, we require stronger evidence (>= 2 keyword matches)
-  //   to avoid surfacing unrelated products (e.g., balloons matching candles).
-  // - If we do know the category, require at least 1 keyword match.
+  // product relevant. Which terms are generic is set per domain (genericKeywords).
+  const nonGenericKeywordMatches = matched.filter((kw) => !rules.genericKeywords.has(tokenizeText(kw).join(" "))).length;
+
   // Relevance gate:
   // - If brand matches, allow >= 1 keyword match
   // - If the page is in a known supported domain and we're already domain-filtered,
   //   allow >= 1 keyword match (helps cross-brand matches like toothpaste).
-  // - Otherwise require >= 2 meaningful keyword matches to avoid false positives.
+  // - Otherwise require >= 2 meaningful keyword matches to avoid false positives
+  //   (e.g., balloons matching candles).
   const pageDomains = amazonInfo?.pageDomains instanceof Set ? amazonInfo.pageDomains : null;
   const allowSingleKeywordByDomain =
     pageDomains &&
-    (pageDomains.has("oralcare") || pageDomains.has("skincare") || pageDomains.has("household") || pageDomains.has("coffee") || pageDomains.has("supplements"));
+    Array.from(pageDomains).some((id) => taxonomy?.byId?.get(id)?.allowSingleKeyword);
   const minKeywordMatches = brandMatches || allowSingleKeywordByDomain ? 1 : 2;
+  const rejected = { score: 0, keywordMatches, matchedKeywords: matched, relevance, brandMatches, breakdown: null };
   if (keywordMatches < minKeywordMatches || nonGenericKeywordMatches < 1) {
-    return { score: 0, keywordMatches, matchedKeywords: matched };
+    return rejected;
   }
 
-  // Intent boost: if the page is clearly about collagen/peptides, heavily prefer collagen items.
-  // Option B: still allow other supplements from the same brand, but keep them below collagen.
-  if (pageWantsCollagen) {
-    if (productTextForIntent.includes("collagen") || productTextForIntent.includes("peptides")) {
-      score += 80;
-    } else {
-      // If it's not collagen, only allow it when it's the same brand (brand match), and do not boost.
-      if (!brandMatches) {
-        return { score: 0, keywordMatches, matchedKeywords: matched };
-      }
-    }
-  }
+  // Curator rules (product + its domains): a negative keyword on the page vetoes the
+  // product, and every required-keyword group needs at least one hit.
+  if (rules.negativeKeywords.some(pageMentions)) return rejected;
+  if (rules.requiredKeywordGroups.some((group) => !group.some(pageMentions))) return rejected;
+
+  // Each contribution to the final score, kept so the modal can explain the ranking.
+  const breakdown = { intent: 0, relevance: 0, category: 0, brand: 0, rating: 0, reviews: 0 };
 
-  score += (amazonInfo.category !== "unknown" && product.category === amazonInfo.category ? 60 : 20);
-  score += keywordMatches * 12;
+  // Boost rules: e.g. on a page about collagen peptides, collagen products get +80.
+  for (const rule of rules.boostRules) {
+    if (rule.keywords.some(pageMentions)) breakdown.intent += rule.points;
+  }
 
-  if (brandMatches) score += 20;
+  breakdown.relevance = relevance * RELEVANCE_SCALE;
 
-  if (product.rating >= 5) score += 10;
-  else if (product.rating >= 4.5) score += 7;
-  else if (product.rating >= 4.2) score += 4;
-  else if (product.rating >= 4.0) score += 2;
+  if (amazonInfo.category !== "unknown" && product.category === amazonInfo.category) breakdown.category = 40;
+  if (brandMatches) breakdown.brand = 20;
 
-  if (product.reviewCount >= 5000) score += 10;
-  else if (product.reviewCount >= 1000) score += 7;
-  else if (product.reviewCount >= 300) score += 4;
-  else if (product.reviewCount >= 100) score += 2;
+  // Quality priors: small, smooth nudges so relevance still dominates the ranking.
+  const rating = Number(product.rating) || 0;
+  const reviewCount = Number(product.reviewCount) || 0;
+  breakdown.rating = 10 * Math.min(1, Math.max(0, rating - 4));
+  breakdown.reviews = 10 * Math.min(1, Math.log10(1 + Math.max(0, reviewCount)) / Math.log10(5001));
 
-  return { score, keywordMatches, matchedKeywords: matched };
+  const score = Object.values(breakdown).reduce((sum, v) => sum + v, 0);
+  return { score, keywordMatches, matchedKeywords: matched, relevance, brandMatches, breakdown };
 }
 
-function detectDomainsFromText(text) {
-  const t = normalizeText(text || "");
+/**
+ * Returns the set of taxonomy domain ids mentioned in `text`.
+ *
+ * Exclusion phrases are blanked out before keyword matching, so "coffee table"
+ * does not count as evidence for the coffee domain. A matched child domain also
+ * adds all of its ancestors.
+ */
+function detectDomainsFromText(text, taxonomy = domainTaxonomy) {
+  const tokens = tokenizeText(text || "");
   const domains = new Set();
 
-  const hasAny = (arr) => arr.some((w) => t.includes(w));
+  for (const domain of taxonomy?.domains || []) {
+    const scoped = maskPhrases(tokens, domain.phrases.exclusions);
+    if (!domain.phrases.keywords.some((phrase) => countPhraseOccurrences(scoped, phrase) > 0)) continue;
 
-  if (hasAny(["collagen", "peptides", "supplement", "supplements", "vitamin", "vitamins", "multivitamin", "protein powder"])) {
-    domains.add("supplements");
-  }
-  if (hasAny(["coffee", "espresso", "beans", "roast", "k-cup", "keurig"])) {
-    domains.add("coffee");
-  }
-  if (hasAny(["olive oil", "extra virgin", "evoo", "cold pressed", "cold-pressed", "avocado oil", "cooking oil", "sunflower oil", "grapeseed oil", "sesame oil"])) {
-    domains.add("grocery");
-  }
-  if (hasAny(["toothpaste", "tooth paste", "mouthwash", "oral care", "toothbrush", "teeth", "gum", "gingivitis"])) {
-    domains.add("oralcare");
+    let current = domain;
+    while (current && !domains.has(current.id)) {
+      domains.add(current.id);
+      current = current.parent ? taxonomy.byId.get(current.parent) : null;
+    }
   }
-  if (hasAny(["laundry", "detergent", "dish soap", "cleaner", "cleaning", "dishwasher", "all-purpose", "disinfectant", "bleach"])) {
-    domains.add("household");
+
+  return domains;
+}
+
+function getProductDomains(product, taxonomy = domainTaxonomy) {
+  const text = `${product?.name || ""} ${product?.brand || ""} ${Array.isArray(product?.amazonCategories) ? product.amazonCategories.join(" ") : ""} ${product?.category || ""}`;
+  return detectDomainsFromText(text, taxonomy);
+}
+
+function getVariantLabel(product) {
+  return product?.variant || product?.name || "";
+}
+
+/**
+ * How well a listing's variant ("Strawberry / 30 Day Supply") fits the Amazon page:
+ * one point per option named in the title, plus up to one point for size closeness.
+ */
+function scoreVariantAffinity(product, titleTokens, pageSize) {
+  const parts = String(product?.variant || "").split(/\s*[\/,|]\s*/).filter(Boolean);
+  let score = 0;
+
+  for (const part of parts) {
+    const size = parseSizeQuantity(part);
+    if (size) {
+      if (pageSize && pageSize.base === size.base) {
+        score += 1 / (1 + Math.abs(Math.log(size.value / pageSize.value)));
+      }
+      continue;
+    }
+
+    const phrase = tokenizeText(part);
+    if (phrase.length && countPhraseOccurrences(titleTokens, phrase) > 0) score += 1;
   }
-  if (hasAny(["skincare", "moisturizer", "serum", "cleanser", "sunscreen", "lotion", "brightening"])) {
-    domains.add("skincare");
+
+  return score;
+}
+
+/**
+ * Returns the variant closest to the size/flavor on the Amazon page.
+ * Ties keep the earliest entry, so callers put the preferred listing first.
+ */
+function pickClosestVariant(variants, amazonInfo) {
+  const titleTokens = tokenizeText(amazonInfo?.title || "");
+  const pageSize = parseSizeQuantity(amazonInfo?.title);
+
+  let best = variants[0];
+  let bestScore = -1;
+  for (const variant of variants) {
+    const score = scoreVariantAffinity(variant, titleTokens, pageSize);
+    if (score > bestScore) {
+      best = variant;
+      bestScore = score;
+    }
   }
-  if (hasAny(["luggage", "suitcase", "travel", "wheels", "accessories", "accessory"])) {
-    domains.add("travel");
+  return best;
+}
+
+/**
+ * Collapses listings of the same parent product into one match.
+ *
+ * The best-ranked listing keeps the group's position; the card then shows the variant
+ * closest to the Amazon page. Every variant that passes the same stock and price rules
+ * as a match is offered in `variants`, with its own match (for the card's "Why" list)
+ * in `variantMatches`.
+ */
+function groupMatchesByProduct(matches, products, amazonInfo, priceSettings) {
+  const variantsByParent = new Map();
+  for (const p of products || []) {
+    if (p.availability === "out_of_stock") continue;
+    const key = p.productId || p.id;
+    if (!variantsByParent.has(key)) variantsByParent.set(key, []);
+    variantsByParent.get(key).push(p);
   }
+  const matchById = new Map(matches.map((m) => [m.product.id, m]));
+
+  const seen = new Set();
+  const grouped = [];
+
+  for (const match of matches) {
+    const key = match.product.productId || match.product.id;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    // Variants without a scored match of their own reuse this one, priced again.
+    const unpriced = { ...match, score: match.score - (match.breakdown?.price || 0) };
+    const variantMatches = (variantsByParent.get(key) || [])
+      .map((v) => {
+        if (v === match.product) return match;
+        const own = match.substitution ? null : matchById.get(v.id);
+        return own || applyPriceSettings({ ...unpriced, product: v }, amazonInfo, priceSettings);
+      })
+      .filter(Boolean);
+    if (variantMatches.length < 2) {
+      grouped.push(match);
+      continue;
+    }
 
-  if (hasAny(["vacuum", "vacuuming", "robot vacuum", "robotic vacuum", "mop", "mopping", "suction", "dustbin", "self-emptying"])) {
-    domains.add("appliances");
+    const variants = variantMatches.map((m) => m.product);
+    const product = pickClosestVariant([match.product, ...variants.filter((v) => v !== match.product)], amazonInfo);
+    grouped.push({
+      ...variantMatches[variants.indexOf(product)],
+      score: match.score,
+      variants,
+      variantMatches
+    });
   }
 
-  if (hasAny(["candle", "candles", "wax", "scented", "aroma", "fragrance", "pillar", "votive", "tin", "jar candle"])) {
-    domains.add("candle");
-  }
+  return grouped;
+}
+
+// Substitutions rank above every keyword match; priority orders them among themselves.
+const SUBSTITUTION_BASE_SCORE = 1000;
+
+/**
+ * Returns curated substitution matches for the current Amazon page.
+ *
+ * A substitution applies when the page ASIN is listed in `sourceAsins`, or when the
+ * source brand is the page's brand (byline, or the words the title starts with) and, if set,
+ * the product line also appears in the title.
+ */
+function findSubstitutionMatches(amazonInfo, products, substitutions) {
+  if (!Array.isArray(substitutions) || !substitutions.length) return [];
+
+  const titleTokens = tokenizeText(amazonInfo?.title || "");
+  const brandTokens = tokenizeText(amazonInfo?.brand || "");
+  const asin = amazonInfo?.asin || null;
+  const byId = new Map((products || []).map((p) => [p.id, p]));
+
+  const hasPhrase = (tokens, text) => {
+    const phrase = tokenizeText(text);
+    return phrase.length > 0 && countPhraseOccurrences(tokens, phrase) > 0;
+  };
+  // Titles lead with the maker; "Filter Compatible with Starbucks" is not a Starbucks product.
+  const startsWithPhrase = (tokens, text) => {
+    const phrase = tokenizeText(text);
+    return phrase.length > 0 && phrase.every((token, i) => tokens[i] === token);
+  };
 
-  if (hasAny(["deodorant", "antiperspirant", "deodorant stick", "roll-on", "body spray", "underarm", "antiperspirant stick", "clinical strength"])) {
-    domains.add("personalcare");
+  const matches = new Map();
+
+  for (const sub of substitutions) {
+    const asinHit = Boolean(asin && sub.sourceAsins.includes(asin));
+    const brandHit =
+      (brandTokens.length && brandTokens.join(" ") === tokenizeText(sub.sourceBrand).join(" ")) ||
+      startsWithPhrase(titleTokens, sub.sourceBrand);
+    const lineHit = !sub.sourceProductLine || hasPhrase(titleTokens, sub.sourceProductLine);
+    if (!asinHit && !(brandHit && lineHit)) continue;
+
+    for (const productId of sub.targetProductIds) {
+      const product = byId.get(productId);
+      if (!product || product.availability === "out_of_stock") continue;
+
+      const score = SUBSTITUTION_BASE_SCORE + sub.priority;
+      if (matches.has(productId) && matches.get(productId).score >= score) continue;
+
+      matches.set(productId, {
+        product,
+        score,
+        keywordMatches: 0,
+        matchedKeywords: [],
+        relevance: 0,
+        brandMatches: false,
+        breakdown: null,
+        sharedDomains: [],
+        substitution: sub
+      });
+    }
   }
 
-  return domains;
+  return Array.from(matches.values()).sort((a, b) => b.score - a.score);
 }
 
-function getProductDomains(product) {
-  const text = `${product?.name || ""} ${product?.brand || ""} ${Array.isArray(product?.amazonCategories) ? product.amazonCategories.join(" ") : ""} ${product?.category || ""}`;
-  return detectDomainsFromText(text);
+function matchProducts(
+  amazonInfo,
+  products,
+  {
+    limit = 3,
+    taxonomy = domainTaxonomy,
+    priceSettings = DEFAULT_PRICE_BAND,
+    substitutions = brandSubstitutions,
+    storefront = amazonInfo?.storefront || getCurrentStorefront().id
+  } = {}
+) {
+  // Only listings sold on the shopper's storefront can be suggested.
+  const available = getStorefrontProducts(products, storefront);
+
+  // Curated substitutions are the highest-precision signal, so they go first and
+  // keyword matches only fill the remaining slots. Both respect the shopper's price band.
+  const substituted = findSubstitutionMatches(amazonInfo, available, substitutions)
+    .map((m) => applyPriceSettings(m, amazonInfo, priceSettings))
+    .filter(Boolean);
+  const substitutedIds = new Set(substituted.map((m) => m.product.id));
+
+  const scored = groupMatchesByProduct(
+    [
+      ...substituted,
+      ...matchProductsByKeywords(amazonInfo, available, { taxonomy, priceSettings }).filter((m) => !substitutedIds.has(m.product.id))
+    ],
+    available,
+    amazonInfo,
+    priceSettings
+  );
+
+  // Temporarily out of stock alternatives can still be ordered but ship late,
+  // so they go after the ones in stock. Shoppers who subscribe to an item are
+  // most likely to switch to another subscription, so among the rest
+  // alternatives that offer one go first (the sort is stable).
+  const isBackordered = (m) => Number(m.product.availability === "temporarily_out_of_stock");
+  const offersSubscription = (m) => Number(Boolean(amazonInfo?.subscribed) && m.product.offersSubscription === true);
+  scored.sort((a, b) => isBackordered(a) - isBackordered(b) || offersSubscription(b) - offersSubscription(a));
+
+  const top = scored.slice(0, limit);
+  return { top, scored };
 }
 
-function matchProducts(amazonInfo, products, { limit = 3 } = {}) {
+function matchProductsByKeywords(amazonInfo, products, { taxonomy, priceSettings }) {
   const inStock = (products || []).filter((p) => p.availability !== "out_of_stock");
 
   // Domain detection must be conservative.
   // Using full page text can pick up unrelated words from recommendations/ads (e.g., "coffee")
   // and cause irrelevant alternatives to show.
   const pageDomainText = `${amazonInfo?.title || ""} ${amazonInfo?.breadcrumbs || ""}`;
-  const pageDomains = detectDomainsFromText(pageDomainText);
+  const pageDomains = detectDomainsFromText(pageDomainText, taxonomy);
 
-  const currentBrandText = normalizeText(amazonInfo?.title || "");
+  const titleTokens = tokenizeText(amazonInfo?.title || "");
 
   // If we can't infer any domain from the page, do not show recommendations.
   // This prevents false positives on unrelated pages (e.g., vacuums).
   if (!pageDomains.size) {
-    return { top: [], scored: [] };
+    return [];
   }
 
   const anyDomainOverlapInDb = inStock.some((p) => {
-    const pd = getProductDomains(p);
+    const pd = getProductDomains(p, taxonomy);
     return Array.from(pageDomains).some((d) => pd.has(d));
   });
 
   if (!anyDomainOverlapInDb) {
-    return { top: [], scored: [] };
+    return [];
   }
 
   const categoryPool = inStock.filter((p) => {
-    const productDomains = getProductDomains(p);
+    const productDomains = getProductDomains(p, taxonomy);
 
     // Allow overlap.
     const overlaps = Array.from(pageDomains).some((d) => productDomains.has(d));
@@ -731,19 +2280,29 @@ function matchProducts(amazonInfo, products, { limit = 3 } = {}) {
 
     // Option B: on supplements pages, allow other supplements from the same brand.
     if (pageDomains.has("supplements") && productDomains.has("supplements")) {
-      const brandText = normalizeText(p.brand || "");
-      if (brandText && currentBrandText.includes(brandText)) return true;
+      if (countPhraseOccurrences(titleTokens, tokenizeText(p.brand || "")) > 0) return true;
     }
 
     return false;
   });
 
+  const index = buildRelevanceIndex(products);
+  const pageFields = tokenizePageFields(amazonInfo);
+
   const scored = categoryPool
     .map((p) => {
-      const { score, keywordMatches, matchedKeywords } = scoreProduct(p, { ...amazonInfo, pageDomains });
-      return { product: p, score, keywordMatches, matchedKeywords };
+      const { score, keywordMatches, matchedKeywords, relevance, brandMatches, breakdown } = scoreProduct(
+        p,
+        { ...amazonInfo, pageDomains, pageFields },
+        { taxonomy, index }
+      );
+      const productDomains = getProductDomains(p, taxonomy);
+      const sharedDomains = Array.from(pageDomains).filter((d) => productDomains.has(d));
+      return { product: p, score, keywordMatches, matchedKeywords, relevance, brandMatches, breakdown, sharedDomains };
     })
     .filter((x) => x.score > 0)
+    .map((x) => applyPriceSettings(x, amazonInfo, priceSettings))
+    .filter(Boolean)
     .sort((a, b) => {
       if (b.score !== a.score) return b.score - a.score;
       if (b.keywordMatches !== a.keywordMatches) return b.keywordMatches - a.keywordMatches;
@@ -751,8 +2310,224 @@ function matchProducts(amazonInfo, products, { limit = 3 } = {}) {
       return b.product.reviewCount - a.product.reviewCount;
     });
 
-  const top = scored.slice(0, limit);
-  return { top, scored };
+  return scored;
+}
+
+/**
+ * Attaches a price comparison to a scored match and applies the price rules:
+ * - the signed-in user's price_range_min/max always wins (outside -> dropped)
+ * - outside the configured band relative to the Amazon price -> dropped
+ * - pricier than the Amazon item but inside the band -> demoted
+ * Matches with an unknown price on either side are kept as-is.
+ *
+ * The band is about what the shopper pays at checkout, so it uses sticker prices;
+ * demotion uses the per-unit ratio when sizes are comparable.
+ */
+function applyPriceSettings(match, amazonInfo, priceSettings) {
+  const alternativePrice = parsePriceText(match.product.price);
+  const priceComparison = comparePriceToPage(amazonInfo, match.product);
+
+  const { userMin = null, userMax = null, minRatio, maxRatio } = priceSettings || {};
+  if (alternativePrice != null) {
+    if (userMin != null && alternativePrice < userMin) return null;
+    if (userMax != null && alternativePrice > userMax) return null;
+  }
+
+  if (!priceComparison) return { ...match, priceComparison: null };
+
+  const stickerRatio = priceComparison.alternativePrice / priceComparison.amazonPrice;
+  if (Number.isFinite(minRatio) && stickerRatio < minRatio) return null;
+  if (Number.isFinite(maxRatio) && stickerRatio > maxRatio) return null;
+
+  const score = priceComparison.ratio > 1 ? match.score / priceComparison.ratio : match.score;
+  const breakdown = match.breakdown ? { ...match.breakdown, price: score - match.score } : match.breakdown;
+  return { ...match, score, breakdown, priceComparison };
+}
+
+/**
+ * Matches a search results page: every tile on its own, plus a banner list for the query.
+ *
+ * Tiles that already are catalog products get no matches. The banner ranks products
+ * that match the query text first, then products that matched the most tiles, so one
+ * off-topic sponsored tile cannot take over the banner.
+ */
+function matchSearchResults(
+  { query, tiles },
+  products,
+  { limit = 3, taxonomy = domainTaxonomy, priceSettings = DEFAULT_PRICE_BAND, substitutions = brandSubstitutions } = {}
+) {
+  const options = { limit, taxonomy, priceSettings, substitutions };
+
+  const tileMatches = (tiles || []).map((tile) => ({
+    ...tile,
+    matches: isAsinInDatabase(tile.info.asin, products) ? [] : matchProducts(tile.info, products, options).top
+  }));
+
+  // The query has no price, so banner entries carry no price comparison.
+  const queryMatches = matchProducts(buildPageInfo({ title: query }, { taxonomy }), products, options).scored;
+
+  const byProduct = new Map();
+  const add = (match, fromQuery) => {
+    const key = match.product.productId || match.product.id;
+    const entry = byProduct.get(key) || { match: { ...match, priceComparison: null }, fromQuery: false, tileCount: 0 };
+    if (match.score > entry.match.score) entry.match = { ...match, priceComparison: null };
+    if (fromQuery) entry.fromQuery = true;
+    else entry.tileCount += 1;
+    byProduct.set(key, entry);
+  };
+  queryMatches.forEach((m) => add(m, true));
+  tileMatches.forEach((t) => t.matches.forEach((m) => add(m, false)));
+
+  const banner = Array.from(byProduct.values())
+    .sort((a, b) => {
+      if (a.fromQuery !== b.fromQuery) return a.fromQuery ? -1 : 1;
+      if (b.tileCount !== a.tileCount) return b.tileCount - a.tileCount;
+      return b.match.score - a.match.score;
+    })
+    .slice(0, limit)
+    .map((entry) => entry.match);
+
+  return { tiles: tileMatches, banner };
+}
+
+/**
+ * Adds `matches` to every `{ info }` item (cart lines, list items). Items that
+ * already are catalog products get no matches.
+ */
+function matchPageItems(
+  items,
+  products,
+  { limit = 3, taxonomy = domainTaxonomy, priceSettings = DEFAULT_PRICE_BAND, substitutions = brandSubstitutions } = {}
+) {
+  const options = { limit, taxonomy, priceSettings, substitutions };
+  return (items || [])
+    .map((item) => ({
+      ...item,
+      matches: isAsinInDatabase(item.info.asin, products) ? [] : matchProducts(item.info, products, options).top
+    }))
+    .sort(compareSubscribedFirst);
+}
+
+/**
+ * Matches every cart line item. Items that already are catalog products get no matches.
+ * `redirectableTotal` is what the shopper spends on items that have an alternative.
+ */
+function matchCartItems(items, products, options = {}) {
+  const matched = matchPageItems(items, products, options);
+
+  const withAlternatives = matched.filter((item) => item.matches.length);
+  const redirectableTotal = withAlternatives.reduce((sum, item) => sum + (item.lineTotal || 0), 0);
+
+  return { items: matched, itemsWithAlternatives: withAlternatives.length, redirectableTotal };
+}
+
+/**
+ * Reads the orders on an order history page (`doc` need not be the live page)
+ * into [{ orderId, orderDate, items }], where each item is page info built
+ * from the purchased item's title.
+ */
+function extractOrderHistory(doc = document, urlString = window.location.href, { taxonomy = domainTaxonomy } = {}) {
+  const site = getSiteForUrl(urlString);
+  if (!site?.adapter.orderHistory) return [];
+
+  const storefront = site.adapter.getStorefront(site.url);
+  return site.adapter.orderHistory.extractOrders(doc, site.url).map(({ items, ...order }) => ({
+    ...order,
+    items: items.map((fields) => buildPageInfo({ ...fields, retailer: site.adapter.id }, { taxonomy, storefront }))
+  }));
+}
+
+const ORDER_HISTORY_MAX_PAGES = 5;
+
+/**
+ * Reads the current order history page and the ones after it, up to `maxPages`.
+ * Later pages are fetched with the shopper's own retailer session and parsed
+ * here, so the order history never leaves the browser. A page that fails to
+ * load ends the scan with what was read so far.
+ */
+async function scanOrderHistory({ taxonomy = domainTaxonomy, maxPages = ORDER_HISTORY_MAX_PAGES, onPage } = {}) {
+  const site = getSiteForUrl();
+  if (!site?.adapter.orderHistory) return [];
+
+  const orders = [];
+  let doc = document;
+  let url = site.url;
+  for (let page = 1; page <= maxPages; page++) {
+    orders.push(...extractOrderHistory(doc, url.href, { taxonomy }));
+    onPage?.(page);
+
+    const next = page < maxPages ? site.adapter.orderHistory.getNextPageUrl(doc, url) : null;
+    if (!next) break;
+    try {
+      const res = await fetch(next, { credentials: "include" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      doc = new DOMParser().parseFromString(await res.text(), "text/html");
+      url = new URL(next);
+    } catch (err) {
+      console.warn("⚠️ Order history page failed to load:", err?.message || err);
+      break;
+    }
+  }
+  return orders;
+}
+
+// Bought in at least this many orders to count as a repeat purchase.
+const REPEAT_PURCHASE_MIN_ORDERS = 2;
+
+/**
+ * Groups past purchases by item and matches the repeat purchases. Returns the
+ * ones with alternatives, most often bought first:
+ * [{ info, timesOrdered, lastOrderDate, matches }]. Items that already are
+ * catalog products are left out. `orders` are newest first, as listed.
+ */
+function buildRepeatPurchaseReport(
+  orders,
+  products,
+  { limit = 3, taxonomy = domainTaxonomy, priceSettings = DEFAULT_PRICE_BAND, substitutions = brandSubstitutions } = {}
+) {
+  const byItem = new Map();
+  for (const order of orders || []) {
+    for (const info of order.items || []) {
+      const key = info.itemId || normalizeText(info.title);
+      if (!byItem.has(key)) byItem.set(key, { info, orders: new Set(), lastOrderDate: order.orderDate || "" });
+      byItem.get(key).orders.add(order.orderId || order);
+    }
+  }
+
+  const options = { limit, taxonomy, priceSettings, substitutions };
+  return [...byItem.values()]
+    .filter((entry) => entry.orders.size >= REPEAT_PURCHASE_MIN_ORDERS && !isAsinInDatabase(entry.info.asin, products))
+    .map((entry) => ({
+      info: entry.info,
+      timesOrdered: entry.orders.size,
+      lastOrderDate: entry.lastOrderDate,
+      matches: matchProducts(entry.info, products, options).top
+    }))
+    .filter((row) => row.matches.length)
+    .sort((a, b) => compareSubscribedFirst(a, b) || b.timesOrdered - a.timesOrdered);
+}
+
+/** The report as CSV, one row per repeat purchase with its best alternative. */
+function buildRepeatPurchaseCsv(report) {
+  const cell = (value) => {
+    let text = String(value ?? "");
+    // Keep spreadsheet apps from evaluating product names as formulas.
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const header = ["Purchased item", "Item id", "Times ordered", "Last ordered", "Alternative", "Brand", "Price", "Link"];
+  const rows = (report || []).map(({ info, timesOrdered, lastOrderDate, matches: [best] }) => [
+    info.title,
+    info.itemId,
+    timesOrdered,
+    lastOrderDate,
+    best.product.name,
+    best.product.brand,
+    best.product.price,
+    best.product.productUrl
+  ]);
+  return [header, ...rows].map((row) => row.map(cell).join(",")).join("\n");
 }
 
 function sendBackgroundMessage(message) {
@@ -799,47 +2574,62 @@ function loadImageUrl(url) {
   });
 }
 
-function resolveMetaViaBackground(productUrl) {
-  return new Promise((resolve) => {
-    try {
-      chrome.runtime?.sendMessage?.(
-        { type: "FAIRFINDZ_RESOLVE_PRODUCT_META", productUrl },
-        (response) => {
-          if (chrome.runtime?.lastError) {
-            resolve({ rating: null, reviewCount: null, priceText: null });
-            return;
-          }
+const EMPTY_PRODUCT_RESOLUTION = {
+  title: null,
+  imageUrl: null,
+  priceText: null,
+  unitPriceText: null,
+  rating: null,
+  reviewCount: null,
+  availability: null,
+  primeEligible: null,
+  confidence: {},
+  strategy: {},
+  fetchedAt: {}
+};
+
+// Resolutions in flight, so a card's image and meta share one message.
+const productResolutionRequests = new Map();
 
-          resolve({
-            rating: typeof response?.rating === "number" ? response.rating : null,
-            reviewCount: typeof response?.reviewCount === "number" ? response.reviewCount : null,
-            priceText: typeof response?.priceText === "string" ? response.priceText : null
-          });
-        }
-      );
-    } catch {
-      resolve({ rating: null, reviewCount: null, priceText: null });
-    }
-  });
-}
+/**
+ * Asks the service worker for a catalog listing's live details (one download,
+ * cached there). Resolves to EMPTY_PRODUCT_RESOLUTION's shape.
+ */
+function resolveProductViaBackground(productUrl) {
+  if (!productUrl) return Promise.resolve(EMPTY_PRODUCT_RESOLUTION);
+  if (productResolutionRequests.has(productUrl)) return productResolutionRequests.get(productUrl);
 
-function resolveImageViaBackground(productUrl) {
-  return new Promise((resolve) => {
+  const request = new Promise((resolve) => {
     try {
-      chrome.runtime?.sendMessage?.(
-        { type: "FAIRFINDZ_RESOLVE_PRODUCT_IMAGE", productUrl },
-        (response) => {
-          if (chrome.runtime?.lastError) {
-            resolve(null);
-            return;
-          }
-          resolve(typeof response?.imageUrl === "string" && response.imageUrl.trim() ? response.imageUrl.trim() : null);
+      chrome.runtime?.sendMessage?.({ type: "FAIRFINDZ_RESOLVE_PRODUCT", productUrl }, (response) => {
+        if (chrome.runtime?.lastError || !response || typeof response !== "object") {
+          resolve(EMPTY_PRODUCT_RESOLUTION);
+          return;
         }
-      );
+
+        const text = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+        const number = (value) => (typeof value === "number" && Number.isFinite(value) ? value : null);
+        resolve({
+          title: text(response.title),
+          imageUrl: text(response.imageUrl),
+          priceText: text(response.priceText),
+          unitPriceText: text(response.unitPriceText),
+          rating: number(response.rating),
+          reviewCount: number(response.reviewCount),
+          availability: text(response.availability),
+          primeEligible: typeof response.primeEligible === "boolean" ? response.primeEligible : null,
+          confidence: response.confidence && typeof response.confidence === "object" ? response.confidence : {},
+          strategy: response.strategy && typeof response.strategy === "object" ? response.strategy : {},
+          fetchedAt: response.fetchedAt && typeof response.fetchedAt === "object" ? response.fetchedAt : {}
+        });
+      });
     } catch {
-      resolve(null);
+      resolve(EMPTY_PRODUCT_RESOLUTION);
     }
-  });
+  }).finally(() => productResolutionRequests.delete(productUrl));
+
+  productResolutionRequests.set(productUrl, request);
+  return request;
 }
 
 function renderStarsHtml(rating) {
@@ -878,7 +2668,7 @@ function hydrateModalProductMeta(overlayEl) {
     const ratingEl = overlayEl.querySelector(`.bbd-product-rating[data-product-url="${CSS.escape(productUrl)}"]`);
     const priceEl = overlayEl.querySelector(`.bbd-product-price[data-product-url="${CSS.escape(productUrl)}"]`);
 
-    const { rating, reviewCount, priceText } = await resolveMetaViaBackground(productUrl);
+    const { rating, reviewCount, priceText, unitPriceText } = await resolveProductViaBackground(productUrl);
 
     if (ratingEl) {
       const fallbackRatingRaw = ratingEl.getAttribute("data-fallback-rating");
@@ -900,6 +2690,9 @@ function hydrateModalProductMeta(overlayEl) {
       const fallbackPrice = priceEl.getAttribute("data-fallback-price") || "";
       const finalPrice = typeof priceText === "string" && priceText.trim() ? priceText.trim() : (fallbackPrice.trim() ? fallbackPrice.trim() : "");
       priceEl.textContent = finalPrice;
+
+      const unitPriceEl = priceEl.parentElement?.querySelector(".bbd-product-unit-price");
+      if (unitPriceEl && unitPriceText) unitPriceEl.textContent = `(${unitPriceText})`;
     }
   });
 }
@@ -927,12 +2720,11 @@ async function hydrateModalProductImages(overlayEl) {
         // continue
       }
 
-      // Fallback: fetch the product page and use og:image.
-      const resolvedFromBg = await resolveImageViaBackground(productUrl);
-      if (resolvedFromBg) console.log("🖼️ FairFindz resolved image via background:", resolvedFromBg);
-
-      const resolved = resolvedFromBg || (await resolveAmazonOgImage(productUrl));
-      if (!resolvedFromBg && resolved) console.log("🖼️ FairFindz resolved og:image:", resolved);
+      // Fallback: the listing's image, read by the service worker. When it has
+      // none (e.g. listing requests are paused) the placeholder stays.
+      const resolved = (await resolveProductViaBackground(productUrl)).imageUrl;
+      if (!resolved) return;
+      console.log("🖼️ FairFindz resolved image via background:", resolved);
       try {
         await loadImageUrl(resolved);
         imgEl.src = resolved;
@@ -955,6 +2747,75 @@ function closeToast() {
   }
 }
 
+/**
+ * Renders the "Why am I seeing this?" disclosure for a modal card from the
+ * match details returned by matchProducts.
+ */
+function renderMatchExplanationHtml(match) {
+  const { product, matchedKeywords, sharedDomains, brandMatches, breakdown, priceComparison } = match || {};
+  if (!product) return "";
+
+  const points = (value) => `${value >= 0 ? "+" : ""}${Math.round(value)} pts`;
+  const items = [];
+
+  if (match.substitution) {
+    const { sourceBrand, sourceProductLine, note } = match.substitution;
+    const source = escapeHtmlAttr([sourceBrand, sourceProductLine].filter(Boolean).join(" "));
+    items.push(`<li>Hand-picked by our curators as a swap for ${source}</li>`);
+    if (note) items.push(`<li>${escapeHtmlAttr(note)}</li>`);
+  }
+
+  if (Array.isArray(matchedKeywords) && matchedKeywords.length) {
+    const keywords = matchedKeywords.map((kw) => `<span class="bbd-why-keyword">${escapeHtmlAttr(kw)}</span>`).join(" ");
+    const relevance = breakdown?.relevance ? ` <span class="bbd-why-points">(${points(breakdown.relevance)})</span>` : "";
+    items.push(`<li>Matched keywords: ${keywords}${relevance}</li>`);
+  }
+
+  if (Array.isArray(sharedDomains) && sharedDomains.length) {
+    const labels = sharedDomains.map((id) => escapeHtmlAttr(domainTaxonomy?.byId?.get(id)?.label || id));
+    items.push(`<li>Same product type as this page: ${labels.join(", ")}</li>`);
+  }
+
+  if (breakdown?.category) {
+    items.push(`<li>Same category <span class="bbd-why-points">(${points(breakdown.category)})</span></li>`);
+  }
+
+  if (!match.substitution) {
+    items.push(
+      brandMatches
+        ? `<li>Brand mentioned on this page: ${escapeHtmlAttr(product.brand)} <span class="bbd-why-points">(${points(breakdown?.brand || 0)})</span></li>`
+        : "<li>Different brand from the product on this page</li>"
+    );
+  }
+
+  if (breakdown?.intent > 0) {
+    items.push(`<li>Matches what this page is specifically about <span class="bbd-why-points">(${points(breakdown.intent)})</span></li>`);
+  } else if (breakdown?.intent < 0) {
+    items.push(`<li>A curator rule ranks it lower for pages like this <span class="bbd-why-points">(${points(breakdown.intent)})</span></li>`);
+  }
+
+  const rating = Number(product.rating) || 0;
+  const reviewCount = Number(product.reviewCount) || 0;
+  // Substitutions are not scored, so there are no points to attribute.
+  const ratingPoints = breakdown ? ` <span class="bbd-why-points">(${points(breakdown.rating || 0)})</span>` : "";
+  const reviewPoints = breakdown ? ` <span class="bbd-why-points">(${points(breakdown.reviews || 0)})</span>` : "";
+  items.push(
+    `<li>Rating ${rating ? rating.toFixed(1) : "n/a"}${ratingPoints}, ` +
+      `${reviewCount.toLocaleString()} reviews${reviewPoints}</li>`
+  );
+
+  if (priceComparison && breakdown?.price) {
+    const basis = priceComparison.basis === "unit" ? " per unit" : "";
+    items.push(`<li>Priced above this page's item${basis} <span class="bbd-why-points">(${points(breakdown.price)})</span></li>`);
+  }
+
+  return `
+              <details class="bbd-why">
+                <summary>Why am I seeing this?</summary>
+                <ul class="bbd-why-list">${items.join("")}</ul>
+              </details>`;
+}
+
 function createToast({ onOpenFullModal } = {}) {
   if (toastInitialized) return;
   toastInitialized = true;
@@ -1006,78 +2867,403 @@ function createToast({ onOpenFullModal } = {}) {
 
   const formatSeconds = (n) => String(Math.max(0, n)).padStart(2, "0");
 
-  // Countdown: 5 seconds, then dismiss and start flashing badge dot.
-  let remaining = 5;
-  toastCountdownIntervalId = window.setInterval(() => {
-    remaining -= 1;
-    if (countdownEl) countdownEl.textContent = formatSeconds(Math.max(remaining, 0));
+  // Countdown: 5 seconds, then dismiss and start flashing badge dot.
+  let remaining = 5;
+  toastCountdownIntervalId = window.setInterval(() => {
+    remaining -= 1;
+    if (countdownEl) countdownEl.textContent = formatSeconds(Math.max(remaining, 0));
+
+    if (remaining <= 0) {
+      window.clearInterval(toastCountdownIntervalId);
+      toastCountdownIntervalId = null;
+      closeToast();
+      if (!toastClosedByUser) startFlashing();
+    }
+  }, 1000);
+}
+
+/**
+ * Shown instead of the alternatives toast when the page is already a catalog
+ * listing: the brand's story, a favorite toggle and more from the same brand.
+ * Uses the #bbd-toast slot, so closeToast() and navigation clear it too.
+ */
+function createSupportingToast({ product, related = [], isFavorite = false } = {}) {
+  if (!product || toastInitialized || document.getElementById("bbd-toast")) return;
+  toastInitialized = true;
+
+  const story = product.brandStory || product.description || "";
+  const relatedHtml = related.length
+    ? `
+      <div class="bbd-support-related-title">More from ${escapeHtmlAttr(product.brand)}</div>
+      <div class="bbd-support-related-list">
+        ${related
+          .map(
+            (p) => `
+          <button class="bbd-support-related-item" type="button" data-product-url="${escapeHtmlAttr(p.productUrl || "")}">
+            <span class="bbd-support-related-name">${escapeHtmlAttr(p.name)}</span>
+            ${p.price ? `<span class="bbd-support-related-price">${escapeHtmlAttr(p.price)}</span>` : ""}
+          </button>`
+          )
+          .join("")}
+      </div>`
+    : "";
+
+  const toast = document.createElement("div");
+  toast.id = "bbd-toast";
+  toast.className = "bbd-toast bbd-toast-supporting";
+  toast.setAttribute("role", "status");
+
+  toast.innerHTML = `
+    <div class="bbd-toast-header">
+      <div class="bbd-toast-header-left">
+        <img src="${chrome.runtime.getURL('icons/icon32.png')}" alt="Fair Findz" class="bbd-toast-icon" aria-hidden="true">
+        <div class="bbd-toast-title">You're supporting a Black-owned business</div>
+      </div>
+      <button class="bbd-toast-close" type="button" aria-label="Close">&times;</button>
+    </div>
+    <div class="bbd-toast-body">
+      <div class="bbd-support-brand">${escapeHtmlAttr(product.brand)}</div>
+      ${story ? `<p class="bbd-support-story">${escapeHtmlAttr(story)}</p>` : ""}
+      <button class="bbd-support-favorite" type="button" aria-pressed="false"></button>
+      ${relatedHtml}
+    </div>
+  `;
+
+  const favoriteBtn = toast.querySelector(".bbd-support-favorite");
+  const renderFavorite = (saved) => {
+    favoriteBtn.setAttribute("aria-pressed", String(saved));
+    favoriteBtn.textContent = saved ? "♥ Saved to favorites" : "♡ Save to favorites";
+  };
+  renderFavorite(isFavorite);
+
+  favoriteBtn.addEventListener("click", async () => {
+    const next = favoriteBtn.getAttribute("aria-pressed") !== "true";
+    renderFavorite(next);
+    favoriteBtn.disabled = true;
+    try {
+      const ids = await setProductFavorite(product, next);
+      renderFavorite(ids.includes(product.id));
+    } finally {
+      favoriteBtn.disabled = false;
+    }
+  });
+
+  toast.querySelector(".bbd-toast-close")?.addEventListener("click", () => {
+    toastClosedByUser = true;
+    closeToast();
+  });
+
+  toast.querySelectorAll(".bbd-support-related-item").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const url = btn.getAttribute("data-product-url");
+      if (!url || !isValidAmazonProductUrl(url)) {
+        console.error("❌ Invalid product URL:", url);
+        return;
+      }
+      window.open(url, "_blank", "noopener,noreferrer");
+    });
+  });
+
+  document.body.appendChild(toast);
+}
+
+/**
+ * The shopper is on one of our catalog listings: thank them, and log the
+ * visit as a "viewed" history event (once per page view) when they are signed in.
+ */
+async function showSupportingBrandToast(product, products) {
+  const firstView = !viewedProductIds.has(product.id);
+  viewedProductIds.add(product.id);
+  const [favoriteIds] = await Promise.all([
+    loadFavoriteProductIds(),
+    firstView && logUserHistoryEvent("viewed", { productId: product.id, amazonProductUrl: window.location.href })
+  ]);
+
+  if (!isProductPage() || getCurrentCatalogProduct(products) !== product) return;
+  if (toastClosedByUser) return;
+  createSupportingToast({
+    product,
+    related: getSameBrandProducts(product, products),
+    isFavorite: favoriteIds.includes(product.id)
+  });
+}
+
+let cartActionsInitialized = false;
+let lastCartActionAt = 0;
+
+let modalInitialized = false;
+
+/**
+ * Sets up listeners that detect “Add to Cart” / “Buy Now” clicks on product pages.
+ * The button selectors come from the retailer adapter (`cartButtons`).
+ *
+ * Why event delegation?
+ * - Retailers often inject/re-render buttons after page load.
+ * - Instead of adding listeners to the buttons directly (which may not exist yet),
+ *   we attach ONE listener to `document` and check what was clicked.
+ */
+function detectCartActions() {
+  if (cartActionsInitialized) return;
+  cartActionsInitialized = true;
+
+  const getProductTitle = () => {
+    const site = getSiteForUrl();
+    return (site && site.adapter.extractProduct(document, site.url).title) || "(unknown title)";
+  };
+
+  // Capture phase means we see the interaction as early as possible in the event flow,
+  // before many site handlers run (we still do NOT block anything).
+  //
+  // We listen to `pointerdown` (fires before `click`) so we can log even if the site
+  // navigates immediately (e.g., Buy Now -> checkout).
+  const handler = (event) => {
+    if (!isProductPage()) return;
+    const { addToCart = "", buyNow = "" } = getSiteAdapter()?.cartButtons || {};
+
+    // Prevent duplicate logs when both pointerdown and click fire for the same action.
+    const now = Date.now();
+    if (now - lastCartActionAt < 400) return;
+
+    // `closest(...)` lets us detect clicks on nested elements inside the button,
+    // like spans/icons inside the clickable control.
+    const addToCartEl = addToCart && event.target?.closest?.(addToCart);
+    if (addToCartEl) {
+      lastCartActionAt = now;
+      console.log(`🛒 Add to Cart button clicked! (${getProductTitle()})`);
+      maybeShowCartNudge().catch((err) => console.warn("⚠️ Cart nudge failed:", err?.message || err));
+      return;
+    }
+
+    const buyNowEl = buyNow && event.target?.closest?.(buyNow);
+    if (buyNowEl) {
+      lastCartActionAt = now;
+      console.log(`⚡ Buy Now button clicked! (${getProductTitle()})`);
+      maybeShowCartNudge().catch((err) => console.warn("⚠️ Cart nudge failed:", err?.message || err));
+    }
+  };
+
+  document.addEventListener("pointerdown", handler, true);
+  document.addEventListener("click", handler, true);
+}
+
+// Last-chance nudge: when the shopper adds a product with matches to the cart,
+// a slide-in shows the top alternative. It never blocks or cancels the click.
+// Shoppers can turn it off in the options page (ff_cart_nudge_enabled) or mute
+// it for one product; otherwise it is capped per day and spaced out.
+const CART_NUDGE_SETTING_KEY = "ff_cart_nudge_enabled";
+const CART_NUDGE_STATE_KEY = "ff_cart_nudge_state";
+const CART_NUDGE_DAILY_LIMIT = 3;
+const CART_NUDGE_MIN_GAP_MS = 10 * 60 * 1000;
+const CART_NUDGE_AUTO_HIDE_MS = 12000;
+const CART_NUDGE_MUTED_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let cartNudgeTimeoutId = null;
+
+/** The nudge setting plus `{ shownAt, mutedItemIds }` from storage. */
+function loadCartNudgeState() {
+  return new Promise((resolve) => {
+    try {
+      chrome.storage.local.get([CART_NUDGE_SETTING_KEY, CART_NUDGE_STATE_KEY], (items) => {
+        const state = items?.[CART_NUDGE_STATE_KEY] || {};
+        resolve({
+          enabled: items?.[CART_NUDGE_SETTING_KEY] !== false,
+          shownAt: Array.isArray(state.shownAt) ? state.shownAt.filter(Number.isFinite) : [],
+          mutedItemIds: Array.isArray(state.mutedItemIds) ? state.mutedItemIds.map(String) : []
+        });
+      });
+    } catch {
+      resolve({ enabled: false, shownAt: [], mutedItemIds: [] });
+    }
+  });
+}
+
+function saveCartNudgeState({ shownAt, mutedItemIds }) {
+  return new Promise((resolve) => {
+    try {
+      chrome.storage.local.set({ [CART_NUDGE_STATE_KEY]: { shownAt, mutedItemIds } }, () => resolve());
+    } catch {
+      resolve();
+    }
+  });
+}
+
+/** Why the nudge must not show for `itemKey` now ("disabled", "muted", ...), or null. */
+function getCartNudgeBlocker(state, itemKey, now = Date.now()) {
+  if (!state.enabled) return "disabled";
+  if (state.mutedItemIds.includes(itemKey)) return "muted";
+  const recent = state.shownAt.filter((t) => now - t < DAY_MS);
+  if (recent.length >= CART_NUDGE_DAILY_LIMIT) return "daily limit";
+  if (recent.some((t) => now - t < CART_NUDGE_MIN_GAP_MS)) return "too soon";
+  return null;
+}
+
+// Retailer-qualified, since Walmart and Target item ids are plain numbers.
+function getCartNudgeItemKey(urlString = window.location.href) {
+  const site = getSiteForUrl(urlString);
+  return getItemKey(site?.adapter.id, site?.adapter.getProductId(site.url));
+}
+
+function closeCartNudge() {
+  document.getElementById("bbd-cart-nudge")?.remove();
+  window.clearTimeout(cartNudgeTimeoutId);
+  cartNudgeTimeoutId = null;
+}
+
+async function muteCartNudgeForItem(itemKey) {
+  const state = await loadCartNudgeState();
+  const mutedItemIds = [...state.mutedItemIds.filter((id) => id !== itemKey), itemKey].slice(-CART_NUDGE_MUTED_LIMIT);
+  await saveCartNudgeState({ shownAt: state.shownAt, mutedItemIds });
+}
+
+function createCartNudge({ match, itemKey }) {
+  if (!match?.product || document.getElementById("bbd-cart-nudge")) return;
+  const { product, priceComparison } = match;
+
+  const nudge = document.createElement("div");
+  nudge.id = "bbd-cart-nudge";
+  nudge.className = "bbd-cart-nudge";
+  nudge.setAttribute("role", "status");
+
+  nudge.innerHTML = `
+    <div class="bbd-toast-header">
+      <div class="bbd-toast-header-left">
+        <img src="${chrome.runtime.getURL('icons/icon32.png')}" alt="Fair Findz" class="bbd-toast-icon" aria-hidden="true">
+        <div class="bbd-toast-title">There's a Black-owned alternative</div>
+      </div>
+      <button class="bbd-cart-nudge-close bbd-toast-close" type="button" aria-label="Close">&times;</button>
+    </div>
+    <div class="bbd-toast-body">
+      <div class="bbd-cart-row-alt">${escapeHtmlAttr(product.name)}</div>
+      <div class="bbd-product-brand">By: ${escapeHtmlAttr(product.brand)}</div>
+      <div class="bbd-product-price-row">${renderPriceRowHtml(product, priceComparison)}</div>
+      <div class="bbd-cart-row-actions">
+        <button class="bbd-cart-nudge-open bbd-cart-row-view" type="button" data-product-url="${escapeHtmlAttr(product.productUrl || "")}">Open alternative</button>
+        <button class="bbd-cart-nudge-mute bbd-cart-row-more" type="button">Don't show for this product</button>
+      </div>
+    </div>
+  `;
+
+  nudge.querySelector(".bbd-cart-nudge-close")?.addEventListener("click", closeCartNudge);
 
-    if (remaining <= 0) {
-      window.clearInterval(toastCountdownIntervalId);
-      toastCountdownIntervalId = null;
-      closeToast();
-      if (!toastClosedByUser) startFlashing();
+  nudge.querySelector(".bbd-cart-nudge-open")?.addEventListener("click", (event) => {
+    const url = event.currentTarget.getAttribute("data-product-url");
+    if (!url || !isValidAmazonProductUrl(url)) {
+      console.error("❌ Invalid product URL:", url);
+      return;
     }
-  }, 1000);
+    window.open(url, "_blank", "noopener,noreferrer");
+    closeCartNudge();
+  });
+
+  nudge.querySelector(".bbd-cart-nudge-mute")?.addEventListener("click", async () => {
+    closeCartNudge();
+    await muteCartNudgeForItem(itemKey);
+  });
+
+  document.body.appendChild(nudge);
+  cartNudgeTimeoutId = window.setTimeout(closeCartNudge, CART_NUDGE_AUTO_HIDE_MS);
 }
 
-let cartActionsInitialized = false;
-let lastCartActionAt = 0;
+/**
+ * Called from the Add to Cart / Buy Now listener. Only uses matches already
+ * computed for this exact page, so it never delays the click.
+ */
+async function maybeShowCartNudge() {
+  if (document.getElementById("bbd-cart-nudge")) return;
+  if (!Array.isArray(cachedMatches) || !cachedMatches.length) return;
+  if (cachedUrl !== window.location.href || lastProductSignature !== getProductSignature()) return;
+
+  const itemKey = getCartNudgeItemKey();
+  if (!itemKey) return;
+
+  const [match] = cachedMatches;
+  const state = await loadCartNudgeState();
+  const now = Date.now();
+  const blocker = getCartNudgeBlocker(state, itemKey, now);
+  if (blocker) {
+    console.log(`ℹ️ Cart nudge skipped (${blocker})`);
+    return;
+  }
+  if (document.getElementById("bbd-cart-nudge") || cachedMatches?.[0] !== match) return;
 
-let modalInitialized = false;
+  await saveCartNudgeState({
+    shownAt: [...state.shownAt.filter((t) => now - t < DAY_MS), now],
+    mutedItemIds: state.mutedItemIds
+  });
+  closeToast();
+  createCartNudge({ match, itemKey });
+}
+
+/** A card's price, unit price and price comparison label. */
+function renderPriceRowHtml(product, priceComparison) {
+  const unitPrice =
+    priceComparison?.alternativeUnitPrice || computeUnitPrice(parsePriceText(product.price), getProductQuantity(product));
+  const unitPriceHtml = unitPrice ? `<span class="bbd-product-unit-price">(${escapeHtmlAttr(formatUnitPrice(unitPrice))})</span>` : "";
+  const priceCompareHtml = priceComparison
+    ? `<span class="bbd-price-compare bbd-price-compare-${priceComparison.kind}">${escapeHtmlAttr(priceComparison.label)}</span>`
+    : "";
+  // hydrateModalProductMeta swaps in the listing's live price; the catalog price is the fallback.
+  const price = escapeHtmlAttr(product.price || "");
+  const productUrl = escapeHtmlAttr(product.productUrl || "");
+  return `<div class="bbd-product-price" data-product-url="${productUrl}" data-fallback-price="${price}">${price}</div>${unitPriceHtml}${priceCompareHtml}`;
+}
 
 /**
- * Sets up listeners that detect “Add to Cart” / “Buy Now” clicks on Amazon.
- *
- * Why event delegation?
- * - Amazon often injects/re-renders buttons after page load.
- * - Instead of adding listeners to the buttons directly (which may not exist yet),
- *   we attach ONE listener to `document` and check what was clicked.
+ * Marks alternatives that offer a subscription. When the Amazon page offers
+ * Subscribe & Save too, it says "also", since the shopper can keep subscribing.
  */
-function detectCartActions() {
-  if (cartActionsInitialized) return;
-  cartActionsInitialized = true;
+function renderSubscriptionBadgeHtml(product, { pageOffersSubscription = false } = {}) {
+  if (product?.offersSubscription !== true) return "";
+  const label = pageOffersSubscription ? "🔁 Also offers a subscription" : "🔁 Offers a subscription";
+  return `<span class="bbd-product-badge bbd-subscription-badge">${label}</span>`;
+}
 
-  const getProductTitle = () => {
-    const titleEl = document.querySelector("#productTitle") || document.querySelector("h1#title");
-    return titleEl?.textContent?.trim() || "(unknown title)";
-  };
+function renderProductBadgesHtml(product, { pageOffersSubscription = false } = {}) {
+  const badges = Array.isArray(product.badges) ? product.badges.map((b) => `<span class="bbd-product-badge">🏷️ ${b}</span>`) : [];
+  const subscriptionBadge = renderSubscriptionBadgeHtml(product, { pageOffersSubscription });
+  if (subscriptionBadge) badges.push(subscriptionBadge);
+  if (product.availability === "temporarily_out_of_stock") {
+    badges.push('<span class="bbd-product-badge bbd-availability-badge">⏳ Temporarily out of stock</span>');
+  }
+  return badges.join(" ");
+}
 
-  // Capture phase means we see the interaction as early as possible in the event flow,
-  // before many site handlers run (we still do NOT block anything).
-  //
-  // We listen to `pointerdown` (fires before `click`) so we can log even if Amazon
-  // navigates immediately (e.g., Buy Now -> checkout).
-  const handler = (event) => {
-    if (!isProductPage()) return;
+function renderSubscribedTagHtml(info) {
+  return info?.subscribed ? '<span class="bbd-subscribed-tag">Subscribed</span> ' : "";
+}
 
-    // Prevent duplicate logs when both pointerdown and click fire for the same action.
-    const now = Date.now();
-    if (now - lastCartActionAt < 400) return;
+/** Swaps a modal card over to another variant of the same product. */
+function showProductCardVariant(card, variantMatch, amazonInfo) {
+  const variant = variantMatch.product;
+  const productUrl = variant.productUrl || "";
 
-    // `closest(...)` lets us detect clicks on nested elements inside the button,
-    // like spans/icons inside the clickable control.
-    const addToCartEl = event.target?.closest?.(
-      "#add-to-cart-button, input[name=\"submit.add-to-cart\"]"
-    );
-    if (addToCartEl) {
-      lastCartActionAt = now;
-      console.log(`🛒 Add to Cart button clicked! (${getProductTitle()})`);
-      return;
-    }
+  const titleEl = card.querySelector(".bbd-product-title");
+  if (titleEl) titleEl.textContent = variant.name;
 
-    // Buy Now has a few variants depending on experiment/layout.
-    const buyNowEl = event.target?.closest?.(
-      "#buy-now-button, input[name=\"submit.buy-now\"], input[name=\"submit.buy-now\"]"
-    );
-    if (buyNowEl) {
-      lastCartActionAt = now;
-      console.log(`⚡ Buy Now button clicked! (${getProductTitle()})`);
-    }
-  };
+  const priceRow = card.querySelector(".bbd-product-price-row");
+  if (priceRow) priceRow.innerHTML = renderPriceRowHtml(variant, variantMatch.priceComparison);
 
-  document.addEventListener("pointerdown", handler, true);
-  document.addEventListener("click", handler, true);
+  const badges = card.querySelector(".bbd-product-badges");
+  if (badges) badges.innerHTML = renderProductBadgesHtml(variant, { pageOffersSubscription: amazonInfo?.subscriptionOffered });
+
+  const why = card.querySelector("details.bbd-why");
+  if (why) {
+    const wasOpen = why.open;
+    why.outerHTML = renderMatchExplanationHtml(variantMatch);
+    if (wasOpen) card.querySelector("details.bbd-why").open = true;
+  }
+
+  card.querySelector(".bbd-product-cta-button")?.setAttribute("data-product-url", productUrl);
+
+  const img = card.querySelector("img.bbd-product-image");
+  if (img) {
+    img.setAttribute("data-primary-src", variant.imageUrl || "");
+    img.setAttribute("data-product-url", productUrl);
+    img.setAttribute("alt", variant.name);
+    img.src = variant.imageUrl || img.getAttribute("data-fallback-src") || "";
+    hydrateModalProductImages(card);
+  }
+  hydrateModalProductMeta(card);
 }
 
 /**
@@ -1109,24 +3295,35 @@ function createModal({ amazonInfo, matches } = {}) {
     container.setAttribute("aria-modal", "true");
 
     const category = amazonInfo?.category || getProductCategory();
+    const categoryLabel = domainTaxonomy?.byId?.get(category)?.label || category;
     const footerInfoText =
       category && category !== "unknown"
-        ? `💡 Supporting Black-owned businesses in ${category}`
+        ? `💡 Supporting Black-owned businesses in ${categoryLabel}`
         : "💡 Supporting Black-owned businesses";
 
     const items = Array.isArray(matches) ? matches : [];
 
     const productCardsHtml = items.length
       ? items
-          .map(({ product }) => {
+          .map((match, index) => {
+            const { product, priceComparison } = match;
             const imageSrc = escapeHtmlAttr(product.imageUrl || "");
             const fallbackSrc = escapeHtmlAttr(getImageFallbackDataUrl());
             const productUrlAttr = escapeHtmlAttr(product.productUrl || "");
-            const badges = Array.isArray(product.badges) && product.badges.length
-              ? product.badges.map((b) => `<span class="bbd-product-badge">🏷️ ${b}</span>`).join(" ")
-              : "";
-
-            const priceText = escapeHtmlAttr(product.price || "");
+            const badges = renderProductBadgesHtml(product, { pageOffersSubscription: amazonInfo?.subscriptionOffered });
+
+            const variantPickerHtml =
+              Array.isArray(match.variants) && match.variants.length > 1
+                ? `
+              <label class="bbd-variant-picker">
+                <span class="bbd-variant-picker-label">Option</span>
+                <select class="bbd-variant-select">
+                  ${match.variants
+                    .map((v) => `<option value="${escapeHtmlAttr(v.id)}"${v === product ? " selected" : ""}>${escapeHtmlAttr(getVariantLabel(v))}</option>`)
+                    .join("")}
+                </select>
+              </label>`
+                : "";
             const ratingText = renderStarsHtml(
               typeof product.rating === "number" ? product.rating : Number(product.rating || 0)
             );
@@ -1134,7 +3331,7 @@ function createModal({ amazonInfo, matches } = {}) {
               typeof product.reviewCount === "number" ? product.reviewCount : Number(product.reviewCount || 0);
 
             return `
-          <div class="bbd-product-card">
+          <div class="bbd-product-card" data-match-index="${index}">
             <img
               class="bbd-product-image"
               src="${imageSrc || fallbackSrc}"
@@ -1147,9 +3344,11 @@ function createModal({ amazonInfo, matches } = {}) {
             <div class="bbd-product-info">
               <div class="bbd-product-title">${product.name}</div>
               <div class="bbd-product-brand">By: ${product.brand}</div>
-              <div class="bbd-product-price">${priceText}</div>
+              <div class="bbd-product-price-row">${renderPriceRowHtml(product, priceComparison)}</div>
+              ${variantPickerHtml}
               <div class="bbd-product-rating">${ratingText} <span class="bbd-review-count">(${Number.isFinite(reviewCountText) ? reviewCountText.toLocaleString() : "0"})</span></div>
               <div class="bbd-product-badges">${badges}</div>
+              ${renderMatchExplanationHtml(match)}
 
               <button
                 class="bbd-product-cta-button"
@@ -1202,6 +3401,7 @@ function createModal({ amazonInfo, matches } = {}) {
     overlay.classList.add("bbd-modal-show");
 
     hydrateModalProductImages(overlay);
+    hydrateModalProductMeta(overlay);
 
     window.requestAnimationFrame(() => {
       overlay.classList.add("bbd-modal-show");
@@ -1235,6 +3435,16 @@ function createModal({ amazonInfo, matches } = {}) {
     const footerCloseBtn = overlay.querySelector(".bbd-modal-footer-close");
     footerCloseBtn?.addEventListener("click", closeModal);
 
+    overlay.querySelectorAll(".bbd-variant-select").forEach((select) => {
+      select.addEventListener("change", () => {
+        const card = select.closest(".bbd-product-card");
+        const match = items[Number(card?.getAttribute("data-match-index"))];
+        const variantMatch = match?.variantMatches?.find((m) => m.product.id === select.value);
+        if (!card || !variantMatch) return;
+        showProductCardVariant(card, variantMatch, amazonInfo);
+      });
+    });
+
     const productCtaButtons = overlay.querySelectorAll(".bbd-product-cta-button");
     productCtaButtons.forEach((btn) => {
       btn.addEventListener("click", function () {
@@ -1260,36 +3470,580 @@ function createModal({ amazonInfo, matches } = {}) {
   }
 }
 
+function clearSearchResultsUi() {
+  document.getElementById("bbd-search-banner")?.remove();
+  document.querySelectorAll(".bbd-search-chip").forEach((chip) => chip.remove());
+}
+
+/**
+ * Adds a "Black-owned alternative available" chip under the title of every tile
+ * with matches. Clicking the chip opens the usual modal for that tile.
+ */
+function renderSearchResultChips(tileMatches) {
+  const { tileTitle = "" } = getSiteAdapter()?.searchLayout || {};
+
+  for (const { element, info, matches } of tileMatches) {
+    if (!matches.length || element.querySelector(".bbd-search-chip")) continue;
+
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "bbd-search-chip";
+    chip.textContent = "Black-owned alternative available";
+    chip.addEventListener("click", (event) => {
+      // Tiles are wrapped in links; keep the click from navigating to the retailer's item.
+      event.preventDefault();
+      event.stopPropagation();
+      createModal({ amazonInfo: info, matches });
+    });
+
+    // Place the chip under the title link; titles are often inside one.
+    const title = tileTitle ? element.querySelector(tileTitle) : null;
+    const anchor = title?.closest("a") || title;
+    if (anchor && element.contains(anchor)) anchor.insertAdjacentElement("afterend", chip);
+    else element.prepend(chip);
+  }
+}
+
+/**
+ * Shows the dismissible banner above the results listing the best catalog
+ * matches for the query. A dismissed query stays dismissed for this tab.
+ */
+function createSearchBanner({ query, matches } = {}) {
+  if (!Array.isArray(matches) || !matches.length) return;
+  if (dismissedSearchBannerQueries.has(normalizeText(query))) return;
+  if (document.getElementById("bbd-search-banner")) return;
+
+  const banner = document.createElement("div");
+  banner.id = "bbd-search-banner";
+  banner.className = "bbd-search-banner";
+  banner.setAttribute("role", "region");
+  banner.setAttribute("aria-label", "FairFindz alternatives");
+
+  const itemsHtml = matches
+    .map(({ product }) => {
+      return `
+      <button class="bbd-search-banner-item" type="button" data-product-url="${escapeHtmlAttr(product.productUrl || "")}">
+        <span class="bbd-search-banner-item-name">${escapeHtmlAttr(product.name)}</span>
+        <span class="bbd-search-banner-item-meta">${escapeHtmlAttr(product.brand)}${product.price ? ` · ${escapeHtmlAttr(product.price)}` : ""}</span>
+      </button>`;
+    })
+    .join("");
+
+  banner.innerHTML = `
+    <div class="bbd-search-banner-header">
+      <img src="${chrome.runtime.getURL('icons/icon32.png')}" alt="" class="bbd-search-banner-icon" aria-hidden="true">
+      <div class="bbd-search-banner-title">Black-owned picks for “${escapeHtmlAttr(query)}”</div>
+      <button class="bbd-search-banner-close" type="button" aria-label="Dismiss">&times;</button>
+    </div>
+    <div class="bbd-search-banner-list">${itemsHtml}</div>
+  `;
+
+  banner.querySelector(".bbd-search-banner-close")?.addEventListener("click", () => {
+    dismissedSearchBannerQueries.add(normalizeText(query));
+    banner.remove();
+  });
+
+  banner.querySelectorAll(".bbd-search-banner-item").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const url = btn.getAttribute("data-product-url");
+      if (!url || !isValidAmazonProductUrl(url)) {
+        console.error("❌ Invalid product URL:", url);
+        return;
+      }
+      window.open(url, "_blank", "noopener,noreferrer");
+    });
+  });
+
+  const { resultsSlot: resultsSlotSelector = "" } = getSiteAdapter()?.searchLayout || {};
+  const resultsSlot = resultsSlotSelector ? document.querySelector(resultsSlotSelector) : null;
+  if (resultsSlot?.parentElement) resultsSlot.parentElement.insertBefore(banner, resultsSlot);
+  else (document.getElementById("search") || document.body).prepend(banner);
+}
+
+async function showSearchResultsAlternatives() {
+  try {
+    const [products, taxonomy, priceSettings, substitutions] = await Promise.all([
+      loadProductDatabase(),
+      loadDomainTaxonomy(),
+      loadPriceSettings(),
+      loadSubstitutions(),
+      loadSubscriptions()
+    ]);
+
+    const query = getSearchQuery();
+    const tiles = extractSearchResultTiles({ taxonomy });
+    const result = matchSearchResults({ query, tiles }, products, { limit: 3, taxonomy, priceSettings, substitutions });
+
+    // Amazon can swap the results without a navigation; drop results for an old query.
+    if (getSearchQuery() !== query) return;
+
+    console.log("🔎 Search results matches:", {
+      query,
+      tiles: tiles.length,
+      tilesWithMatches: result.tiles.filter((t) => t.matches.length).length,
+      banner: result.banner.map((m) => m.product.id)
+    });
+
+    renderSearchResultChips(result.tiles);
+    createSearchBanner({ query, matches: result.banner });
+  } catch (err) {
+    console.error("❌ Failed to match search results:", err);
+  }
+}
+
+function closeCartPanel() {
+  document.getElementById("bbd-cart-panel")?.remove();
+}
+
+/**
+ * Shows one panel listing a swap for every cart item that has an alternative,
+ * with the share of the cart that could go to Black-owned brands.
+ */
+function createCartPanel({ items, itemsWithAlternatives, redirectableTotal } = {}) {
+  const swaps = (items || []).filter((item) => item.matches.length);
+  if (!swaps.length || document.getElementById("bbd-cart-panel")) return;
+
+  const panel = document.createElement("div");
+  panel.id = "bbd-cart-panel";
+  panel.className = "bbd-cart-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "FairFindz cart review");
+
+  const rowsHtml = swaps
+    .map((item, index) => {
+      const [best] = item.matches;
+      const quantityText = item.quantity > 1 ? ` (×${item.quantity})` : "";
+      return `
+      <div class="bbd-cart-row" data-swap-index="${index}">
+        <div class="bbd-cart-row-source">${renderSubscribedTagHtml(item.info)}Instead of: ${escapeHtmlAttr(item.info.title)}${quantityText}</div>
+        <div class="bbd-cart-row-alt">${escapeHtmlAttr(best.product.name)}</div>
+        <div class="bbd-product-brand">By: ${escapeHtmlAttr(best.product.brand)}</div>
+        <div class="bbd-product-price-row">${renderPriceRowHtml(best.product, best.priceComparison)}</div>
+        <div class="bbd-cart-row-actions">
+          <button class="bbd-cart-row-view" type="button" data-product-url="${escapeHtmlAttr(best.product.productUrl || "")}">View swap →</button>
+          <button class="bbd-cart-row-more" type="button">Why this?</button>
+        </div>
+      </div>`;
+    })
+    .join("");
+
+  const itemCount = items.length;
+  const totalText = redirectableTotal > 0
+    ? `<div class="bbd-cart-panel-total">${formatPrice(redirectableTotal)} of your cart could go to Black-owned brands</div>`
+    : "";
+
+  panel.innerHTML = `
+    <div class="bbd-toast-header">
+      <div class="bbd-toast-header-left">
+        <img src="${chrome.runtime.getURL('icons/icon32.png')}" alt="Fair Findz" class="bbd-toast-icon" aria-hidden="true">
+        <div class="bbd-toast-title">Before you check out</div>
+      </div>
+      <button class="bbd-cart-panel-close bbd-toast-close" type="button" aria-label="Close">&times;</button>
+    </div>
+    <div class="bbd-cart-panel-summary">
+      <div>${itemsWithAlternatives} of ${itemCount} ${itemCount === 1 ? "item has" : "items have"} a Black-owned alternative</div>
+      ${totalText}
+    </div>
+    <div class="bbd-cart-panel-list">${rowsHtml}</div>
+  `;
+
+  panel.querySelector(".bbd-cart-panel-close")?.addEventListener("click", closeCartPanel);
+
+  panel.querySelectorAll(".bbd-cart-row-view").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const url = btn.getAttribute("data-product-url");
+      if (!url || !isValidAmazonProductUrl(url)) {
+        console.error("❌ Invalid product URL:", url);
+        return;
+      }
+      window.open(url, "_blank", "noopener,noreferrer");
+    });
+  });
+
+  panel.querySelectorAll(".bbd-cart-row-more").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const item = swaps[Number(btn.closest(".bbd-cart-row")?.getAttribute("data-swap-index"))];
+      if (item) createModal({ amazonInfo: item.info, matches: item.matches });
+    });
+  });
+
+  document.body.appendChild(panel);
+}
+
+function closeListDrawer() {
+  document.getElementById("bbd-list-drawer")?.remove();
+}
+
+/**
+ * Side drawer for wishlists and registries: every listed item that has
+ * alternatives, with up to three of them each. "Replace in my list" opens the
+ * alternative's page, where the shopper can add it to the same list. The
+ * subscriptions page reuses it with its own wording.
+ */
+function createListDrawer(
+  items,
+  { title = "Black-owned gift ideas", listLabel = "on this list", replaceLabel = "Replace in my list →" } = {}
+) {
+  const withAlternatives = (items || []).filter((item) => item.matches.length);
+  if (!withAlternatives.length || document.getElementById("bbd-list-drawer")) return;
+
+  const drawer = document.createElement("div");
+  drawer.id = "bbd-list-drawer";
+  drawer.className = "bbd-list-drawer";
+  drawer.setAttribute("role", "dialog");
+  drawer.setAttribute("aria-label", "FairFindz list alternatives");
+
+  const rowsHtml = withAlternatives
+    .map(
+      (item, index) => `
+      <div class="bbd-list-row" data-list-index="${index}">
+        <div class="bbd-cart-row-source">${renderSubscribedTagHtml(item.info)}For: ${escapeHtmlAttr(item.info.title)}${
+          item.frequency ? ` (${escapeHtmlAttr(item.frequency)})` : ""
+        }</div>
+        ${item.matches
+          .map(
+            ({ product, priceComparison }) => `
+          <div class="bbd-list-alt">
+            <div class="bbd-cart-row-alt">${escapeHtmlAttr(product.name)}</div>
+            <div class="bbd-product-brand">By: ${escapeHtmlAttr(product.brand)}</div>
+            <div class="bbd-product-price-row">${renderPriceRowHtml(product, priceComparison)}</div>
+            ${renderSubscriptionBadgeHtml(product)}
+            <button class="bbd-list-replace bbd-cart-row-view" type="button" data-product-url="${escapeHtmlAttr(product.productUrl || "")}">${escapeHtmlAttr(replaceLabel)}</button>
+          </div>`
+          )
+          .join("")}
+        <button class="bbd-list-show bbd-cart-row-more" type="button">Show on list</button>
+      </div>`
+    )
+    .join("");
+
+  const itemCount = items.length;
+  drawer.innerHTML = `
+    <div class="bbd-toast-header">
+      <div class="bbd-toast-header-left">
+        <img src="${chrome.runtime.getURL('icons/icon32.png')}" alt="Fair Findz" class="bbd-toast-icon" aria-hidden="true">
+        <div class="bbd-toast-title">${escapeHtmlAttr(title)}</div>
+      </div>
+      <button class="bbd-list-drawer-close bbd-toast-close" type="button" aria-label="Close">&times;</button>
+    </div>
+    <div class="bbd-cart-panel-summary">
+      <div>${withAlternatives.length} of ${itemCount} ${itemCount === 1 ? "item" : "items"} ${escapeHtmlAttr(listLabel)} ${withAlternatives.length === 1 ? "has" : "have"} a Black-owned alternative</div>
+    </div>
+    <div class="bbd-cart-panel-list">${rowsHtml}</div>
+  `;
+
+  drawer.querySelector(".bbd-list-drawer-close")?.addEventListener("click", () => {
+    listDrawerClosedByUser = true;
+    closeListDrawer();
+  });
+
+  drawer.querySelectorAll(".bbd-list-replace").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const url = btn.getAttribute("data-product-url");
+      if (!url || !isValidAmazonProductUrl(url)) {
+        console.error("❌ Invalid product URL:", url);
+        return;
+      }
+      window.open(url, "_blank", "noopener,noreferrer");
+    });
+  });
+
+  drawer.querySelectorAll(".bbd-list-show").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const item = withAlternatives[Number(btn.closest(".bbd-list-row")?.getAttribute("data-list-index"))];
+      item?.element?.scrollIntoView?.({ behavior: "smooth", block: "center" });
+    });
+  });
+
+  document.body.appendChild(drawer);
+}
+
+async function showListAlternatives() {
+  try {
+    const [products, taxonomy, priceSettings, substitutions] = await Promise.all([
+      loadProductDatabase(),
+      loadDomainTaxonomy(),
+      loadPriceSettings(),
+      loadSubstitutions(),
+      loadSubscriptions()
+    ]);
+
+    if (!isListPage()) return;
+    // Rows that render later change the signature; checkForPageChange then runs this again.
+    lastListSignature = getListSignature();
+    const items = matchPageItems(extractListItems({ taxonomy }), products, { limit: 3, taxonomy, priceSettings, substitutions });
+    console.log("🎁 List review:", {
+      items: items.length,
+      itemsWithAlternatives: items.filter((item) => item.matches.length).length
+    });
+
+    if (listDrawerClosedByUser) return;
+    closeListDrawer();
+    createListDrawer(items);
+  } catch (err) {
+    console.error("❌ Failed to match list items:", err);
+  }
+}
+
+async function showSubscriptionAlternatives() {
+  try {
+    const [products, taxonomy, priceSettings, substitutions] = await Promise.all([
+      loadProductDatabase(),
+      loadDomainTaxonomy(),
+      loadPriceSettings(),
+      loadSubstitutions(),
+      loadSubscriptions()
+    ]);
+
+    // An empty page may still be loading, so it does not clear what is stored.
+    const subscriptions = extractSubscriptionItems({ taxonomy });
+    if (subscriptions.length) {
+      await saveSubscriptions(subscriptions.map(({ info }) => getItemKey(info.retailer, info.itemId)));
+      subscriptions.forEach(({ info }) => {
+        info.subscribed = true;
+      });
+    }
+
+    const items = matchPageItems(subscriptions, products, { limit: 3, taxonomy, priceSettings, substitutions });
+    console.log("🔁 Subscription review:", {
+      items: items.length,
+      itemsWithAlternatives: items.filter((item) => item.matches.length).length
+    });
+
+    if (!isSubscriptionsPage()) return;
+    createListDrawer(items, {
+      title: "Switch your subscriptions",
+      listLabel: "you subscribe to",
+      replaceLabel: "Switch subscription →"
+    });
+  } catch (err) {
+    console.error("❌ Failed to match subscriptions:", err);
+  }
+}
+
+function closeOrderHistoryPanel() {
+  document.getElementById("bbd-orders-panel")?.remove();
+}
+
+function downloadTextFile(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Fills the order history panel with the repeat purchase report. */
+function renderRepeatPurchaseReport(panel, { orders, report }) {
+  const summary = panel.querySelector(".bbd-cart-panel-summary");
+  const list = panel.querySelector(".bbd-orders-report");
+  const orderCount = orders.length;
+  const ordersText = `${orderCount} ${orderCount === 1 ? "order" : "orders"}`;
+
+  if (!report.length) {
+    summary.innerHTML = `<div>No repeat purchases with a Black-owned alternative in your last ${ordersText}.</div>`;
+    list.innerHTML = "";
+    return;
+  }
+
+  summary.innerHTML = `
+    <div>${report.length} repeat ${report.length === 1 ? "purchase has" : "purchases have"} a Black-owned alternative (last ${ordersText})</div>
+    <div class="bbd-orders-actions">
+      <button class="bbd-orders-save bbd-cart-row-view" type="button">Save all to favorites</button>
+      <button class="bbd-orders-export bbd-cart-row-more" type="button">Export CSV</button>
+    </div>
+    <div class="bbd-orders-status" role="status"></div>
+  `;
+
+  list.innerHTML = report
+    .map(({ info, timesOrdered, lastOrderDate, matches: [best] }, index) => {
+      const lastText = lastOrderDate ? `, last on ${escapeHtmlAttr(lastOrderDate)}` : "";
+      return `
+      <div class="bbd-cart-row" data-report-index="${index}">
+        <div class="bbd-cart-row-source">${renderSubscribedTagHtml(info)}Bought ${timesOrdered}×${lastText}: ${escapeHtmlAttr(info.title)}</div>
+        <div class="bbd-cart-row-alt">${escapeHtmlAttr(best.product.name)}</div>
+        <div class="bbd-product-brand">By: ${escapeHtmlAttr(best.product.brand)}</div>
+        <div class="bbd-product-price-row">${renderPriceRowHtml(best.product, best.priceComparison)}</div>
+        <div class="bbd-cart-row-actions">
+          <button class="bbd-cart-row-view" type="button" data-product-url="${escapeHtmlAttr(best.product.productUrl || "")}">View swap →</button>
+          <button class="bbd-cart-row-more" type="button">Why this?</button>
+        </div>
+      </div>`;
+    })
+    .join("");
+
+  list.querySelectorAll(".bbd-cart-row-view").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const url = btn.getAttribute("data-product-url");
+      if (!url || !isValidAmazonProductUrl(url)) {
+        console.error("❌ Invalid product URL:", url);
+        return;
+      }
+      window.open(url, "_blank", "noopener,noreferrer");
+    });
+  });
+
+  list.querySelectorAll(".bbd-cart-row-more").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const row = report[Number(btn.closest(".bbd-cart-row")?.getAttribute("data-report-index"))];
+      if (row) createModal({ amazonInfo: row.info, matches: row.matches });
+    });
+  });
+
+  const status = summary.querySelector(".bbd-orders-status");
+
+  const saveBtn = summary.querySelector(".bbd-orders-save");
+  saveBtn.addEventListener("click", async () => {
+    saveBtn.disabled = true;
+    const alternatives = [...new Map(report.map(({ matches: [best] }) => [best.product.id, best.product])).values()];
+    for (const product of alternatives) {
+      await setProductFavorite(product, true);
+    }
+    status.textContent = `Saved ${alternatives.length} ${alternatives.length === 1 ? "alternative" : "alternatives"} to favorites.`;
+  });
+
+  summary.querySelector(".bbd-orders-export").addEventListener("click", () => {
+    downloadTextFile("fairfindz-repeat-purchases.csv", buildRepeatPurchaseCsv(report), "text/csv");
+  });
+}
+
+async function scanRepeatPurchases({ onPage } = {}) {
+  const [products, taxonomy, priceSettings, substitutions] = await Promise.all([
+    loadProductDatabase(),
+    loadDomainTaxonomy(),
+    loadPriceSettings(),
+    loadSubstitutions(),
+    loadSubscriptions()
+  ]);
+
+  const orders = await scanOrderHistory({ taxonomy, onPage });
+  const report = buildRepeatPurchaseReport(orders, products, { limit: 3, taxonomy, priceSettings, substitutions });
+  console.log("📦 Repeat purchases:", { orders: orders.length, withAlternatives: report.length });
+  return { orders, report };
+}
+
+/**
+ * On the order history page, offers to scan past orders for repeat purchases
+ * that have alternatives. Scanning only starts when the shopper asks for it,
+ * since it loads further order pages.
+ */
+function showOrderHistoryPanel() {
+  if (document.getElementById("bbd-orders-panel")) return;
+
+  const panel = document.createElement("div");
+  panel.id = "bbd-orders-panel";
+  panel.className = "bbd-cart-panel bbd-orders-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "FairFindz repeat purchases");
+
+  panel.innerHTML = `
+    <div class="bbd-toast-header">
+      <div class="bbd-toast-header-left">
+        <img src="${chrome.runtime.getURL('icons/icon32.png')}" alt="Fair Findz" class="bbd-toast-icon" aria-hidden="true">
+        <div class="bbd-toast-title">Swap your repeat purchases</div>
+      </div>
+      <button class="bbd-orders-panel-close bbd-toast-close" type="button" aria-label="Close">&times;</button>
+    </div>
+    <div class="bbd-cart-panel-summary">
+      <div>Find Black-owned alternatives for the things you buy again and again. Your orders are read in this browser and never sent anywhere.</div>
+      <div class="bbd-orders-actions">
+        <button class="bbd-orders-scan bbd-cart-row-view" type="button">Scan my orders</button>
+      </div>
+    </div>
+    <div class="bbd-cart-panel-list bbd-orders-report"></div>
+  `;
+
+  panel.querySelector(".bbd-orders-panel-close")?.addEventListener("click", closeOrderHistoryPanel);
+
+  const scanBtn = panel.querySelector(".bbd-orders-scan");
+  scanBtn.addEventListener("click", async () => {
+    scanBtn.disabled = true;
+    scanBtn.textContent = "Scanning…";
+    try {
+      const result = await scanRepeatPurchases({
+        onPage: (page) => {
+          scanBtn.textContent = `Scanning page ${page}…`;
+        }
+      });
+      if (panel.isConnected) renderRepeatPurchaseReport(panel, result);
+    } catch (err) {
+      console.error("❌ Failed to scan order history:", err);
+      scanBtn.disabled = false;
+      scanBtn.textContent = "Try again";
+    }
+  });
+
+  document.body.appendChild(panel);
+}
+
+async function showCartAlternatives() {
+  try {
+    const [products, taxonomy, priceSettings, substitutions] = await Promise.all([
+      loadProductDatabase(),
+      loadDomainTaxonomy(),
+      loadPriceSettings(),
+      loadSubstitutions(),
+      loadSubscriptions()
+    ]);
+
+    const items = extractCartItems({ taxonomy });
+    const result = matchCartItems(items, products, { limit: 3, taxonomy, priceSettings, substitutions });
+
+    console.log("🛒 Cart review:", {
+      items: items.length,
+      itemsWithAlternatives: result.itemsWithAlternatives,
+      redirectableTotal: result.redirectableTotal
+    });
+
+    if (!isCartPage()) return;
+    createCartPanel(result);
+  } catch (err) {
+    console.error("❌ Failed to match cart items:", err);
+  }
+}
+
 async function logProductPageStatus() {
-  if (isProductPage(window.location.href, { detectCategory: true })) {
+  if (isProductPage(window.location.href)) {
     console.log("✅ Product page detected!");
     detectCartActions();
 
     try {
-      const products = await loadProductDatabase();
+      const [products, taxonomy, priceSettings, substitutions] = await Promise.all([
+        loadProductDatabase(),
+        loadDomainTaxonomy(),
+        loadPriceSettings(),
+        loadSubstitutions(),
+        loadSubscriptions()
+      ]);
       const activeProducts = products.filter((p) => p.availability !== "out_of_stock");
       console.log(`✅ Loaded ${products.length} products (${activeProducts.length} in-stock, ${products.length - activeProducts.length} out-of-stock)`);
+      lastProductSignature = getProductSignature();
 
       // If the user is already on a product that exists in our database,
-      // do not surface alternatives.
-      if (isCurrentAmazonProductInDatabase(products)) {
+      // do not surface alternatives; show the brand instead.
+      const catalogProduct = getCurrentCatalogProduct(products);
+      if (catalogProduct) {
         sendBackgroundMessage({ type: "FAIRFINDZ_STOP_FLASHING" });
         sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
         closeToast();
+        await showSupportingBrandToast(catalogProduct, products);
         return;
       }
 
-      const amazonInfo = extractAmazonProduct();
+      const amazonInfo = extractPageProduct({ taxonomy });
       cachedAmazonInfo = amazonInfo;
       cachedUrl = window.location.href;
-      cachedAsin = extractAmazonAsinFromUrl(window.location.href);
-      console.log("🧾 Amazon product info:", {
+      cachedItemId = getPageProductId();
+      console.log("🧾 Page product info:", {
         title: amazonInfo.title,
         category: amazonInfo.category,
         priceText: amazonInfo.priceText
       });
 
-      const { top, scored } = matchProducts(amazonInfo, products, { limit: 3 });
+      const { top, scored } = matchProducts(amazonInfo, products, { limit: 3, taxonomy, priceSettings, substitutions });
       cachedMatches = top;
       console.log(
         "🏁 Match results:",
@@ -1314,18 +4068,40 @@ async function logProductPageStatus() {
         if (!isProductPage()) return;
         // Avoid showing stale toasts when Amazon navigates without a full reload.
         if (cachedUrl && cachedUrl !== window.location.href) return;
-        const currentAsin = extractAmazonAsinFromUrl(window.location.href);
-        if (cachedAsin && currentAsin && cachedAsin !== currentAsin) return;
-        if (!Array.isArray(top) || top.length === 0) return;
+        const currentItemId = getPageProductId();
+        if (cachedItemId && currentItemId && cachedItemId !== currentItemId) return;
+        if (toastClosedByUser) return;
+        if (!Array.isArray(cachedMatches) || cachedMatches.length === 0) return;
         createToast({
           onOpenFullModal: () => createModal({ amazonInfo: cachedAmazonInfo, matches: cachedMatches || [] })
         });
+        refreshCachedMatchAvailability();
       }, 2000);
       return;
     } catch (err) {
-      console.error("❌ Invalid businesses.json:", err);
+      console.error("❌ Invalid businesses.json / domains.json:", err);
       return;
     }
+  } else if (isSearchResultsPage(window.location.href)) {
+    console.log("🔎 Search results page detected");
+    sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
+    await showSearchResultsAlternatives();
+  } else if (isCartPage(window.location.href)) {
+    console.log("🛒 Cart page detected");
+    sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
+    await showCartAlternatives();
+  } else if (isListPage(window.location.href)) {
+    console.log("🎁 Wishlist / registry page detected");
+    sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
+    await showListAlternatives();
+  } else if (isSubscriptionsPage(window.location.href)) {
+    console.log("🔁 Subscriptions page detected");
+    sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
+    await showSubscriptionAlternatives();
+  } else if (isOrderHistoryPage(window.location.href)) {
+    console.log("📦 Order history page detected");
+    sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
+    showOrderHistoryPanel();
   } else {
     console.log("❌ Not a product page");
     // Clear badge state on non-product pages.
@@ -1354,19 +4130,20 @@ chrome.runtime?.onMessage?.addListener((message) => {
     // If we already computed matches for this page, reuse them.
     if (cachedAmazonInfo && Array.isArray(cachedMatches)) {
       const currentHref = window.location.href;
-      const currentAsin = extractAmazonAsinFromUrl(currentHref);
+      const currentItemId = getPageProductId(currentHref);
 
       // If the user navigated (Amazon SPA), our cached matches may be for a different page.
       // Do not no-op; clear cache and recompute below.
       if (cachedUrl && cachedUrl !== currentHref) {
         cachedAmazonInfo = null;
         cachedMatches = null;
-      } else if (cachedAsin && currentAsin && cachedAsin !== currentAsin) {
+      } else if (cachedItemId && currentItemId && cachedItemId !== currentItemId) {
         cachedAmazonInfo = null;
         cachedMatches = null;
       } else {
         closeToast();
         createModal({ amazonInfo: cachedAmazonInfo, matches: cachedMatches });
+        refreshCachedMatchAvailability();
         return;
       }
     }
@@ -1374,25 +4151,32 @@ chrome.runtime?.onMessage?.addListener((message) => {
     // Fallback: compute matches on demand.
     (async () => {
       try {
-        const products = await loadProductDatabase();
+        const [products, taxonomy, priceSettings, substitutions] = await Promise.all([
+          loadProductDatabase(),
+          loadDomainTaxonomy(),
+          loadPriceSettings(),
+          loadSubstitutions(),
+          loadSubscriptions()
+        ]);
 
         // If the user is already on a product that exists in our database,
         // do not surface alternatives (even via icon click).
-        if (!forceOpen && isCurrentAmazonProductInDatabase(products)) {
+        if (!forceOpen && isCurrentProductInDatabase(products)) {
           sendBackgroundMessage({ type: "FAIRFINDZ_STOP_FLASHING" });
           sendBackgroundMessage({ type: "FAIRFINDZ_CLEAR_BADGE" });
           closeToast();
           return;
         }
 
-        const amazonInfo = extractAmazonProduct();
+        const amazonInfo = extractPageProduct({ taxonomy });
         cachedAmazonInfo = amazonInfo;
         cachedUrl = window.location.href;
-        cachedAsin = extractAmazonAsinFromUrl(window.location.href);
-        const { top } = matchProducts(amazonInfo, products, { limit: 3 });
+        cachedItemId = getPageProductId();
+        const { top } = matchProducts(amazonInfo, products, { limit: 3, taxonomy, priceSettings, substitutions });
         cachedMatches = top;
         closeToast();
         createModal({ amazonInfo, matches: Array.isArray(top) ? top : [] });
+        refreshCachedMatchAvailability();
       } catch (err) {
         console.error("❌ Failed to open modal:", err);
       }
@@ -1424,7 +4208,9 @@ if (document.readyState === "loading") {
 }
 
 // Amazon sometimes navigates between product pages via History API without a full reload.
-// Recompute matches when the URL changes.
+// Recompute matches when the URL changes. The hooks below only see history calls
+// made from this isolated world; the page's own calls, and in-page product swaps,
+// are caught by the DOM observer at the end.
 try {
   lastObservedUrl = window.location.href;
 
@@ -1444,7 +4230,16 @@ try {
     return ret;
   };
 
-  window.setInterval(onPossibleUrlChange, 1000);
+  new MutationObserver((records) => {
+    if (records.every(isExtensionUiMutation)) return;
+    schedulePageChangeCheck();
+  }).observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ["value"]
+  });
 } catch {
   // ignore
 }
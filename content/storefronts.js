@@ -0,0 +1,106 @@
+(function () {
+  // Amazon marketplaces we support. Catalog rows list the `id`s they are sold in
+  // (`marketplaces`); prices on a storefront are in its `currency`.
+  const STOREFRONTS = [
+    { id: "us", host: "amazon.com", currency: "USD", locale: "en-US" },
+    { id: "ca", host: "amazon.ca", currency: "CAD", locale: "en-CA" },
+    { id: "uk", host: "amazon.co.uk", currency: "GBP", locale: "en-GB" },
+    { id: "de", host: "amazon.de", currency: "EUR", locale: "de-DE" },
+    { id: "mx", host: "amazon.com.mx", currency: "MXN", locale: "es-MX" }
+  ];
+
+  const DEFAULT_STOREFRONT_ID = "us";
+
+  // A price as Amazon renders it on any supported storefront:
+  // "$17.98", "CA$17.98", "£17.98", "€17,98", "17,98 €", "$1,234.00".
+  const CURRENCY_SYMBOL = "(?:[A-Z]{1,3}\\$|\\$|£|€)";
+  const PRICE_PATTERN_SOURCE = `(?:${CURRENCY_SYMBOL}\\s*\\d(?:[\\d.,]*\\d)?|\\d(?:[\\d.,]*\\d)?\\s*€)`;
+  const PRICE_TEXT_RE = new RegExp(`^${PRICE_PATTERN_SOURCE}$`);
+  const PRICE_FIND_RE = new RegExp(PRICE_PATTERN_SOURCE);
+
+  function getStorefrontById(id) {
+    return STOREFRONTS.find((s) => s.id === id) || null;
+  }
+
+  // "www.amazon.co.uk" -> uk. Note amazon.com.mx is its own storefront, not a subdomain of amazon.com.
+  function getStorefrontForHost(hostname) {
+    const host = String(hostname || "").toLowerCase();
+    return STOREFRONTS.find((s) => host === s.host || host.endsWith(`.${s.host}`)) || null;
+  }
+
+  function getStorefrontForUrl(urlString) {
+    try {
+      const url = new URL(urlString);
+      if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+      return getStorefrontForHost(url.hostname);
+    } catch {
+      return null;
+    }
+  }
+
+  /** True for a complete price string; `requireCents` rejects "$10"-style coupon amounts. */
+  function isPriceText(text, { requireCents = false } = {}) {
+    const t = String(text ?? "").trim();
+    if (!PRICE_TEXT_RE.test(t)) return false;
+    return !requireCents || /[.,]\d{2}(?:\s*€)?$/.test(t);
+  }
+
+  /** The first price inside longer text ("Now $17.48 $21.99" -> "$17.48"), or "". */
+  function findPriceText(text) {
+    return String(text ?? "").match(PRICE_FIND_RE)?.[0] || "";
+  }
+
+  /**
+   * Parses the amount out of a price in either separator convention:
+   * "$1,234.56" and "1.234,56 €" -> 1234.56. The last separator is the decimal
+   * point when one or two digits follow it (or the integer part is 0).
+   * Returns null for missing or non-positive amounts.
+   */
+  function parsePriceAmount(text) {
+    if (typeof text === "number") return Number.isFinite(text) && text > 0 ? text : null;
+
+    const m = String(text || "").match(/\d[\d.,\u00a0\u202f]*/);
+    if (!m) return null;
+
+    const raw = m[0].replace(/[^\d]+$/, "").replace(/[\u00a0\u202f]/g, "");
+    const lastSep = Math.max(raw.lastIndexOf("."), raw.lastIndexOf(","));
+    let normalized = raw.replace(/[.,]/g, "");
+    if (lastSep !== -1) {
+      const intPart = raw.slice(0, lastSep).replace(/[.,]/g, "");
+      const fraction = raw.slice(lastSep + 1);
+      if (fraction.length <= 2 || /^0*$/.test(intPart)) normalized = `${intPart}.${fraction}`;
+    }
+
+    const n = Number(normalized);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  /** Formats an amount in the storefront's currency ("$17.98", "17,98 €"). */
+  function formatPrice(value, storefront = getStorefrontById(DEFAULT_STOREFRONT_ID), { fractionDigits = 2 } = {}) {
+    if (value === null || value === undefined || value === "") return "";
+    const n = typeof value === "number" ? value : Number(value);
+    if (!Number.isFinite(n)) return "";
+
+    const { locale, currency } = storefront || getStorefrontById(DEFAULT_STOREFRONT_ID);
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(n);
+  }
+
+  // Shared by the content scripts and the service worker (via importScripts).
+  globalThis.FairFindzStorefronts = {
+    STOREFRONTS,
+    DEFAULT_STOREFRONT_ID,
+    PRICE_PATTERN_SOURCE,
+    getStorefrontById,
+    getStorefrontForHost,
+    getStorefrontForUrl,
+    isPriceText,
+    findPriceText,
+    parsePriceAmount,
+    formatPrice
+  };
+})();
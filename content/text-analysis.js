@@ -0,0 +1,187 @@
+(function () {
+  // Words too common in catalog names to say anything about what a product is.
+  const DEFAULT_STOPWORDS = [
+    "with",
+    "from",
+    "that",
+    "this",
+    "your",
+    "their",
+    "amazon",
+    "com",
+    "pack",
+    "count",
+    "size",
+    "ounce",
+    "ounces",
+    "pound",
+    "pounds",
+    "grams",
+    "fresh",
+    "medium",
+    "large",
+    "small",
+    "black",
+    "owned"
+  ];
+
+  // Closed compounds that Amazon titles also write open or hyphenated
+  // ("tooth paste", "K-Cup"). Each entry folds to a single token.
+  const DEFAULT_COMPOUNDS = [
+    "tooth paste",
+    "tooth brush",
+    "mouth wash",
+    "k cup",
+    "anti perspirant",
+    "multi vitamin",
+    "skin care",
+    "dish washer",
+    "sun screen"
+  ];
+
+  // Words kept as written. "Scented" says candle, but its stem "scent" is on
+  // every detergent and deodorant title ("Original Scent").
+  const DEFAULT_UNSTEMMED = ["scented"];
+
+  /**
+   * Lowercases and folds diacritics, curly apostrophes and whitespace:
+   * "Café  Crème's" -> "cafe creme's".
+   */
+  function foldText(s) {
+    return String(s || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[\u2019']/g, "'")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * A deliberately small English suffix stripper. It only has to map the
+   * singular/plural and verb forms seen in product titles onto one stem;
+   * stems are never shown to users.
+   */
+  function stem(token) {
+    if (token.length <= 3 || /\d/.test(token)) return token;
+
+    let t = token;
+    if (t.endsWith("ies") && t.length > 4) t = `${t.slice(0, -3)}y`;
+    else if (t.endsWith("sses")) t = t.slice(0, -2);
+    else if (/(?:ch|sh|x|z)es$/.test(t)) t = t.slice(0, -2);
+    else if (t.endsWith("s") && !/(?:ss|us|is)$/.test(t)) t = t.slice(0, -1);
+
+    for (const suffix of ["ing", "ed"]) {
+      if (!t.endsWith(suffix)) continue;
+      const base = t.slice(0, -suffix.length);
+      if (base.length >= 3 && /[aeiouy]/.test(base)) {
+        // "mopping" -> "mop", but "dressing" -> "dress".
+        t = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+      }
+      break;
+    }
+
+    if (t.endsWith("e") && t.length > 4) t = t.slice(0, -1);
+    return t;
+  }
+
+  // Counts how often the token sequence `phrase` occurs in `tokens`.
+  function countPhraseOccurrences(tokens, phrase) {
+    if (!phrase.length || tokens.length < phrase.length) return 0;
+
+    let count = 0;
+    for (let i = 0; i <= tokens.length - phrase.length; i += 1) {
+      let hit = true;
+      for (let j = 0; j < phrase.length; j += 1) {
+        if (tokens[i + j] !== phrase[j]) {
+          hit = false;
+          break;
+        }
+      }
+      if (hit) count += 1;
+    }
+    return count;
+  }
+
+  /**
+   * Returns a copy of `tokens` with every occurrence of the given phrases blanked out.
+   * Blanks are kept (as "") so the tokens on either side do not become adjacent.
+   */
+  function maskPhrases(tokens, phrases) {
+    const out = tokens.slice();
+    for (const phrase of phrases) {
+      if (!phrase.length) continue;
+      for (let i = 0; i <= out.length - phrase.length; i += 1) {
+        if (phrase.every((token, j) => out[i + j] === token)) {
+          out.fill("", i, i + phrase.length);
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Builds a tokenizer that folds case/diacritics, splits hyphenated words,
+   * stems each token and joins known compounds. Pass `stopwords` / `compounds` /
+   * `unstemmed` to override the defaults, or `stemming: false` to keep surface forms.
+   */
+  function createAnalyzer({
+    stopwords = DEFAULT_STOPWORDS,
+    compounds = DEFAULT_COMPOUNDS,
+    unstemmed = DEFAULT_UNSTEMMED,
+    stemming = true
+  } = {}) {
+    const stopwordSet = new Set(stopwords.map((w) => foldText(w)));
+    const unstemmedSet = new Set(unstemmed.map((w) => foldText(w)));
+    const stemToken = stemming ? (t) => (unstemmedSet.has(t) ? t : stem(t)) : (t) => t;
+
+    const splitTokens = (text) =>
+      foldText(text)
+        .replace(/'s\b/g, "")
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .map(stemToken);
+
+    // The joined form is stemmed as one word, so "skin care" folds to the same token as "skincare".
+    const compoundPhrases = compounds.map((c) => ({
+      phrase: splitTokens(c),
+      joined: stemToken(foldText(c).replace(/[^a-z0-9]+/g, ""))
+    }));
+
+    function tokenize(text) {
+      const tokens = splitTokens(text);
+      if (!compoundPhrases.length) return tokens;
+
+      const out = [];
+      for (let i = 0; i < tokens.length; i += 1) {
+        const compound = compoundPhrases.find(
+          ({ phrase }) => phrase.length > 1 && phrase.every((token, j) => tokens[i + j] === token)
+        );
+        if (compound) {
+          out.push(compound.joined);
+          i += compound.phrase.length - 1;
+        } else {
+          out.push(tokens[i]);
+        }
+      }
+      return out;
+    }
+
+    return {
+      tokenize,
+      isStopword: (word) => stopwordSet.has(foldText(word))
+    };
+  }
+
+  // Expose a small API to the existing content script.
+  globalThis.FairFindzText = {
+    DEFAULT_STOPWORDS,
+    DEFAULT_COMPOUNDS,
+    DEFAULT_UNSTEMMED,
+    foldText,
+    stem,
+    countPhraseOccurrences,
+    maskPhrases,
+    createAnalyzer
+  };
+})();
@@ -1,7 +1,10 @@
 (function () {
   const STORAGE_KEYS = {
     supabaseUrl: "ff_supabase_url",
-    supabaseAnonKey: "ff_supabase_anon_key"
+    supabaseAnonKey: "ff_supabase_anon_key",
+    priceMinRatio: "ff_price_min_ratio",
+    priceMaxRatio: "ff_price_max_ratio",
+    cartNudgeEnabled: "ff_cart_nudge_enabled"
   };
 
   function $(id) {
@@ -56,6 +59,51 @@
     $("supabaseAnonKey").value = String(items[STORAGE_KEYS.supabaseAnonKey] || "");
   }
 
+  async function loadPriceValues() {
+    const items = await storageGet([STORAGE_KEYS.priceMinRatio, STORAGE_KEYS.priceMaxRatio]);
+    $("priceMinRatio").value = items[STORAGE_KEYS.priceMinRatio] != null ? String(items[STORAGE_KEYS.priceMinRatio]) : "";
+    $("priceMaxRatio").value = items[STORAGE_KEYS.priceMaxRatio] != null ? String(items[STORAGE_KEYS.priceMaxRatio]) : "";
+  }
+
+  async function savePriceValues() {
+    const statusEl = $("priceStatus");
+    const minRaw = String($("priceMinRatio").value || "").trim();
+    const maxRaw = String($("priceMaxRatio").value || "").trim();
+    const min = minRaw ? Number(minRaw) : null;
+    const max = maxRaw ? Number(maxRaw) : null;
+
+    if ((min != null && (!Number.isFinite(min) || min < 0)) || (max != null && (!Number.isFinite(max) || max <= 0))) {
+      statusEl.textContent = "Please enter positive numbers.";
+      return;
+    }
+    if (min != null && max != null && min > max) {
+      statusEl.textContent = "The lowest price must not be above the highest price.";
+      return;
+    }
+
+    const toRemove = [];
+    const toSet = {};
+    if (min == null) toRemove.push(STORAGE_KEYS.priceMinRatio);
+    else toSet[STORAGE_KEYS.priceMinRatio] = min;
+    if (max == null) toRemove.push(STORAGE_KEYS.priceMaxRatio);
+    else toSet[STORAGE_KEYS.priceMaxRatio] = max;
+
+    if (toRemove.length) await storageRemove(toRemove);
+    await storageSet(toSet);
+    statusEl.textContent = "Saved.";
+  }
+
+  // The nudge is on unless the user turned it off.
+  async function loadCartNudgeValue() {
+    const items = await storageGet([STORAGE_KEYS.cartNudgeEnabled]);
+    $("cartNudgeEnabled").checked = items[STORAGE_KEYS.cartNudgeEnabled] !== false;
+  }
+
+  async function saveCartNudgeValue() {
+    await storageSet({ [STORAGE_KEYS.cartNudgeEnabled]: $("cartNudgeEnabled").checked });
+    $("cartNudgeStatus").textContent = "Saved.";
+  }
+
   async function saveValues() {
     const url = normalizeUrl($("supabaseUrl").value);
     const anonKey = String($("supabaseAnonKey").value || "").trim();
@@ -118,9 +166,13 @@
 
   document.addEventListener("DOMContentLoaded", async () => {
     await loadInitialValues();
+    await loadPriceValues();
+    await loadCartNudgeValue();
 
     $("save").addEventListener("click", saveValues);
     $("clear").addEventListener("click", clearValues);
     $("test").addEventListener("click", testConnection);
+    $("savePrice").addEventListener("click", savePriceValues);
+    $("cartNudgeEnabled").addEventListener("change", saveCartNudgeValue);
   });
 })();
@@ -45,10 +45,13 @@ function parsePriceToNumeric(priceText) {
   const s = String(priceText).trim();
   if (!s) return null;
 
-  // Accept formats like "$25.00" or "25.00".
-  const cleaned = s.replace(/[^0-9.]/g, "");
-  if (!cleaned) return null;
-  const n = Number(cleaned);
+  // Accept formats like "$25.00", "25.00", "£1,025.00" or "25,00 €".
+  // The last separator is the decimal point when one or two digits follow it.
+  const digits = s.replace(/[^0-9.,]/g, "");
+  if (!digits) return null;
+  const decimal = digits.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? digits.slice(0, -decimal[0].length) : digits).replace(/[.,]/g, "");
+  const n = Number(decimal ? `${whole}.${decimal[1]}` : whole);
   if (!Number.isFinite(n)) return null;
   return n;
 }
@@ -62,6 +65,13 @@ function toTextArray(value) {
   return [];
 }
 
+function toBoostRules(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((rule) => ({ keywords: toTextArray(rule?.keywords), points: toNullableNumber(rule?.points) }))
+    .filter((rule) => rule.keywords.length && rule.points != null);
+}
+
 function toNullableText(value) {
   if (value == null) return null;
   const s = String(value).trim();
@@ -147,6 +157,18 @@ async function main() {
       badges: toTextArray(p?.badges),
       amazon_keywords: toTextArray(p?.amazonKeywords),
       amazon_categories: toTextArray(p?.amazonCategories),
+      variant: toNullableText(p?.variant),
+      listing_id: toNullableText(p?.listingId),
+      parent_product_id: toNullableText(p?.productId),
+      brand_id: toNullableText(p?.brandId),
+      brand_story: toNullableText(p?.brandStory),
+      offers_subscription: p?.offersSubscription === true,
+      availability: toNullableText(p?.availability) || "in_stock",
+      availability_checked_at: toNullableText(p?.availabilityCheckedAt),
+      negative_keywords: toTextArray(p?.negativeKeywords),
+      required_keywords: toTextArray(p?.requiredKeywords),
+      boost_rules: toBoostRules(p?.boostRules),
+      marketplaces: toTextArray(p?.marketplaces),
       is_active: true
     });
   }
@@ -181,9 +203,71 @@ async function main() {
     console.log(`Upserted ${upserted}/${rows.length}...`);
   }
 
+  await importDomains(supabase, repoRoot);
+
   console.log("Done.");
 }
 
+async function importDomains(supabase, repoRoot) {
+  const sourcePath = path.join(repoRoot, "data", "domains.json");
+
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(sourcePath, "utf8"));
+  } catch (err) {
+    console.error("Failed to read/parse data/domains.json:", err?.message || err);
+    process.exit(1);
+  }
+
+  const domains = Array.isArray(json?.domains) ? json.domains : [];
+  const rows = domains
+    .map((d) => ({
+      id: toNullableText(d?.id),
+      label: toNullableText(d?.label) || toNullableText(d?.id),
+      parent_id: toNullableText(d?.parent),
+      keywords: toTextArray(d?.keywords),
+      exclusions: toTextArray(d?.exclusions),
+      category_keywords: toTextArray(d?.categoryKeywords),
+      allow_single_keyword: Boolean(d?.allowSingleKeyword),
+      generic_keywords: toTextArray(d?.genericKeywords),
+      negative_keywords: toTextArray(d?.negativeKeywords),
+      required_keywords: toTextArray(d?.requiredKeywords),
+      boost_rules: toBoostRules(d?.boostRules),
+      is_active: true
+    }))
+    .filter((r) => r.id && r.keywords.length);
+
+  console.log(`Domains to upsert: ${rows.length}/${domains.length}`);
+  if (rows.length) {
+    // Parent rows are inserted in the same statement, so FK checks see them.
+    const { error } = await supabase
+      .from("product_domains")
+      .upsert(rows, { onConflict: "id" });
+
+    if (error) {
+      console.error("Domain upsert failed:", error);
+      process.exit(1);
+    }
+  }
+
+  await importStopwords(supabase, json?.stopwords);
+}
+
+async function importStopwords(supabase, stopwords) {
+  const words = Array.from(new Set(toTextArray(stopwords).map((w) => w.toLowerCase())));
+  console.log(`Stopwords to upsert: ${words.length}`);
+  if (!words.length) return;
+
+  const { error } = await supabase
+    .from("text_stopwords")
+    .upsert(words.map((word) => ({ word, is_active: true })), { onConflict: "word" });
+
+  if (error) {
+    console.error("Stopword upsert failed:", error);
+    process.exit(1);
+  }
+}
+
 main().catch((err) => {
   console.error("Importer crashed:", err);
   process.exit(1);
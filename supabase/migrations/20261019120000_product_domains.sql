@@ -0,0 +1,59 @@
+
+-- ============================================================
+-- FairFindz - Domain taxonomy
+-- Keywords, exclusions and parent/child links used by the content
+-- script to detect which domain (coffee, oralcare, ...) a page or a
+-- catalog product belongs to. data/domains.json mirrors this table.
+-- ============================================================
+
+create table if not exists public.product_domains (
+  id text primary key,
+  label text not null,
+  parent_id text references public.product_domains(id) on delete set null,
+  keywords text[] not null default '{}'::text[],
+  exclusions text[] not null default '{}'::text[],
+  category_keywords text[] not null default '{}'::text[],
+  allow_single_keyword boolean not null default false,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint product_domains_keywords_check check (cardinality(keywords) > 0),
+  constraint product_domains_parent_check check (parent_id is null or parent_id <> id)
+);
+
+drop trigger if exists set_product_domains_updated_at on public.product_domains;
+create trigger set_product_domains_updated_at
+before update on public.product_domains
+for each row execute function public.set_updated_at();
+
+create index if not exists idx_product_domains_is_active on public.product_domains(is_active);
+
+alter table public.product_domains enable row level security;
+
+drop policy if exists "Product domains are publicly readable" on public.product_domains;
+create policy "Product domains are publicly readable"
+on public.product_domains
+for select
+to public
+using (is_active = true);
+
+drop policy if exists "Product domains insert denied to clients" on public.product_domains;
+create policy "Product domains insert denied to clients"
+on public.product_domains
+for insert
+to anon, authenticated
+with check (false);
+
+drop policy if exists "Product domains update denied to clients" on public.product_domains;
+create policy "Product domains update denied to clients"
+on public.product_domains
+for update
+to anon, authenticated
+using (false);
+
+drop policy if exists "Product domains delete denied to clients" on public.product_domains;
+create policy "Product domains delete denied to clients"
+on public.product_domains
+for delete
+to anon, authenticated
+using (false);
@@ -0,0 +1,59 @@
+-- ============================================================
+-- FairFindz - Brand substitutions
+-- Curator-declared swaps: a mainstream brand (optionally narrowed to
+-- a product line or explicit ASINs) on Amazon -> a catalog product.
+-- The content script ranks these ahead of keyword matches.
+-- data/substitutions.json mirrors this table.
+-- ============================================================
+
+create table if not exists public.brand_substitutions (
+  id uuid primary key default gen_random_uuid(),
+  source_brand text not null,
+  source_product_line text,
+  source_asins text[] not null default '{}'::text[],
+  target_product_id uuid not null references public.products(id) on delete cascade,
+  priority integer not null default 0,
+  note text,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint brand_substitutions_source_brand_check check (length(trim(source_brand)) > 0)
+);
+
+drop trigger if exists set_brand_substitutions_updated_at on public.brand_substitutions;
+create trigger set_brand_substitutions_updated_at
+before update on public.brand_substitutions
+for each row execute function public.set_updated_at();
+
+create index if not exists idx_brand_substitutions_is_active on public.brand_substitutions(is_active);
+create index if not exists idx_brand_substitutions_source_brand on public.brand_substitutions(lower(source_brand));
+
+alter table public.brand_substitutions enable row level security;
+
+drop policy if exists "Brand substitutions are publicly readable" on public.brand_substitutions;
+create policy "Brand substitutions are publicly readable"
+on public.brand_substitutions
+for select
+to public
+using (is_active = true);
+
+drop policy if exists "Brand substitutions insert denied to clients" on public.brand_substitutions;
+create policy "Brand substitutions insert denied to clients"
+on public.brand_substitutions
+for insert
+to anon, authenticated
+with check (false);
+
+drop policy if exists "Brand substitutions update denied to clients" on public.brand_substitutions;
+create policy "Brand substitutions update denied to clients"
+on public.brand_substitutions
+for update
+to anon, authenticated
+using (false);
+
+drop policy if exists "Brand substitutions delete denied to clients" on public.brand_substitutions;
+create policy "Brand substitutions delete denied to clients"
+on public.brand_substitutions
+for delete
+to anon, authenticated
+using (false);
@@ -0,0 +1,14 @@
+-- ============================================================
+-- FairFindz - Product variants
+-- Each products row is one listing (a flavor or size). Listings of
+-- the same parent product share parent_product_id so the extension
+-- can show them as one card with a variant picker.
+-- ============================================================
+
+alter table public.products add column if not exists variant text;
+alter table public.products add column if not exists listing_id text;
+alter table public.products add column if not exists parent_product_id text;
+alter table public.products add column if not exists brand_id text;
+
+create index if not exists idx_products_parent_product_id on public.products(parent_product_id);
+create index if not exists idx_products_brand_id on public.products(brand_id);
@@ -0,0 +1,26 @@
+-- ============================================================
+-- FairFindz - Curator matching rules
+-- Lets curators fix false positives without a code release.
+-- Rules live on a catalog product or on a taxonomy domain (and then
+-- apply to every product in that domain):
+--   negative_keywords  never suggest when the Amazon page mentions one
+--   required_keywords  only suggest when the page mentions at least one
+--   boost_rules        [{ "keywords": [...], "points": 80 }], adds points
+--                      (or subtracts, if negative) when the page mentions any keyword
+-- generic_keywords (domains only) are too common to count as the sole keyword match.
+-- ============================================================
+
+alter table public.products add column if not exists negative_keywords text[] not null default '{}'::text[];
+alter table public.products add column if not exists required_keywords text[] not null default '{}'::text[];
+alter table public.products add column if not exists boost_rules jsonb not null default '[]'::jsonb;
+
+alter table public.product_domains add column if not exists generic_keywords text[] not null default '{}'::text[];
+alter table public.product_domains add column if not exists negative_keywords text[] not null default '{}'::text[];
+alter table public.product_domains add column if not exists required_keywords text[] not null default '{}'::text[];
+alter table public.product_domains add column if not exists boost_rules jsonb not null default '[]'::jsonb;
+
+alter table public.products drop constraint if exists products_boost_rules_check;
+alter table public.products add constraint products_boost_rules_check check (jsonb_typeof(boost_rules) = 'array');
+
+alter table public.product_domains drop constraint if exists product_domains_boost_rules_check;
+alter table public.product_domains add constraint product_domains_boost_rules_check check (jsonb_typeof(boost_rules) = 'array');
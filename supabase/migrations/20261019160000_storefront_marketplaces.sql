@@ -0,0 +1,17 @@
+-- ============================================================
+-- FairFindz - Storefront marketplaces
+-- Each products row is a listing on one Amazon storefront (the host of
+-- product_url), and its price is in that storefront's currency.
+-- marketplaces lists the storefronts the listing may be suggested on:
+--   us = amazon.com, ca = amazon.ca, uk = amazon.co.uk,
+--   de = amazon.de,  mx = amazon.com.mx
+-- An empty array means "the storefront of product_url".
+-- ============================================================
+
+alter table public.products add column if not exists marketplaces text[] not null default '{}'::text[];
+
+alter table public.products drop constraint if exists products_marketplaces_check;
+alter table public.products add constraint products_marketplaces_check
+  check (marketplaces <@ array['us', 'ca', 'uk', 'de', 'mx']::text[]);
+
+create index if not exists idx_products_marketplaces on public.products using gin (marketplaces);
@@ -0,0 +1,8 @@
+-- ============================================================
+-- FairFindz - Brand story
+-- A short "about the brand" text shown when the shopper is already
+-- on one of the brand's listings. Repeated on each listing of the
+-- brand, like brand and brand_id.
+-- ============================================================
+
+alter table public.products add column if not exists brand_story text;
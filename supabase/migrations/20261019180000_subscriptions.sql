@@ -0,0 +1,8 @@
+-- ============================================================
+-- FairFindz - Subscriptions
+-- Whether the listing can be bought as a recurring subscription
+-- (Subscribe & Save on Amazon). Alternatives that offer one are
+-- suggested first for items the shopper subscribes to.
+-- ============================================================
+
+alter table public.products add column if not exists offers_subscription boolean not null default false;
@@ -0,0 +1,14 @@
+-- ============================================================
+-- FairFindz - Availability
+-- Stock status of each listing and when it was last checked.
+-- Out of stock listings are never suggested; temporarily out of
+-- stock ones (still orderable) are ranked after the rest. The
+-- extension also reads the live listing and keeps the newer status.
+-- ============================================================
+
+alter table public.products add column if not exists availability text not null default 'in_stock';
+alter table public.products add column if not exists availability_checked_at timestamptz;
+
+alter table public.products drop constraint if exists products_availability_check;
+alter table public.products add constraint products_availability_check
+  check (availability in ('in_stock', 'temporarily_out_of_stock', 'out_of_stock'));
@@ -0,0 +1,53 @@
+-- ============================================================
+-- FairFindz - Stopwords
+-- Words too common in catalog names to say anything about what a
+-- product is ("pack", "ounces", ...). They are left out of the
+-- keywords derived from a product's name and brand. When the table
+-- has active rows they replace the defaults of content/text-analysis.js.
+-- The top-level "stopwords" array of data/domains.json mirrors this table.
+-- ============================================================
+
+create table if not exists public.text_stopwords (
+  word text primary key,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint text_stopwords_word_check check (length(trim(word)) > 0)
+);
+
+drop trigger if exists set_text_stopwords_updated_at on public.text_stopwords;
+create trigger set_text_stopwords_updated_at
+before update on public.text_stopwords
+for each row execute function public.set_updated_at();
+
+create index if not exists idx_text_stopwords_is_active on public.text_stopwords(is_active);
+
+alter table public.text_stopwords enable row level security;
+
+drop policy if exists "Stopwords are publicly readable" on public.text_stopwords;
+create policy "Stopwords are publicly readable"
+on public.text_stopwords
+for select
+to public
+using (is_active = true);
+
+drop policy if exists "Stopwords insert denied to clients" on public.text_stopwords;
+create policy "Stopwords insert denied to clients"
+on public.text_stopwords
+for insert
+to anon, authenticated
+with check (false);
+
+drop policy if exists "Stopwords update denied to clients" on public.text_stopwords;
+create policy "Stopwords update denied to clients"
+on public.text_stopwords
+for update
+to anon, authenticated
+using (false);
+
+drop policy if exists "Stopwords delete denied to clients" on public.text_stopwords;
+create policy "Stopwords delete denied to clients"
+on public.text_stopwords
+for delete
+to anon, authenticated
+using (false);
@@ -0,0 +1,191 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture, waitFor } from "./helpers/content-script.js";
+
+const STARBUCKS_URL = "https://www.amazon.com/dp/B00BWQ7W5A";
+const STARBUCKS_TITLE = "Starbucks Whole Bean Coffee, Medium Roast Coffee, Pike Place Roast, 100% Arabica, 1 Bag (28 Oz)";
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+test("listing pages say whether an item is unavailable or only temporarily out of stock", () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    const availability = (block) =>
+      JSON.parse(
+        page.run(`JSON.stringify(FairFindzSiteAdapters.getAdapterById("amazon").html.extractListing(
+          ${JSON.stringify(`<html><body><div id="availability">${block}</div></body></html>`)}
+        ).fields.availability)`)
+      );
+
+    assert.equal(availability("<span>Currently unavailable.</span> We don't know when or if this item will be back in stock.").value, "out_of_stock");
+    assert.equal(availability("<span>Temporarily out of stock.</span> Order now and we'll deliver when available.").value, "temporarily_out_of_stock");
+    assert.equal(availability("<span>Only 2 left in stock - order soon.</span>").value, "in_stock");
+  } finally {
+    page.close();
+  }
+});
+
+test("recent availability checks override older catalog values", async () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  const [first, second, third] = Array.from(await page.run("loadBusinessesProducts().then((products) => products.map((p) => p.id))"));
+  page.close();
+
+  const storage = {
+    ff_product_availability: {
+      [first]: { availability: "out_of_stock", checkedAt: hoursAgo(1) },
+      [second]: { availability: "out_of_stock", checkedAt: hoursAgo(30) },
+      [third]: { availability: "temporarily_out_of_stock", checkedAt: hoursAgo(2) }
+    }
+  };
+  const reloaded = loadContentScript({ url: "https://www.amazon.com/", storage });
+  try {
+    const products = await reloaded.run("loadProductDatabase()");
+    const byId = new Map(Array.from(products, (p) => [p.id, p]));
+    assert.equal(byId.get(first).availability, "out_of_stock");
+    assert.equal(byId.get(first).availabilityCheckedAt, storage.ff_product_availability[first].checkedAt);
+    assert.notEqual(byId.get(second).availability, "out_of_stock", "checks older than a day are dropped");
+    assert.equal(byId.get(third).availability, "temporarily_out_of_stock");
+  } finally {
+    reloaded.close();
+  }
+});
+
+test("the matcher skips unavailable alternatives and ranks temporarily out of stock ones last", async () => {
+  const page = loadContentScript({ url: STARBUCKS_URL });
+  try {
+    await page.run("Promise.all([loadProductDatabase(), loadDomainTaxonomy(), loadSubstitutions()])");
+    const matchIds = async () =>
+      Array.from(
+        await page.run(`loadProductDatabase().then((products) => matchProducts(buildPageInfo({
+          retailer: "amazon",
+          itemId: "B00BWQ7W5A",
+          title: ${JSON.stringify(STARBUCKS_TITLE)}
+        }), products).scored.map((m) => m.product.id))`)
+      );
+    const setAvailability = (id, availability) =>
+      page.run(`loadProductDatabase().then((products) => { products.find((p) => p.id === "${id}").availability = "${availability}"; })`);
+
+    const before = await matchIds();
+    assert.ok(before.length > 2);
+
+    await setAvailability(before[0], "temporarily_out_of_stock");
+    await setAvailability(before[1], "out_of_stock");
+    assert.deepEqual(await matchIds(), [...before.slice(2), before[0]]);
+  } finally {
+    page.close();
+  }
+});
+
+test("suggestions are checked once shown, and only when their last check is stale", async () => {
+  const storage = {};
+  const page = loadContentScript({ html: readFixture("amazon/starbucks-pike-place-whole-bean.html"), url: STARBUCKS_URL, storage });
+  try {
+    await waitFor(() => page.run("Array.isArray(cachedMatches) && cachedMatches.length === 3"), "no matches computed");
+    const resolves = () => page.chrome.sentMessages.filter((m) => m?.type === "FAIRFINDZ_RESOLVE_PRODUCT");
+    assert.equal(resolves().length, 0, "a page view alone downloads no listings");
+
+    // The first listing asked about is out of stock; the rest are in stock.
+    const requested = [];
+    page.chrome.runtime.sendMessage = (message, callback) => {
+      page.chrome.sentMessages.push(message);
+      if (message?.type !== "FAIRFINDZ_RESOLVE_PRODUCT") return;
+      requested.push(message.productUrl);
+      callback({
+        availability: requested[0] === message.productUrl ? "out_of_stock" : "in_stock",
+        fetchedAt: { availability: Date.now() }
+      });
+    };
+
+    await page.run("refreshCachedMatchAvailability()");
+    assert.equal(requested.length, 3);
+    const [unavailable] = Object.entries(storage.ff_product_availability).find(([, o]) => o.availability === "out_of_stock");
+    assert.ok(Date.now() - Date.parse(storage.ff_product_availability[unavailable].checkedAt) < HOUR_MS);
+    assert.ok(page.run(`cachedMatches.length > 0 && cachedMatches.every((m) => m.product.id !== "${unavailable}")`));
+
+    // Opening the modal again does not ask about suggestions checked moments ago.
+    await page.run("refreshCachedMatchAvailability()");
+    assert.equal(requested.length, 3);
+  } finally {
+    page.close();
+  }
+});
+
+test("old cached readings are not recorded, and a restock matches the page again", async () => {
+  const storage = {};
+  const page = loadContentScript({ html: readFixture("amazon/starbucks-pike-place-whole-bean.html"), url: STARBUCKS_URL, storage });
+  try {
+    await waitFor(() => page.run("Array.isArray(cachedMatches) && cachedMatches.length === 3"), "no matches computed");
+    const [first, second] = Array.from(page.run("cachedMatches.map((m) => m.product.id)"));
+    page.run(`cachedMatches[1].product.availability = "temporarily_out_of_stock"`);
+
+    // The worker answers the first listing from a two day old cache entry.
+    const firstUrl = page.run("cachedMatches[0].product.productUrl");
+    page.chrome.runtime.sendMessage = (message, callback) => {
+      if (message?.type !== "FAIRFINDZ_RESOLVE_PRODUCT") return;
+      const fetchedAt = message.productUrl === firstUrl ? Date.now() - 48 * HOUR_MS : Date.now();
+      callback({ availability: message.productUrl === firstUrl ? "out_of_stock" : "in_stock", fetchedAt: { availability: fetchedAt } });
+    };
+
+    page.run("globalThis.previousMatches = cachedMatches");
+    await page.run("refreshCachedMatchAvailability()");
+    assert.equal(storage.ff_product_availability[first], undefined);
+    assert.equal(storage.ff_product_availability[second].availability, "in_stock");
+    assert.ok(page.run("cachedMatches !== previousMatches"), "the restocked suggestion is matched again");
+    assert.equal(page.run("cachedMatches[0].product.id"), first, "the old out of stock reading is ignored");
+    assert.equal(page.run(`cachedMatches.find((m) => m.product.id === "${second}").product.availability`), "in_stock");
+  } finally {
+    page.close();
+  }
+});
+
+test("an open modal is drawn again without the suggestions that went out of stock", async () => {
+  const page = loadContentScript({ html: readFixture("amazon/starbucks-pike-place-whole-bean.html"), url: STARBUCKS_URL });
+  try {
+    await waitFor(() => page.run("Array.isArray(cachedMatches) && cachedMatches.length === 3"), "no matches computed");
+    const [gone, backordered] = Array.from(page.run("cachedMatches.map((m) => m.product.productUrl)"));
+    const answers = { [gone]: "out_of_stock", [backordered]: "temporarily_out_of_stock" };
+    page.chrome.runtime.sendMessage = (message, callback) => {
+      if (message?.type !== "FAIRFINDZ_RESOLVE_PRODUCT") return;
+      callback({ availability: answers[message.productUrl] || "in_stock", fetchedAt: { availability: Date.now() } });
+    };
+
+    page.run("createModal({ amazonInfo: cachedAmazonInfo, matches: cachedMatches })");
+    const cardUrls = () =>
+      Array.from(page.document.querySelectorAll("#bbd-modal-overlay .bbd-product-cta-button"), (b) => b.getAttribute("data-product-url"));
+    assert.ok(cardUrls().includes(gone));
+
+    await page.run("refreshCachedMatchAvailability()");
+    assert.equal(page.document.querySelectorAll("#bbd-modal-overlay").length, 1);
+    assert.ok(cardUrls().length > 0);
+    assert.ok(!cardUrls().includes(gone), "the out of stock card is gone");
+    const backorderedCard = page.document
+      .querySelector(`#bbd-modal-overlay .bbd-product-cta-button[data-product-url="${backordered}"]`)
+      .closest(".bbd-product-card");
+    assert.match(backorderedCard.querySelector(".bbd-product-badges").textContent, /Temporarily out of stock/);
+  } finally {
+    page.close();
+  }
+});
+
+test("the badge is cleared when no suggestion is left in stock", async () => {
+  const page = loadContentScript({ html: readFixture("amazon/starbucks-pike-place-whole-bean.html"), url: STARBUCKS_URL });
+  try {
+    await waitFor(() => page.run("Array.isArray(cachedMatches) && cachedMatches.length"), "no matches computed");
+    page.chrome.runtime.sendMessage = (message, callback) => {
+      page.chrome.sentMessages.push(message);
+      if (message?.type === "FAIRFINDZ_RESOLVE_PRODUCT") callback({ availability: "out_of_stock", fetchedAt: { availability: Date.now() } });
+    };
+
+    // Every round drops the current suggestions, until nothing matches.
+    for (let i = 0; i < 10 && page.run("cachedMatches.length"); i += 1) {
+      await page.run("refreshCachedMatchAvailability()");
+    }
+    assert.equal(page.run("cachedMatches.length"), 0);
+    const sent = page.chrome.sentMessages.map((m) => m?.type);
+    assert.equal(sent.at(-1), "FAIRFINDZ_CLEAR_BADGE");
+    assert.equal(sent.at(-2), "FAIRFINDZ_STOP_FLASHING");
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture, waitFor } from "./helpers/content-script.js";
+
+const STARBUCKS_URL = "https://www.amazon.com/dp/B00BWQ7W5A";
+const ITEM_KEY = "amazon:B00BWQ7W5A";
+
+async function loadStarbucksPage(storage = {}) {
+  const page = loadContentScript({
+    html: readFixture("amazon/starbucks-pike-place-whole-bean.html"),
+    url: STARBUCKS_URL,
+    storage
+  });
+  await waitFor(() => page.run("Array.isArray(cachedMatches) && cachedMatches.length"), "no matches computed");
+  return { ...page, storage };
+}
+
+/** Clicks Add to Cart and returns whether the click went through (was not cancelled). */
+function clickAddToCart(page) {
+  const button = page.document.getElementById("add-to-cart-button");
+  return button.dispatchEvent(new page.window.MouseEvent("click", { bubbles: true, cancelable: true }));
+}
+
+// Lets the nudge's storage reads settle.
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test("Add to Cart shows the top alternative without cancelling the click", async () => {
+  const page = await loadStarbucksPage();
+  try {
+    assert.equal(clickAddToCart(page), true);
+
+    const nudge = await waitFor(() => page.document.getElementById("bbd-cart-nudge"), "no nudge");
+    assert.equal(nudge.querySelector(".bbd-cart-row-alt").textContent, page.run("cachedMatches[0].product.name"));
+    assert.equal(
+      nudge.querySelector(".bbd-cart-nudge-open").getAttribute("data-product-url"),
+      page.run("cachedMatches[0].product.productUrl")
+    );
+    assert.equal(page.document.getElementById("bbd-toast"), null, "the nudge replaces the toast");
+    assert.equal(page.storage.ff_cart_nudge_state.shownAt.length, 1);
+  } finally {
+    page.close();
+  }
+});
+
+test("the nudge waits between showings", async () => {
+  const page = await loadStarbucksPage({ ff_cart_nudge_state: { shownAt: [Date.now() - 60 * 1000], mutedItemIds: [] } });
+  try {
+    assert.equal(clickAddToCart(page), true);
+    await settle();
+    assert.equal(page.document.getElementById("bbd-cart-nudge"), null);
+  } finally {
+    page.close();
+  }
+});
+
+test("Don't show for this product mutes the nudge for that item", async () => {
+  const page = await loadStarbucksPage();
+  try {
+    clickAddToCart(page);
+    const nudge = await waitFor(() => page.document.getElementById("bbd-cart-nudge"), "no nudge");
+    nudge.querySelector(".bbd-cart-nudge-mute").click();
+    await waitFor(() => page.storage.ff_cart_nudge_state.mutedItemIds.length, "mute not stored");
+    assert.deepEqual(Array.from(page.storage.ff_cart_nudge_state.mutedItemIds), [ITEM_KEY]);
+    assert.equal(page.document.getElementById("bbd-cart-nudge"), null);
+  } finally {
+    page.close();
+  }
+
+  const muted = await loadStarbucksPage({ ff_cart_nudge_state: { shownAt: [], mutedItemIds: [ITEM_KEY] } });
+  try {
+    clickAddToCart(muted);
+    await settle();
+    assert.equal(muted.document.getElementById("bbd-cart-nudge"), null);
+  } finally {
+    muted.close();
+  }
+});
+
+test("the settings toggle turns the nudge off", async () => {
+  const page = await loadStarbucksPage({ ff_cart_nudge_enabled: false });
+  try {
+    assert.equal(clickAddToCart(page), true);
+    await settle();
+    assert.equal(page.document.getElementById("bbd-cart-nudge"), null);
+    assert.equal(page.storage.ff_cart_nudge_state, undefined);
+  } finally {
+    page.close();
+  }
+});
+
+test("getCartNudgeBlocker caps nudges per day", async () => {
+  const page = loadContentScript({ url: STARBUCKS_URL });
+  try {
+    const blocker = (state, now) =>
+      page.run(`getCartNudgeBlocker(${JSON.stringify({ enabled: true, mutedItemIds: [], ...state })}, "${ITEM_KEY}", ${now})`);
+    const now = Date.now();
+    const hour = 60 * 60 * 1000;
+
+    assert.equal(blocker({ shownAt: [] }, now), null);
+    assert.equal(blocker({ shownAt: [now - hour, now - 2 * hour] }, now), null);
+    assert.equal(blocker({ shownAt: [now - hour, now - 2 * hour, now - 3 * hour] }, now), "daily limit");
+    assert.equal(blocker({ shownAt: [now - 25 * hour, now - 26 * hour, now - 27 * hour] }, now), null, "older showings expire");
+    assert.equal(blocker({ shownAt: [now - 5 * 60 * 1000] }, now), "too soon");
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture } from "./helpers/content-script.js";
+
+const CART_URL = "https://www.amazon.com/gp/cart/view.html?ref_=nav_cart";
+
+async function loadCartFixture() {
+  const page = loadContentScript({ html: readFixture("amazon/cart.html"), url: CART_URL });
+  await page.run("loadDomainTaxonomy()");
+  await page.run("loadSubstitutions()");
+  page.window.__ffTestProducts = await page.run("loadBusinessesProducts()");
+  return page;
+}
+
+test("isCartPage recognizes Amazon cart URLs", () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    const isCart = (url) => page.run(`isCartPage(${JSON.stringify(url)})`);
+    assert.equal(isCart(CART_URL), true);
+    assert.equal(isCart("https://www.amazon.com/cart"), true);
+    assert.equal(isCart("https://www.amazon.com/cart/smart-wagon?newItems=1"), true);
+    assert.equal(isCart("https://www.amazon.com/cartoon-network/dp/B08N5WRWNW"), false);
+    assert.equal(isCart("https://www.amazon.com/gp/buy/spc/handlers/display.html"), false);
+    assert.equal(isCart("https://www.notamazon.com/gp/cart/view.html"), false);
+  } finally {
+    page.close();
+  }
+});
+
+test("extractCartItems reads active line items with price and quantity", async () => {
+  const page = await loadCartFixture();
+  try {
+    const items = page.run("extractCartItems().map(({ info, quantity, lineTotal }) => ({ ...info, quantity, lineTotal }))");
+    assert.deepEqual(
+      Array.from(items, (i) => i.asin),
+      ["B00BWQ7W5A", "B0C4TOOTH3", "B0CSHARK11", "B09GYQ9SJY"],
+      "saved-for-later items are not part of the cart"
+    );
+    assert.equal(items[0].title, "Starbucks Whole Bean Coffee, Medium Roast Coffee, Pike Place Roast, 100% Arabica, 1 Bag (28 Oz)");
+    assert.equal(items[0].priceText, "$17.98");
+    assert.equal(items[0].quantity, 2);
+    assert.equal(items[0].lineTotal, 35.96);
+  } finally {
+    page.close();
+  }
+});
+
+test("matchCartItems suggests swaps and totals the spend that could be redirected", async () => {
+  const page = await loadCartFixture();
+  try {
+    const result = page.run("matchCartItems(extractCartItems(), __ffTestProducts)");
+    const byAsin = new Map(Array.from(result.items, (item) => [item.info.asin, item.matches]));
+
+    assert.equal(byAsin.get("B00BWQ7W5A")[0].product.id, "3d83509e-8e7c-4432-bdaf-5a19bc25f2cb");
+    assert.equal(byAsin.get("B0C4TOOTH3")[0].product.id, "3067f88d-d0da-48fc-b380-8fcf2ff4873d");
+    assert.equal(byAsin.get("B0CSHARK11").length, 0);
+    assert.equal(byAsin.get("B09GYQ9SJY").length, 0, "catalog products in the cart are left alone");
+
+    assert.equal(result.itemsWithAlternatives, 2);
+    assert.equal(Math.round(result.redirectableTotal * 100) / 100, 47.93);
+  } finally {
+    page.close();
+  }
+});
+
+test("cart review panel lists one swap per item and opens the modal on demand", async () => {
+  const page = await loadCartFixture();
+  try {
+    await page.run("showCartAlternatives()");
+
+    const panel = page.document.getElementById("bbd-cart-panel");
+    assert.ok(panel, "panel is shown");
+    assert.equal(panel.querySelectorAll(".bbd-cart-row").length, 2);
+    assert.match(panel.querySelector(".bbd-cart-panel-total").textContent, /\$47\.93/);
+
+    panel.querySelector(".bbd-cart-row-more").click();
+    assert.ok(page.document.getElementById("bbd-modal-overlay"));
+
+    panel.querySelector(".bbd-cart-panel-close").click();
+    assert.equal(page.document.getElementById("bbd-cart-panel"), null);
+  } finally {
+    page.close();
+  }
+});
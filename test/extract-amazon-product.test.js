@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadAmazonFixture, loadContentScript, readJsonFixture } from "./helpers/content-script.js";
+
+const { pages } = readJsonFixture("amazon/expectations.json");
+
+for (const expected of pages) {
+  test(`extractPageProduct: ${expected.fixture}`, async () => {
+    const page = await loadAmazonFixture(expected);
+    try {
+      assert.equal(page.run("isProductPage()"), true);
+
+      const info = page.extract();
+      assert.equal(info.title, expected.title);
+      assert.equal(info.priceText, expected.priceText);
+      assert.equal(info.category, expected.pageCategory);
+      assert.ok(info.breadcrumbs.length > 0, "breadcrumbs should be captured");
+      assert.ok(info.features.length > 0, "feature bullets should be captured");
+      assert.match(info.asin, /^[A-Z0-9]{10}$/);
+    } finally {
+      page.close();
+    }
+  });
+}
+
+test("extractPageProduct: brand from the byline", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "starbucks-pike-place-whole-bean.html",
+    url: "https://www.amazon.com/Starbucks-Medium-Roast-Whole-Coffee/dp/B00BWQ7W5A"
+  });
+  try {
+    const info = page.extract();
+    assert.equal(info.brand, "Starbucks");
+    assert.equal(info.asin, "B00BWQ7W5A");
+    assert.equal(info.quantity.value, 28);
+    assert.equal(info.quantity.base, "oz");
+  } finally {
+    page.close();
+  }
+});
+
+// The page category ignores a domain's exclusion phrases, like domain detection
+// does: a walnut coffee table is not a coffee page.
+test("getCategoryFromText skips a domain's exclusion phrases", async () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    await page.run("loadDomainTaxonomy()");
+    const category = (title, breadcrumbs = "") =>
+      page.run(`getCategoryFromText(${JSON.stringify(title)}, ${JSON.stringify(breadcrumbs)})`);
+
+    assert.equal(category("Walnut Coffee Table with Lift Top Storage", "Home & Kitchen › Furniture"), "unknown");
+    assert.equal(category("Brass Candle Holder Set of 3"), "unknown");
+    assert.equal(category("Whole Bean Coffee, Medium Roast"), "coffee");
+    assert.equal(category("Lavender Soy Candle, 8 oz"), "candle");
+  } finally {
+    page.close();
+  }
+});
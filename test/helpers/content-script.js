@@ -0,0 +1,157 @@
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath } from "node:url";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const repoRoot = path.resolve(__dirname, "..", "..");
+export const fixturesDir = path.join(repoRoot, "test", "fixtures");
+
+const EXTENSION_ORIGIN = "chrome-extension://fairfindz/";
+
+export function readRepoFile(relativePath) {
+  return fs.readFileSync(path.join(repoRoot, relativePath), "utf8");
+}
+
+export function readFixture(relativePath) {
+  return fs.readFileSync(path.join(fixturesDir, relativePath), "utf8");
+}
+
+export function readJsonFixture(relativePath) {
+  return JSON.parse(readFixture(relativePath));
+}
+
+/**
+ * Minimal chrome.* surface used by the content scripts. Storage is an in-memory
+ * object; messages to the service worker are recorded and never answered.
+ */
+function createChromeStub({ storage = {} } = {}) {
+  const sentMessages = [];
+  const storageListeners = [];
+  const notify = (keys, oldValues) => {
+    const changes = Object.fromEntries(keys.map((k) => [k, { oldValue: oldValues[k], newValue: storage[k] }]));
+    storageListeners.forEach((listener) => listener(changes, "local"));
+  };
+  return {
+    sentMessages,
+    runtime: {
+      getURL: (p) => `${EXTENSION_ORIGIN}${p}`,
+      sendMessage: (message) => {
+        sentMessages.push(message);
+      },
+      onMessage: { addListener() {} }
+    },
+    storage: {
+      local: {
+        get: (keys, cb) => {
+          const list = Array.isArray(keys) ? keys : [keys];
+          cb(Object.fromEntries(list.filter((k) => k in storage).map((k) => [k, storage[k]])));
+        },
+        set: (items, cb) => {
+          const oldValues = { ...storage };
+          Object.assign(storage, items);
+          notify(Object.keys(items), oldValues);
+          cb?.();
+        },
+        remove: (keys, cb) => {
+          const oldValues = { ...storage };
+          const list = Array.isArray(keys) ? keys : [keys];
+          for (const k of list) delete storage[k];
+          notify(list, oldValues);
+          cb?.();
+        }
+      },
+      onChanged: { addListener: (fn) => storageListeners.push(fn) }
+    }
+  };
+}
+
+/**
+ * Loads the content scripts listed in manifest.json into a jsdom window for `html`.
+ *
+ * Scripts run in one VM context, in manifest order, like Chrome runs them, so
+ * top-level `let` state is shared between them. Network access is offline:
+ * extension URLs are served from the repo and everything else (Supabase, Amazon)
+ * fails, which exercises the bundled-JSON fallbacks.
+ *
+ * Call `page.close()` when done; it stops the timers the content script starts.
+ */
+export function loadContentScript({ html = "<!doctype html><html><body></body></html>", url, storage } = {}) {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+
+  const window = dom.window;
+  const chrome = createChromeStub({ storage });
+  window.chrome = chrome;
+  window.CSS = window.CSS || {};
+  window.CSS.escape = window.CSS.escape || ((s) => String(s).replace(/["\\]/g, "\\$&"));
+  window.fetch = async (input) => {
+    const target = String(input);
+    if (target.startsWith(EXTENSION_ORIGIN)) {
+      const body = readRepoFile(target.slice(EXTENSION_ORIGIN.length));
+      return new Response(body, { status: 200, headers: { "Content-Type": "application/json" } });
+    }
+    throw new TypeError(`Network disabled in tests: ${target}`);
+  };
+
+  const context = dom.getInternalVMContext();
+  const manifest = JSON.parse(readRepoFile("manifest.json"));
+  for (const file of manifest.content_scripts[0].js) {
+    new vm.Script(readRepoFile(file), { filename: file }).runInContext(context);
+  }
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    /** Evaluates `code` in the content-script global scope and returns the result. */
+    run: (code) => new vm.Script(code).runInContext(context),
+    close: () => window.close()
+  };
+}
+
+/**
+ * Polls `check` until it returns something truthy (the content script works
+ * asynchronously and behind timers) and returns that value; fails after ~2s.
+ */
+export async function waitFor(check, message = "condition never became true") {
+  for (let i = 0; i < 200; i++) {
+    const value = check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`waitFor: ${message}`);
+}
+
+/**
+ * Loads a retailer page fixture (test/fixtures/<retailer>/) and the bundled
+ * catalog/taxonomy, and returns helpers to run extraction and matching against it.
+ */
+export async function loadPageFixture({ retailer = "amazon", fixture, url }) {
+  const page = loadContentScript({ html: readFixture(path.join(retailer, fixture)), url });
+  await page.run("loadDomainTaxonomy()");
+  await page.run("loadSubstitutions()");
+  const products = await page.run("loadBusinessesProducts()");
+
+  return {
+    ...page,
+    products,
+    extract: () => page.run("extractPageProduct()"),
+    match: ({ limit = 3, priceSettings } = {}) => {
+      page.window.__ffTestProducts = products;
+      const options = priceSettings ? `, priceSettings: ${JSON.stringify(priceSettings)}` : "";
+      return page.run(`matchProducts(extractPageProduct(), __ffTestProducts, { limit: ${Number(limit)}${options} })`);
+    }
+  };
+}
+
+export function loadAmazonFixture({ fixture, url }) {
+  return loadPageFixture({ retailer: "amazon", fixture, url });
+}
@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture, waitFor } from "./helpers/content-script.js";
+
+const WISHLIST_URL = "https://www.amazon.com/hz/wishlist/ls/2LQ9W0ABCDXYZ?ref_=wl_share";
+const REGISTRY_URL = "https://www.amazon.com/baby-reg/jordan-sam-december-2026/1A2B3C4D5E6F7";
+
+test("wishlists and registries are list pages", () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    const pageType = (url) => page.run(`getPageType(${JSON.stringify(url)})`);
+    assert.equal(pageType(WISHLIST_URL), "list");
+    assert.equal(pageType("https://www.amazon.co.uk/hz/wishlist/genericItemsPage/2LQ9W0ABCDXYZ"), "list");
+    assert.equal(pageType(REGISTRY_URL), "list");
+    assert.equal(pageType("https://www.amazon.com/wedding/registry/3XYZ123ABC"), "list");
+    assert.equal(pageType("https://www.amazon.com/registries/gl/guest-view/2B4D6F8H0J"), "list");
+    assert.equal(pageType("https://www.amazon.com/hz/wishlist/intro"), null);
+    assert.equal(pageType("https://www.amazon.com/registries"), null);
+  } finally {
+    page.close();
+  }
+});
+
+test("extractListItems reads wishlist rows and registry cards", () => {
+  const wishlist = loadContentScript({ html: readFixture("amazon/wishlist.html"), url: WISHLIST_URL });
+  try {
+    const items = wishlist.run("extractListItems().map((i) => i.info)");
+    assert.deepEqual(Array.from(items, (i) => i.itemId), ["B00BWQ7W5A", "B0009JZ2LY", "B0CY7QHZ69", "B08R6ZZ4QF"]);
+    assert.deepEqual(Array.from(items, (i) => i.priceText), ["$17.98", "$29.99", "$25.97", ""], "unavailable items have no price");
+    assert.equal(items[1].title, "Yankee Candle Balsam & Cedar Scented, Classic 22oz Large Jar Single Wick Candle, Over 110 Hours of Burn Time");
+  } finally {
+    wishlist.close();
+  }
+
+  const registry = loadContentScript({ html: readFixture("amazon/registry.html"), url: REGISTRY_URL });
+  try {
+    const items = registry.run("extractListItems().map((i) => i.info)");
+    assert.deepEqual(Array.from(items, (i) => i.itemId), ["B07WGLS6N2", "B00JWKMN7A", "B09DKCQ7RK"]);
+    assert.equal(items[0].priceText, "$11.97");
+  } finally {
+    registry.close();
+  }
+});
+
+test("the drawer lists alternatives per wishlist item", async () => {
+  const page = loadContentScript({ html: readFixture("amazon/wishlist.html"), url: WISHLIST_URL });
+  try {
+    const drawer = await waitFor(() => page.document.getElementById("bbd-list-drawer"), "no list drawer");
+    assert.match(drawer.querySelector(".bbd-cart-panel-summary").textContent, /2 of 4 items on this list have/);
+
+    // BLK & Bold already is a catalog product; the coffee table has no alternative.
+    const rows = Array.from(drawer.querySelectorAll(".bbd-list-row"));
+    assert.deepEqual(
+      rows.map((row) => row.querySelector(".bbd-cart-row-source").textContent),
+      [
+        "For: Starbucks Whole Bean Coffee, Medium Roast Coffee, Pike Place Roast, 100% Arabica, 1 Bag (28 Oz)",
+        "For: Yankee Candle Balsam & Cedar Scented, Classic 22oz Large Jar Single Wick Candle, Over 110 Hours of Burn Time"
+      ]
+    );
+    assert.equal(rows[0].querySelectorAll(".bbd-list-alt").length, 3);
+  } finally {
+    page.close();
+  }
+});
+
+test("Replace in my list opens the alternative and Show on list scrolls to the item", async () => {
+  const page = loadContentScript({ html: readFixture("amazon/registry.html"), url: REGISTRY_URL });
+  try {
+    const drawer = await waitFor(() => page.document.getElementById("bbd-list-drawer"), "no list drawer");
+
+    const opened = [];
+    page.window.open = (url) => opened.push(url);
+    const replace = drawer.querySelector(".bbd-list-replace");
+    replace.click();
+    assert.deepEqual(opened, [replace.getAttribute("data-product-url")]);
+    assert.match(opened[0], /^https:\/\/www\.amazon\.com\//);
+
+    const card = page.document.querySelector('.registry-asin-card[data-asin="B07WGLS6N2"]');
+    let scrolled = false;
+    card.scrollIntoView = () => {
+      scrolled = true;
+    };
+    drawer.querySelector(".bbd-list-show").click();
+    assert.equal(scrolled, true);
+  } finally {
+    page.close();
+  }
+});
+
+test("registry cards that render late are matched and the drawer is updated", async () => {
+  // The guest view renders its cards after the page loads.
+  const html = readFixture("amazon/registry.html")
+    .replace('<div class="registry-asin-list">', '<div class="registry-asin-list"></div>\n  <template id="late-cards">')
+    .replace(/<\/div>\s*<\/div>\s*<\/body>/, "</template>\n</div>\n</body>");
+  const page = loadContentScript({ html, url: REGISTRY_URL });
+  try {
+    await waitFor(() => page.run("lastListSignature") === "", "the empty registry was not read");
+    assert.equal(page.document.getElementById("bbd-list-drawer"), null);
+
+    const list = page.document.querySelector(".registry-asin-list");
+    const [first, ...rest] = Array.from(page.document.getElementById("late-cards").content.children);
+    list.append(first.cloneNode(true));
+    const drawer = await waitFor(() => page.document.getElementById("bbd-list-drawer"), "no drawer once a card rendered");
+    assert.match(drawer.querySelector(".bbd-cart-panel-summary").textContent, /1 of 1 item on this list has/);
+
+    list.append(...rest.map((card) => card.cloneNode(true)));
+    await waitFor(
+      () => /of 3 items/.test(page.document.querySelector("#bbd-list-drawer .bbd-cart-panel-summary")?.textContent),
+      "the drawer did not pick up the new cards"
+    );
+    assert.equal(page.document.querySelectorAll("#bbd-list-drawer").length, 1);
+
+    // A drawer the shopper closed stays closed while more cards load.
+    page.document.querySelector(".bbd-list-drawer-close").click();
+    list.append(first.cloneNode(true));
+    list.lastElementChild.setAttribute("data-asin", "B0009JZ2LY");
+    await waitFor(() => page.run("lastListSignature").split("|").length === 4, "the fourth card was not read");
+    assert.equal(page.document.getElementById("bbd-list-drawer"), null);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture, readJsonFixture } from "./helpers/content-script.js";
+
+const LISTING_URL = "https://www.amazon.com/dp/B000000000";
+const STRUCTURED_STRATEGIES = new Set(["buying-options-json", "image-gallery-json", "a-state", "json-ld"]);
+
+const { pages } = readJsonFixture("amazon/listings/expectations.json");
+
+const page = loadContentScript({ url: "https://www.amazon.com/" });
+test.after(() => page.close());
+
+const extractListing = (fixture) =>
+  JSON.parse(
+    page.run(`JSON.stringify(FairFindzSiteAdapters.getAdapterForUrl("${LISTING_URL}").html.extractListing(
+      ${JSON.stringify(readFixture(`amazon/listings/${fixture}`))},
+      FairFindzStorefronts.getStorefrontById("us")
+    ))`)
+  );
+
+// Per-strategy totals for the accuracy report. A field counts against the
+// strategy that produced its value ("none" when nothing was found).
+const totals = new Map();
+
+function record(strategy, correct) {
+  const t = totals.get(strategy) || { fields: 0, correct: 0 };
+  t.fields += 1;
+  t.correct += correct ? 1 : 0;
+  totals.set(strategy, t);
+}
+
+const ratio = (n, d) => (d ? (n / d).toFixed(2) : "-");
+
+for (const expected of pages) {
+  test(`extractListing: ${expected.fixture}`, () => {
+    const { blocked, fields } = extractListing(expected.fixture);
+    assert.equal(blocked, false);
+
+    for (const [name, value] of Object.entries(expected.fields)) {
+      const field = fields[name];
+      // Fields the page does not have and that were not found are not scored.
+      if (value === null && field.value === null) continue;
+      record(field.strategy || "none", field.value === value);
+    }
+  });
+}
+
+test("embedded JSON wins over the rendered page", () => {
+  const kahawa = extractListing("kahawa-single-origin-json-ld.html").fields;
+  assert.deepEqual([kahawa.priceText.value, kahawa.priceText.strategy], ["$16.99", "json-ld"], "the coupon amount is not the price");
+  assert.equal(kahawa.availability.strategy, "json-ld");
+
+  const sprinjene = extractListing("sprinjene-toothpaste-twister.html").fields;
+  assert.deepEqual([sprinjene.priceText.value, sprinjene.priceText.strategy], ["$3.49", "buying-options-json"], "cheap prices are kept");
+  assert.deepEqual(
+    [sprinjene.imageUrl.value, sprinjene.imageUrl.strategy],
+    ["https://m.media-amazon.com/images/I/61sprinjene-hires.jpg", "image-gallery-json"],
+    "the gallery image wins over the og:image brand logo"
+  );
+  assert.ok(sprinjene.priceText.confidence > sprinjene.unitPriceText.confidence);
+
+  const trueLaundry = extractListing("true-laundry-a-state.html").fields;
+  assert.deepEqual([trueLaundry.priceText.value, trueLaundry.priceText.strategy], ["$24.99", "a-state"], "the list price is not the price");
+});
+
+test("cheap prices survive the heuristic fallbacks", () => {
+  const partake = extractListing("partake-cookies-price-to-pay.html").fields;
+  assert.deepEqual([partake.priceText.value, partake.priceText.strategy], ["$4.49", "price-to-pay-json"]);
+
+  const mobilePrice = page.run(`FairFindzSiteAdapters.getAdapterForUrl("${LISTING_URL}").html.extractMobilePrice(
+    ${JSON.stringify(readFixture("amazon/listings/partake-cookies-price-to-pay.html"))}
+  )`);
+  assert.equal(mobilePrice, "$4.49", "the unit price next to it is skipped");
+});
+
+test("accuracy per strategy", (t) => {
+  const rows = Array.from(totals.entries()).sort(([a], [b]) => a.localeCompare(b));
+  t.diagnostic(`field accuracy over ${pages.length} listing pages`);
+  t.diagnostic("strategy              fields  accuracy");
+  for (const [strategy, c] of rows) {
+    t.diagnostic(`${strategy.padEnd(21)} ${String(c.fields).padStart(6)}  ${ratio(c.correct, c.fields).padStart(8)}`);
+  }
+
+  const all = rows.reduce((acc, [, c]) => ({ fields: acc.fields + c.fields, correct: acc.correct + c.correct }), { fields: 0, correct: 0 });
+  t.diagnostic(`${"overall".padEnd(21)} ${String(all.fields).padStart(6)}  ${ratio(all.correct, all.fields).padStart(8)}`);
+
+  // Guard rails: structured data is only used when it parses, so it must never be wrong.
+  for (const [strategy, c] of rows) {
+    if (STRUCTURED_STRATEGIES.has(strategy)) {
+      assert.equal(c.correct, c.fields, `${strategy} read ${c.fields - c.correct} field(s) wrong`);
+    }
+  }
+  assert.ok(all.correct / all.fields >= 0.9, `overall accuracy dropped to ${ratio(all.correct, all.fields)}`);
+});
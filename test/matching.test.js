@@ -0,0 +1,271 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadAmazonFixture, readJsonFixture } from "./helpers/content-script.js";
+
+const { topN, pages } = readJsonFixture("amazon/expectations.json");
+
+// Per-category totals for the precision/recall report.
+const totals = new Map();
+
+function record(category, { retrieved, relevant, hits }) {
+  const t = totals.get(category) || { pages: 0, retrieved: 0, relevant: 0, hits: 0 };
+  t.pages += 1;
+  t.retrieved += retrieved;
+  t.relevant += relevant;
+  t.hits += hits;
+  totals.set(category, t);
+}
+
+const ratio = (n, d) => (d ? (n / d).toFixed(2) : "-");
+
+for (const expected of pages) {
+  test(`matchProducts: ${expected.fixture}`, async () => {
+    const page = await loadAmazonFixture(expected);
+    try {
+      const { top } = page.match({ limit: topN });
+      const ids = top.map((m) => m.product.id);
+      const relevant = new Set(expected.relevant);
+
+      record(expected.category, {
+        retrieved: ids.length,
+        relevant: relevant.size,
+        hits: ids.filter((id) => relevant.has(id)).length
+      });
+
+      if (!relevant.size) {
+        assert.equal(ids.length, 0, `pages without relevant products must not get suggestions, got ${ids.join(", ")}`);
+      }
+      for (const id of expected.mustInclude || []) {
+        assert.ok(ids.includes(id), `expected ${id} in top ${topN}, got ${ids.join(", ") || "nothing"}`);
+      }
+      for (const id of expected.mustExclude || []) {
+        assert.ok(!ids.includes(id), `did not expect ${id} in top ${topN}`);
+      }
+    } finally {
+      page.close();
+    }
+  });
+}
+
+test("matchProducts: curated substitutions rank ahead of keyword matches", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "starbucks-pike-place-whole-bean.html",
+    url: "https://www.amazon.com/Starbucks-Medium-Roast-Whole-Coffee/dp/B00BWQ7W5A"
+  });
+  try {
+    const { top } = page.match({ limit: topN });
+    assert.equal(top[0].product.id, "3d83509e-8e7c-4432-bdaf-5a19bc25f2cb");
+    assert.equal(top[0].substitution.sourceBrand, "Starbucks");
+    assert.equal(top.filter((m) => m.product.id === top[0].product.id).length, 1, "substituted product must not be listed twice");
+    assert.ok(top.slice(1).every((m) => !m.substitution));
+  } finally {
+    page.close();
+  }
+});
+
+test("matchProducts: substitutions do not fire for other brands", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "dunkin-original-blend-kcup.html",
+    url: "https://www.amazon.com/dp/B00JGQP6Y4?th=1"
+  });
+  try {
+    const { top } = page.match({ limit: topN });
+    assert.ok(top.every((m) => !m.substitution));
+  } finally {
+    page.close();
+  }
+});
+
+test("matchProducts: substitutions outside the price band are dropped", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "starbucks-pike-place-whole-bean.html",
+    url: "https://www.amazon.com/Starbucks-Medium-Roast-Whole-Coffee/dp/B00BWQ7W5A"
+  });
+  try {
+    // The $15.99 swap is 0.89x the $17.98 page price.
+    const { scored } = page.match({ priceSettings: { minRatio: 0.2, maxRatio: 0.8 } });
+    assert.ok(scored.every((m) => !m.substitution));
+
+    const capped = page.match({ priceSettings: { minRatio: 0.2, maxRatio: 2.5, userMax: 15 } });
+    assert.ok(capped.scored.every((m) => !m.substitution));
+  } finally {
+    page.close();
+  }
+});
+
+test("matchProducts: substitutions need the brand as the maker, not a mention in the title", async () => {
+  const page = await loadAmazonFixture({ fixture: "starbucks-pike-place-whole-bean.html", url: "https://www.amazon.com/dp/B00BWQ7W5A" });
+  try {
+    page.window.__ffTestProducts = page.products;
+    const substitutionsFor = (title, brand = "") =>
+      Array.from(
+        page.run(`matchProducts(buildPageInfo(${JSON.stringify({ retailer: "amazon", title, brand })}), __ffTestProducts)
+          .scored.filter((m) => m.substitution).map((m) => m.product.id)`)
+      );
+
+    assert.deepEqual(substitutionsFor("Reusable Coffee Pod Filter Compatible with Starbucks Verismo, 2 Pack", "Generic"), []);
+    assert.deepEqual(substitutionsFor("Starbucks Whole Bean Coffee, Medium Roast, 28 Oz"), ["3d83509e-8e7c-4432-bdaf-5a19bc25f2cb"]);
+    assert.deepEqual(substitutionsFor("Whole Bean Coffee, Medium Roast, 28 Oz", "Starbucks"), ["3d83509e-8e7c-4432-bdaf-5a19bc25f2cb"]);
+  } finally {
+    page.close();
+  }
+});
+
+test("matchProducts: variants of one product collapse into a single card", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "starbucks-pike-place-whole-bean.html",
+    url: "https://www.amazon.com/Starbucks-Medium-Roast-Whole-Coffee/dp/B00BWQ7W5A"
+  });
+  try {
+    // Give Kahawa 1893 three listings; the Amazon page is a 28 oz bag.
+    const base = page.products.find((p) => p.id === "8e2b630a-d933-4db6-ac45-66ba83a97953");
+    const listing = (id, variant, price) => ({ ...base, id, variant, price, productId: base.id });
+    page.products.splice(
+      page.products.indexOf(base),
+      1,
+      listing(base.id, "12 oz", "$20.99"),
+      listing(`${base.id}-2lb`, "2 lb", "$34.99"),
+      listing(`${base.id}-kcup`, "24 Count", "$19.99")
+    );
+
+    const { scored } = page.match({ limit: topN });
+    const kahawa = scored.filter((m) => m.product.productId === base.id);
+    assert.equal(kahawa.length, 1);
+    assert.equal(kahawa[0].variants.length, 3);
+    assert.equal(kahawa[0].product.variant, "2 lb", "the size closest to 28 oz should be preselected");
+  } finally {
+    page.close();
+  }
+});
+
+test("matchProducts: variants outside the price band are not offered, and picking one updates the card", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "starbucks-pike-place-whole-bean.html",
+    url: "https://www.amazon.com/Starbucks-Medium-Roast-Whole-Coffee/dp/B00BWQ7W5A"
+  });
+  try {
+    // The 5 lb bag is more than 2.5x the $17.98 page price.
+    const base = page.products.find((p) => p.id === "8e2b630a-d933-4db6-ac45-66ba83a97953");
+    const listing = (id, variant, price, extra = {}) => ({ ...base, id, variant, price, productId: base.id, ...extra });
+    page.products.splice(
+      page.products.indexOf(base),
+      1,
+      listing(base.id, "12 oz", "$20.99"),
+      listing(`${base.id}-5lb`, "5 lb", "$79.99"),
+      listing(`${base.id}-kcup`, "24 Count", "$19.99", { rating: 3.1, reviewCount: 12 })
+    );
+
+    const { top } = page.match({ limit: topN });
+    const kahawa = top.find((m) => m.product.productId === base.id);
+    assert.deepEqual(Array.from(kahawa.variants, (v) => v.variant).sort(), ["12 oz", "24 Count"]);
+
+    page.window.__ffTestMatches = top;
+    page.run("createModal({ amazonInfo: extractPageProduct(), matches: __ffTestMatches })");
+    const card = page.document.querySelector(`.bbd-product-card[data-match-index="${top.indexOf(kahawa)}"]`);
+    const select = card.querySelector(".bbd-variant-select");
+    assert.ok(!Array.from(select.options, (o) => o.value).includes(`${base.id}-5lb`));
+
+    select.value = `${base.id}-kcup`;
+    select.dispatchEvent(new page.window.Event("change"));
+    assert.match(card.querySelector(".bbd-why-list").textContent, /Rating 3\.1.*12 reviews/);
+    assert.match(card.querySelector(".bbd-product-price").textContent, /\$19\.99/);
+  } finally {
+    page.close();
+  }
+});
+
+test("matchProducts: curator rules veto, require and boost", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "vital-proteins-collagen-peptides.html",
+    url: "https://www.amazon.com/dp/B00K6JUG4K"
+  });
+  const collagenId = "0b496238-352d-41d3-8c26-95982c292d67";
+  try {
+    let [top] = page.match({ limit: 1 }).top;
+    assert.equal(top.product.id, collagenId);
+    assert.equal(top.breakdown.intent, 80, "the collagen domain boost rule should apply");
+
+    const collagen = page.products.find((p) => p.id === collagenId);
+    collagen.negativeKeywords = ["unflavored"];
+    assert.ok(!page.match().top.some((m) => m.product.id === collagenId), "negative keyword on the page vetoes");
+
+    collagen.negativeKeywords = [];
+    collagen.requiredKeywords = ["marine"];
+    assert.ok(!page.match().top.some((m) => m.product.id === collagenId), "missing required keyword vetoes");
+
+    collagen.requiredKeywords = ["marine", "powder"];
+    collagen.boostRules = [{ keywords: ["hair"], points: -30 }];
+    [top] = page.match({ limit: 1 }).top;
+    assert.equal(top.product.id, collagenId);
+    assert.equal(top.breakdown.intent, 50);
+  } finally {
+    page.close();
+  }
+});
+
+test("matchProducts: only listings sold on the current storefront are suggested", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "starbucks-pike-place-whole-bean.html",
+    url: "https://www.amazon.ca/Starbucks-Medium-Roast-Whole-Coffee/dp/B00BWQ7W5A"
+  });
+  try {
+    // The bundled catalog is amazon.com only; add one amazon.ca listing.
+    const cup = page.products.find((p) => p.id === "3d83509e-8e7c-4432-bdaf-5a19bc25f2cb");
+    page.products.push({
+      ...cup,
+      id: `${cup.id}-ca`,
+      price: "$21.99",
+      productUrl: "https://www.amazon.ca/dp/B0CLHCXSB7",
+      marketplaces: ["ca"]
+    });
+
+    const { top } = page.match({ limit: topN });
+    assert.deepEqual(Array.from(top, (m) => m.product.id), [`${cup.id}-ca`]);
+    assert.equal(top[0].priceComparison.basis, "unit", "CAD prices are compared with each other");
+  } finally {
+    page.close();
+  }
+});
+
+test("matchProducts: on collagen pages only tagged products are kept out, whatever the brand", async () => {
+  const page = await loadAmazonFixture({
+    fixture: "vital-proteins-collagen-peptides.html",
+    url: "https://www.amazon.com/dp/B00K6JUG4K"
+  });
+  const collagenId = "0b496238-352d-41d3-8c26-95982c292d67";
+  const multivitaminId = "95c1eb53-26df-4877-862d-2287cc1a8e81";
+  try {
+    // The multivitamin lists "collagen" as a negative keyword; a copy without it
+    // stands in for any other supplement that has no rules of its own.
+    const multivitamin = page.products.find((p) => p.id === multivitaminId);
+    page.products.push({ ...multivitamin, id: "untagged-supplement", productId: "untagged-supplement", negativeKeywords: [] });
+
+    const ids = page.match({ limit: 5 }).scored.map((m) => m.product.id);
+    assert.ok(!ids.includes(multivitaminId));
+    assert.ok(ids.includes("untagged-supplement"), "other supplements are no longer dropped on collagen pages");
+    assert.equal(ids[0], collagenId, "but they rank below collagen");
+  } finally {
+    page.close();
+  }
+});
+
+test("precision and recall per category", (t) => {
+  const rows = Array.from(totals.entries()).sort(([a], [b]) => a.localeCompare(b));
+  t.diagnostic(`top-${topN} relevance over ${pages.length} fixture pages`);
+  t.diagnostic("category        pages  precision  recall");
+  for (const [category, c] of rows) {
+    t.diagnostic(
+      `${category.padEnd(15)} ${String(c.pages).padStart(5)}  ${ratio(c.hits, c.retrieved).padStart(9)}  ${ratio(c.hits, c.relevant).padStart(6)}`
+    );
+  }
+
+  const all = rows.reduce(
+    (acc, [, c]) => ({ retrieved: acc.retrieved + c.retrieved, relevant: acc.relevant + c.relevant, hits: acc.hits + c.hits }),
+    { retrieved: 0, relevant: 0, hits: 0 }
+  );
+  t.diagnostic(`${"overall".padEnd(15)} ${String(pages.length).padStart(5)}  ${ratio(all.hits, all.retrieved).padStart(9)}  ${ratio(all.hits, all.relevant).padStart(6)}`);
+
+  // Guard rails: a ranking change that floods the modal with unrelated products should fail loudly.
+  assert.ok(all.hits / all.retrieved >= 0.8, `overall precision dropped to ${ratio(all.hits, all.retrieved)}`);
+  assert.ok(all.hits / all.relevant >= 0.6, `overall recall dropped to ${ratio(all.hits, all.relevant)}`);
+});
@@ -0,0 +1,130 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture, waitFor } from "./helpers/content-script.js";
+
+const ORDERS_URL = "https://www.amazon.com/your-orders/orders?timeFilter=year-2026";
+const REPEAT_ITEM_IDS = ["B00BWQ7W5A", "B07WGLS6N2", "B01BZQJLMY"];
+
+/**
+ * Loads the first "Your Orders" page. The second page is served from its
+ * fixture and the URLs fetched are recorded.
+ */
+function loadOrdersPage({ storage = {} } = {}) {
+  const page = loadContentScript({ html: readFixture("amazon/order-history.html"), url: ORDERS_URL, storage });
+  const requests = [];
+  const offlineFetch = page.window.fetch;
+  page.window.fetch = async (input, init = {}) => {
+    const target = String(input);
+    if (!target.includes("/your-orders/")) return offlineFetch(input, init);
+    requests.push({ url: target, credentials: init.credentials });
+    return new Response(readFixture("amazon/order-history-page-2.html"), { status: 200 });
+  };
+  return { ...page, storage, requests };
+}
+
+test("order history URLs are their own page type", () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    const pageType = (url) => page.run(`getPageType(${JSON.stringify(url)})`);
+    assert.equal(pageType(ORDERS_URL), "orders");
+    assert.equal(pageType("https://www.amazon.com/gp/css/order-history?ref_=nav_orders_first"), "orders");
+    assert.equal(pageType("https://www.amazon.co.uk/gp/your-account/order-history"), "orders");
+    assert.equal(pageType("https://www.amazon.com/your-orders/returns"), null);
+    assert.equal(pageType("https://www.walmart.com/orders"), null);
+  } finally {
+    page.close();
+  }
+});
+
+test("extractOrderHistory reads orders and their items", async () => {
+  const page = loadContentScript({ html: readFixture("amazon/order-history.html"), url: ORDERS_URL });
+  try {
+    await page.run("loadDomainTaxonomy()");
+    const orders = page.run(
+      "extractOrderHistory().map((o) => ({ orderId: o.orderId, orderDate: o.orderDate, itemIds: o.items.map((i) => i.itemId) }))"
+    );
+    assert.deepEqual(
+      Array.from(orders, (o) => ({ ...o, itemIds: Array.from(o.itemIds) })),
+      [
+        { orderId: "112-0000001-0000001", orderDate: "October 2, 2026", itemIds: ["B00BWQ7W5A", "B07WGLS6N2"] },
+        { orderId: "112-0000002-0000002", orderDate: "September 14, 2026", itemIds: ["B01BZQJLMY", "B07QXM2L5C"] },
+        { orderId: "112-0000003-0000003", orderDate: "August 30, 2026", itemIds: ["B00BWQ7W5A", "B09GYQ9SJY"] },
+        { orderId: "112-0000004-0000004", orderDate: "August 2, 2026", itemIds: ["B08R6ZZ4QF"] }
+      ],
+      "the Kindle book has no product link and is skipped"
+    );
+    assert.equal(page.run("extractOrderHistory()[0].items[0].category"), "coffee");
+  } finally {
+    page.close();
+  }
+});
+
+test("the scan follows pagination and reports repeat purchases with alternatives", async () => {
+  const page = loadOrdersPage();
+  try {
+    const { orders, report } = await page.run("scanRepeatPurchases()");
+    assert.equal(orders.length, 7);
+    assert.deepEqual(page.requests, [
+      { url: "https://www.amazon.com/your-orders/orders?timeFilter=year-2026&startIndex=10", credentials: "include" }
+    ]);
+
+    // Balloons were bought twice but have no alternative; True Laundry already is a catalog product.
+    assert.deepEqual(Array.from(report, (r) => r.info.itemId), REPEAT_ITEM_IDS);
+    assert.deepEqual(Array.from(report, (r) => r.timesOrdered), [3, 2, 2]);
+    assert.equal(report[2].lastOrderDate, "September 14, 2026");
+    assert.equal(report[2].matches[0].product.brand, "True Laundry");
+  } finally {
+    page.close();
+  }
+});
+
+test("a page that fails to load ends the scan", async () => {
+  const page = loadContentScript({ html: readFixture("amazon/order-history.html"), url: ORDERS_URL });
+  try {
+    const orders = await page.run("scanOrderHistory()");
+    assert.equal(orders.length, 4);
+  } finally {
+    page.close();
+  }
+});
+
+test("the panel scans on request and saves the alternatives to favorites", async () => {
+  const page = loadOrdersPage();
+  try {
+    const panel = await waitFor(() => page.document.getElementById("bbd-orders-panel"), "no order history panel");
+    assert.equal(page.requests.length, 0, "nothing is fetched before the shopper asks");
+
+    panel.querySelector(".bbd-orders-scan").click();
+    await waitFor(() => panel.querySelectorAll(".bbd-orders-report .bbd-cart-row").length, "no report");
+    assert.equal(panel.querySelectorAll(".bbd-orders-report .bbd-cart-row").length, 3);
+    assert.match(panel.querySelector(".bbd-cart-row-source").textContent, /^Bought 3×, last on October 2, 2026: Starbucks/);
+
+    panel.querySelector(".bbd-orders-save").click();
+    await waitFor(() => panel.querySelector(".bbd-orders-status").textContent, "favorites not saved");
+    assert.equal(panel.querySelector(".bbd-orders-status").textContent, "Saved 3 alternatives to favorites.");
+    assert.equal(page.storage.ff_favorite_product_ids.length, 3);
+  } finally {
+    page.close();
+  }
+});
+
+test("buildRepeatPurchaseCsv quotes cells and neutralizes formulas", () => {
+  const page = loadContentScript({ url: ORDERS_URL });
+  try {
+    const report = [
+      {
+        info: { title: '=HYPERLINK("x") Coffee, 2 Pack', itemId: "B00BWQ7W5A" },
+        timesOrdered: 3,
+        lastOrderDate: "October 2, 2026",
+        matches: [{ product: { name: "BLK & Bold Coffee", brand: "BLK & Bold", price: "$14.99", productUrl: "https://www.amazon.com/dp/B07D6XZNS5" } }]
+      }
+    ];
+    const csv = page.run(`buildRepeatPurchaseCsv(${JSON.stringify(report)})`);
+    assert.deepEqual(csv.split("\n"), [
+      "Purchased item,Item id,Times ordered,Last ordered,Alternative,Brand,Price,Link",
+      `"'=HYPERLINK(""x"") Coffee, 2 Pack",B00BWQ7W5A,3,"October 2, 2026",BLK & Bold Coffee,BLK & Bold,$14.99,https://www.amazon.com/dp/B07D6XZNS5`
+    ]);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture, waitFor } from "./helpers/content-script.js";
+
+const STARBUCKS_URL = "https://www.amazon.com/dp/B00BWQ7W5A";
+
+async function loadStarbucksPage() {
+  const page = loadContentScript({ html: readFixture("amazon/starbucks-pike-place-whole-bean.html"), url: STARBUCKS_URL });
+  await waitFor(() => page.run("cachedAmazonInfo"), "initial matching never ran");
+  return page;
+}
+
+test("picking another variant re-runs matching without a navigation", async () => {
+  const page = await loadStarbucksPage();
+  try {
+    assert.equal(page.run("cachedAmazonInfo.priceText"), "$17.98");
+
+    // The twister swaps the title, the ASIN input and the price in place.
+    const { document } = page;
+    document.getElementById("productTitle").textContent = "Starbucks Whole Bean Coffee, Dark Roast Coffee, Espresso Roast, 1 Bag (18 Oz)";
+    document.getElementById("ASIN").value = "B07YNJ4ZM8";
+    document.querySelector("#corePriceDisplay_desktop_feature_div .a-offscreen").textContent = "$13.49";
+
+    await waitFor(() => page.run("cachedAmazonInfo?.priceText === '$13.49'"), "matching did not re-run");
+    assert.match(page.run("cachedAmazonInfo.title"), /Espresso Roast/);
+    assert.ok(page.run("Array.isArray(cachedMatches)"));
+    assert.equal(page.run("lastObservedUrl"), STARBUCKS_URL, "no navigation happened");
+  } finally {
+    page.close();
+  }
+});
+
+test("navigations made by the page itself are picked up from DOM changes", async () => {
+  const page = await loadStarbucksPage();
+  try {
+    // The page's history calls bypass the content script's pushState hook.
+    const { window, document } = page;
+    window.History.prototype.pushState.call(window.history, {}, "", "/cart");
+    document.body.appendChild(document.createElement("div"));
+
+    await waitFor(() => page.run("lastObservedUrl") === "https://www.amazon.com/cart", "URL change missed");
+    assert.equal(page.run("cachedAmazonInfo"), null);
+  } finally {
+    page.close();
+  }
+});
+
+test("the extension's own UI does not trigger change checks", async () => {
+  const page = await loadStarbucksPage();
+  try {
+    await waitFor(() => page.run("pageChangeTimerId === null"), "initial page changes never settled");
+
+    const toast = page.document.createElement("div");
+    toast.id = "bbd-toast";
+    page.document.body.appendChild(toast);
+    toast.textContent = "Closing in 5s";
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.equal(page.run("pageChangeTimerId"), null);
+
+    page.document.getElementById("productTitle").append(" ");
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.notEqual(page.run("pageChangeTimerId"), null);
+  } finally {
+    page.close();
+  }
+});
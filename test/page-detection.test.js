@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript } from "./helpers/content-script.js";
+
+const page = loadContentScript({ url: "https://www.amazon.com/" });
+test.after(() => page.close());
+
+const isProductPage = (url) => page.run(`isProductPage(${JSON.stringify(url)})`);
+const extractAsin = (url) => page.run(`extractAmazonAsinFromUrl(${JSON.stringify(url)})`);
+
+test("isProductPage accepts Amazon product detail URLs", () => {
+  for (const url of [
+    "https://www.amazon.com/dp/B08N5WRWNW",
+    "https://www.amazon.com/gp/product/B08N5WRWNW",
+    "https://www.amazon.com/Some-Product-Name/dp/B08N5WRWNW",
+    "https://www.amazon.com/Some-Product-Name/dp/B08N5WRWNW/ref=sr_1_1?keywords=coffee",
+    "https://smile.amazon.com/dp/B08N5WRWNW",
+    "https://www.amazon.com/gp/aw/d/B08N5WRWNW",
+    "https://www.amazon.ca/dp/B08N5WRWNW",
+    "https://www.amazon.co.uk/Some-Product-Name/dp/B08N5WRWNW",
+    "https://www.amazon.de/gp/product/B08N5WRWNW",
+    "https://www.amazon.com.mx/dp/B08N5WRWNW"
+  ]) {
+    assert.equal(isProductPage(url), true, url);
+  }
+});
+
+test("isProductPage rejects non-product Amazon pages and other hosts", () => {
+  for (const url of [
+    "https://www.amazon.com/",
+    "https://www.amazon.com/s?k=coffee",
+    "https://www.amazon.com/gp/cart/view.html",
+    "https://www.amazon.com/cart",
+    "https://www.amazon.com/gp/buy/spc/handlers/display.html",
+    "https://www.amazon.com/checkout/p/xyz",
+    "https://www.amazon.com/dp/SHORT",
+    "https://www.notamazon.com/dp/B08N5WRWNW",
+    "https://www.amazon.com.evil.example/dp/B08N5WRWNW",
+    "https://www.amazon.fr/dp/B08N5WRWNW",
+    "not a url"
+  ]) {
+    assert.equal(isProductPage(url), false, url);
+  }
+});
+
+test("extractAmazonAsinFromUrl reads dp, gp/product and asin= forms", () => {
+  assert.equal(extractAsin("https://www.amazon.com/Foo/dp/b08n5wrwnw?th=1"), "B08N5WRWNW");
+  assert.equal(extractAsin("https://www.amazon.com/gp/product/B08N5WRWNW/ref=x"), "B08N5WRWNW");
+  assert.equal(extractAsin("https://www.amazon.com/some/path?asin=B08N5WRWNW&x=1"), "B08N5WRWNW");
+  assert.equal(extractAsin("https://www.amazon.com/s?k=coffee"), null);
+  assert.equal(extractAsin(""), null);
+  assert.equal(extractAsin(null), null);
+});
@@ -0,0 +1,113 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { readRepoFile } from "./helpers/content-script.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const KEY = "us:B07D6XZNS5";
+const PRODUCT_URL = "https://www.amazon.com/dp/B07D6XZNS5";
+
+function loadProductCacheModule() {
+  const context = vm.createContext({ console: { warn() {} } });
+  vm.runInContext(readRepoFile("background/product-cache.js"), context);
+  return context.FairFindzProductCache;
+}
+
+const ProductCache = loadProductCacheModule();
+
+/**
+ * A cache over in-memory storage, a controllable clock and a fetch that counts
+ * downloads and returns `pages` in order (or the last one).
+ */
+function createCache({ storage = {}, pages = [{ imageUrl: "https://m.media-amazon.com/a.jpg", rating: 4.7, reviewCount: 1200, priceText: "$14.99", unitPriceText: "$1.25 / Ounce" }], ...options } = {}) {
+  const clock = { now: Date.now() };
+  const downloads = [];
+  const cache = ProductCache.createProductCache({
+    storage: {
+      get: (keys, cb) => cb(Object.fromEntries(keys.filter((k) => k in storage).map((k) => [k, storage[k]]))),
+      set: (items, cb) => {
+        Object.assign(storage, structuredClone(items));
+        cb();
+      }
+    },
+    fetchFields: async (productUrl) => {
+      downloads.push(productUrl);
+      return pages[Math.min(downloads.length - 1, pages.length - 1)];
+    },
+    now: () => clock.now,
+    ...options
+  });
+  return { cache, storage, clock, downloads };
+}
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test("concurrent requests for one product share a download and later ones hit the cache", async () => {
+  const { cache, storage, downloads } = createCache();
+  const [image, meta] = await Promise.all([
+    cache.get(KEY, PRODUCT_URL, ["imageUrl"]),
+    cache.get(KEY, `${PRODUCT_URL}?ref_=ff`, ["rating", "reviewCount", "priceText", "unitPriceText"])
+  ]);
+
+  assert.deepEqual(plain(image), { imageUrl: "https://m.media-amazon.com/a.jpg" });
+  assert.deepEqual(plain(meta), { rating: 4.7, reviewCount: 1200, priceText: "$14.99", unitPriceText: "$1.25 / Ounce" });
+  assert.equal(downloads.length, 1);
+
+  await cache.get(KEY, PRODUCT_URL, ["imageUrl", "priceText"]);
+  assert.equal(downloads.length, 1);
+  assert.equal(storage[ProductCache.STORAGE_KEY][KEY].fields.priceText.value, "$14.99");
+});
+
+test("stale fields are returned at once and refreshed in the background", async () => {
+  const { cache, clock, downloads } = createCache({
+    pages: [
+      { imageUrl: "https://m.media-amazon.com/a.jpg", priceText: "$14.99" },
+      { imageUrl: "https://m.media-amazon.com/a.jpg", priceText: "$12.99" }
+    ]
+  });
+  await cache.get(KEY, PRODUCT_URL, ["priceText"]);
+
+  clock.now += 7 * HOUR_MS;
+  assert.equal((await cache.get(KEY, PRODUCT_URL, ["imageUrl"])).imageUrl, "https://m.media-amazon.com/a.jpg");
+  assert.equal(downloads.length, 1, "images stay fresh for a week");
+
+  const stale = await cache.getFields(KEY, PRODUCT_URL, ["priceText"]);
+  const original = { value: "$14.99", fetchedAt: clock.now - 7 * HOUR_MS };
+  assert.deepEqual(plain(stale), { priceText: original }, "a stale value keeps the time it was downloaded");
+  assert.equal(downloads.length, 2);
+  await cache.refresh(KEY, PRODUCT_URL);
+  assert.equal((await cache.get(KEY, PRODUCT_URL, ["priceText"])).priceText, "$12.99");
+  assert.equal((await cache.getFields(KEY, PRODUCT_URL, ["priceText"])).priceText.fetchedAt, clock.now);
+});
+
+test("fields past the stale limit wait for a new download; failed downloads are not cached", async () => {
+  const { cache, clock, downloads } = createCache({ pages: [{ priceText: "$14.99" }, null, { priceText: "$13.49" }] });
+  await cache.get(KEY, PRODUCT_URL, ["priceText"]);
+
+  clock.now += ProductCache.MAX_STALE_MS + 1;
+  assert.equal((await cache.get(KEY, PRODUCT_URL, ["priceText"])).priceText, "$14.99", "a failed download keeps the old value");
+  assert.equal((await cache.get(KEY, PRODUCT_URL, ["priceText"])).priceText, "$13.49");
+  assert.equal(downloads.length, 3);
+
+  const empty = createCache({ pages: [null] });
+  assert.deepEqual(plain(await empty.cache.get(KEY, PRODUCT_URL, ["imageUrl"])), { imageUrl: null });
+  await empty.cache.get(KEY, PRODUCT_URL, ["imageUrl"]);
+  assert.equal(empty.downloads.length, 2);
+});
+
+test("the cache survives a service worker restart and drops the least recently used products", async () => {
+  const first = createCache({ maxEntries: 2 });
+  await first.cache.get("us:A", PRODUCT_URL, ["priceText"]);
+  first.clock.now += 1000;
+  await first.cache.get("us:B", PRODUCT_URL, ["priceText"]);
+  first.clock.now += 1000;
+  await first.cache.get("us:A", PRODUCT_URL, ["priceText"]);
+  first.clock.now += 1000;
+  await first.cache.get("us:C", PRODUCT_URL, ["priceText"]);
+  assert.deepEqual(Object.keys(first.storage[ProductCache.STORAGE_KEY]).sort(), ["us:A", "us:C"]);
+
+  const restarted = createCache({ storage: first.storage });
+  restarted.clock.now = first.clock.now;
+  assert.equal((await restarted.cache.get("us:C", PRODUCT_URL, ["priceText"])).priceText, "$14.99");
+  assert.equal(restarted.downloads.length, 0);
+});
@@ -0,0 +1,156 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { loadContentScript, readFixture, readRepoFile } from "./helpers/content-script.js";
+
+const LISTING_URL = "https://www.amazon.com/BLK-Bold-Coffee-Certified-Medium/dp/B085T2QG5J";
+
+const page = loadContentScript({ url: "https://www.amazon.com/" });
+test.after(() => page.close());
+
+const extractListing = (html) =>
+  JSON.parse(
+    page.run(`JSON.stringify(FairFindzSiteAdapters.getAdapterForUrl("${LISTING_URL}").html.extractListing(
+      ${JSON.stringify(html)},
+      FairFindzStorefronts.getStorefrontById("us")
+    ))`)
+  );
+
+/**
+ * Runs the service worker in a VM with the scripts it imports. Product pages
+ * are served from `pages` (anything else is a 404) and every download is recorded.
+ */
+function loadServiceWorker(pages) {
+  const listeners = [];
+  const downloads = [];
+  const storage = {};
+  const noop = { addListener() {} };
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    URL,
+    Response,
+    setTimeout,
+    setInterval,
+    clearInterval,
+    fetch: async (url) => {
+      downloads.push(String(url));
+      const html = pages[String(url)];
+      return new Response(html ?? "", { status: html == null ? 404 : 200 });
+    },
+    chrome: {
+      runtime: { onInstalled: noop, onMessage: { addListener: (fn) => listeners.push(fn) }, getURL: (p) => p },
+      storage: {
+        local: {
+          get: (keys, cb) => cb(Object.fromEntries(keys.filter((k) => k in storage).map((k) => [k, storage[k]]))),
+          set: (items, cb) => {
+            Object.assign(storage, items);
+            cb?.();
+          }
+        }
+      },
+      tabs: { onRemoved: noop }
+    }
+  });
+  context.importScripts = (...paths) => paths.forEach((p) => vm.runInContext(readRepoFile(p.replace(/^\//, "")), context));
+  vm.runInContext(readRepoFile("background/service-worker.js"), context);
+
+  const send = (message) =>
+    new Promise((resolve) => {
+      listeners.forEach((listener) => listener(message, {}, resolve));
+    });
+  return { send, downloads };
+}
+
+test("extractListing reads every field with the strategy that found it", () => {
+  const { blocked, fields } = extractListing(readFixture("amazon/listings/blk-bold-medium-roast.html"));
+  assert.equal(blocked, false);
+
+  const values = Object.fromEntries(Object.entries(fields).map(([name, f]) => [name, f.value]));
+  assert.deepEqual(values, {
+    title: "BLK & Bold Medium Roast Whole Bean Coffee, 12 oz",
+    imageUrl: "https://m.media-amazon.com/images/I/71blkbold._SX679_.jpg",
+    priceText: "$14.99",
+    unitPriceText: "$1.25/ounce",
+    rating: 4.5,
+    reviewCount: 3210,
+    availability: "in_stock",
+    primeEligible: true
+  });
+
+  const strategies = Object.fromEntries(Object.entries(fields).map(([name, f]) => [name, f.strategy]));
+  assert.deepEqual(strategies, {
+    title: "product-title",
+    imageUrl: "dynamic-image",
+    priceText: "price-to-pay",
+    unitPriceText: "core-price",
+    rating: "review-widget",
+    reviewCount: "review-count-text",
+    availability: "availability-block",
+    primeEligible: "prime-badge"
+  });
+  assert.ok(Object.values(fields).every((f) => f.confidence > 0.5));
+});
+
+test("weaker strategies report lower confidence", () => {
+  const html = `<html><head><title>Amazon.com : Kahawa 1893 Single Origin Coffee : Grocery</title>
+    <meta content="https://m.media-amazon.com/images/I/kahawa.png" property="og:image"></head>
+    <body><span class="a-offscreen">$16.99</span><div id="outOfStock">Currently unavailable.</div></body></html>`;
+  const { fields } = extractListing(html);
+
+  assert.deepEqual(
+    [fields.title.value, fields.title.strategy],
+    ["Kahawa 1893 Single Origin Coffee", "document-title"]
+  );
+  assert.deepEqual([fields.priceText.value, fields.priceText.strategy], ["$16.99", "offscreen-scan"]);
+  assert.deepEqual([fields.availability.value, fields.availability.strategy], ["out_of_stock", "out-of-stock-block"]);
+  assert.deepEqual([fields.primeEligible.value, fields.primeEligible.strategy], [false, "no-prime-badge"]);
+  assert.deepEqual([fields.rating.value, fields.rating.strategy, fields.rating.confidence], [null, null, 0]);
+  assert.ok(fields.title.confidence < 0.95 && fields.primeEligible.confidence < 0.5);
+});
+
+test("robot check pages are reported as blocked", () => {
+  const { blocked, fields } = extractListing("<html><body><h4>Enter the characters you see below</h4></body></html>");
+  assert.equal(blocked, true);
+  assert.ok(Object.values(fields).every((f) => f.value === null));
+});
+
+test("FAIRFINDZ_RESOLVE_PRODUCT answers image and meta from one download", async () => {
+  const worker = loadServiceWorker({ [LISTING_URL]: readFixture("amazon/listings/blk-bold-medium-roast.html") });
+
+  const [first, second] = await Promise.all([
+    worker.send({ type: "FAIRFINDZ_RESOLVE_PRODUCT", productUrl: LISTING_URL }),
+    worker.send({ type: "FAIRFINDZ_RESOLVE_PRODUCT", productUrl: `${LISTING_URL}?ref_=ff_modal` })
+  ]);
+  assert.deepEqual(worker.downloads, [LISTING_URL]);
+  assert.equal(first.imageUrl, "https://m.media-amazon.com/images/I/71blkbold._SX679_.jpg");
+  assert.equal(first.priceText, "$14.99");
+  assert.equal(first.availability, "in_stock");
+  assert.equal(first.strategy.priceText, "price-to-pay");
+  assert.equal(first.confidence.priceText, 0.95);
+  assert.ok(Date.now() - first.fetchedAt.availability < 60 * 1000);
+  assert.deepEqual(second, first);
+
+  await worker.send({ type: "FAIRFINDZ_RESOLVE_PRODUCT", productUrl: LISTING_URL });
+  assert.equal(worker.downloads.length, 1);
+});
+
+test("a listing that fails to load resolves to empty fields", async () => {
+  const worker = loadServiceWorker({});
+  const response = await worker.send({ type: "FAIRFINDZ_RESOLVE_PRODUCT", productUrl: LISTING_URL });
+  assert.equal(response.priceText, null);
+  assert.equal(response.confidence.priceText, 0);
+  assert.equal(response.strategy.imageUrl, null);
+  assert.equal(response.fetchedAt.availability, null);
+});
+
+test("robot check answers are not parsed and repeated ones pause listing requests", async () => {
+  const robotCheck = readFixture("amazon/robot-check.html");
+  const urls = ["B085T2QG5J", "B07D6XZNS5", "B0BT7L2H9V", "B00BWQ7W5A"].map((asin) => `https://www.amazon.com/dp/${asin}`);
+  const worker = loadServiceWorker(Object.fromEntries(urls.map((url) => [url, robotCheck])));
+
+  for (const url of urls) {
+    const response = await worker.send({ type: "FAIRFINDZ_RESOLVE_PRODUCT", productUrl: url });
+    assert.deepEqual([response.priceText, response.imageUrl, response.title], [null, null, null]);
+  }
+  assert.deepEqual(worker.downloads, urls.slice(0, 3), "the fourth listing is not requested while paused");
+});
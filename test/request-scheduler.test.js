@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { readFixture, readRepoFile } from "./helpers/content-script.js";
+
+const PRODUCT_URL = "https://www.amazon.com/dp/B085T2QG5J";
+const ROBOT_CHECK = readFixture("amazon/robot-check.html");
+
+function loadRequestSchedulerModule() {
+  const context = vm.createContext({ console: { warn() {} }, URL });
+  vm.runInContext(readRepoFile("background/request-scheduler.js"), context);
+  return context.FairFindzRequestScheduler;
+}
+
+const RequestScheduler = loadRequestSchedulerModule();
+const { breakerThreshold, breakerCooldownMs } = RequestScheduler.DEFAULT_OPTIONS;
+
+/**
+ * A scheduler over in-memory storage and a clock that only moves when the
+ * scheduler's sleeps end. `answer(url, n)` returns { status, body, headers } for the
+ * n-th download (default: a 200 listing page). Every download is recorded with
+ * the time it started and how many were in flight on its host.
+ */
+function createScheduler({ storage = {}, answer = () => ({ status: 200, body: "<html>listing</html>" }), ...options } = {}) {
+  const clock = { now: 1_000_000 };
+  const downloads = [];
+  const sleeps = [];
+  const inFlight = new Map();
+  const scheduler = RequestScheduler.createRequestScheduler({
+    fetch: async (url) => {
+      const host = new URL(url).host;
+      inFlight.set(host, (inFlight.get(host) || 0) + 1);
+      downloads.push({ url, at: clock.now, concurrent: inFlight.get(host) });
+      const { status, body = "", headers = {} } = answer(url, downloads.length);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight.set(host, inFlight.get(host) - 1);
+      return new Response(body, { status, headers });
+    },
+    isBlocked: (url, html) => html.includes("/errors/validateCaptcha"),
+    storage: {
+      get: (keys, cb) => cb(Object.fromEntries(keys.filter((k) => k in storage).map((k) => [k, storage[k]]))),
+      set: (items, cb) => {
+        Object.assign(storage, structuredClone(items));
+        cb();
+      }
+    },
+    now: () => clock.now,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      const until = clock.now + ms;
+      await new Promise((resolve) => setImmediate(resolve));
+      clock.now = Math.max(clock.now, until);
+    },
+    ...options
+  });
+  return { scheduler, storage, clock, downloads, sleeps };
+}
+
+test("requests are limited and spaced per host", async () => {
+  const { scheduler, downloads } = createScheduler();
+  const urls = [1, 2, 3, 4, 5].map((n) => `${PRODUCT_URL}?n=${n}`);
+  await Promise.all([...urls, "https://www.amazon.ca/dp/B085T2QG5J"].map((url) => scheduler.request(url)));
+
+  const us = downloads.filter((d) => d.url.startsWith("https://www.amazon.com/"));
+  assert.equal(us.length, 5);
+  assert.ok(us.every((d) => d.concurrent <= 2), "at most two requests in flight per host");
+  us.slice(1).forEach((d, i) => assert.ok(d.at - us[i].at >= 500, "request starts are spaced out"));
+
+  const ca = downloads.find((d) => d.url.startsWith("https://www.amazon.ca/"));
+  assert.equal(ca.at, us[0].at, "other hosts do not wait");
+});
+
+test("429 and 503 answers are retried with exponential backoff or Retry-After", async () => {
+  const statuses = [503, 503, 200];
+  const backoff = createScheduler({ answer: (url, n) => ({ status: statuses[n - 1], body: "<html>listing</html>" }) });
+  const { res, html, blocked, paused } = await backoff.scheduler.request(PRODUCT_URL);
+  assert.deepEqual([res.status, html, blocked, paused], [200, "<html>listing</html>", false, false]);
+  assert.equal(backoff.downloads.length, 3);
+  assert.deepEqual(backoff.sleeps, [2000, 4000]);
+
+  const retryAfter = createScheduler({
+    answer: (url, n) => (n === 1 ? { status: 429, headers: { "Retry-After": "7" } } : { status: 200, body: "ok" })
+  });
+  assert.equal((await retryAfter.scheduler.request(PRODUCT_URL)).html, "ok");
+  assert.deepEqual(retryAfter.sleeps, [7000]);
+
+  const givesUp = createScheduler({ answer: () => ({ status: 503 }), breakerThreshold: 10 });
+  const last = await givesUp.scheduler.request(PRODUCT_URL);
+  assert.deepEqual([last.res.status, last.html], [503, null]);
+  assert.equal(givesUp.downloads.length, 4, "the first try and three retries");
+});
+
+test("robot check pages are not retried and repeated pushback pauses the host", async () => {
+  const { scheduler, clock, downloads, storage } = createScheduler({ answer: () => ({ status: 200, body: ROBOT_CHECK }) });
+
+  const first = await scheduler.request(PRODUCT_URL);
+  assert.deepEqual([first.blocked, first.paused, downloads.length], [true, false, 1]);
+
+  for (let i = 1; i < breakerThreshold; i += 1) await scheduler.request(PRODUCT_URL);
+  assert.equal(downloads.length, breakerThreshold);
+  assert.ok(storage[RequestScheduler.STORAGE_KEY]["www.amazon.com"] > clock.now);
+
+  const paused = await scheduler.request(PRODUCT_URL);
+  assert.deepEqual([paused.paused, paused.res, downloads.length], [true, null, breakerThreshold]);
+  assert.equal((await scheduler.request("https://www.amazon.ca/dp/B085T2QG5J")).paused, false, "only the pushing host is paused");
+
+  clock.now += breakerCooldownMs;
+  const probe = await scheduler.request(PRODUCT_URL);
+  assert.equal(probe.blocked, true, "requests resume after the pause");
+  assert.equal((await scheduler.request(PRODUCT_URL)).paused, true, "one more pushback pauses the host again");
+});
+
+test("a paused host stays paused after a service worker restart", async () => {
+  const first = createScheduler({ answer: () => ({ status: 429 }), maxRetries: 0 });
+  for (let i = 0; i < breakerThreshold; i += 1) await first.scheduler.request(PRODUCT_URL);
+
+  const restarted = createScheduler({ storage: first.storage });
+  restarted.clock.now = first.clock.now + 1000;
+  assert.equal((await restarted.scheduler.request(PRODUCT_URL)).paused, true);
+  assert.equal(restarted.downloads.length, 0);
+});
@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture } from "./helpers/content-script.js";
+
+const SEARCH_URL = "https://www.amazon.com/s?k=whole+bean+coffee&ref=nb_sb_noss";
+
+async function loadSearchFixture() {
+  const page = loadContentScript({ html: readFixture("amazon/search-whole-bean-coffee.html"), url: SEARCH_URL });
+  await page.run("loadDomainTaxonomy()");
+  await page.run("loadSubstitutions()");
+  page.window.__ffTestProducts = await page.run("loadBusinessesProducts()");
+  return page;
+}
+
+const chippedAsins = (document) =>
+  Array.from(document.querySelectorAll(".bbd-search-chip")).map((chip) =>
+    chip.closest("[data-asin]").getAttribute("data-asin")
+  );
+
+test("isSearchResultsPage and getSearchQuery read Amazon search URLs", () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    const isSearch = (url) => page.run(`isSearchResultsPage(${JSON.stringify(url)})`);
+    assert.equal(isSearch("https://www.amazon.com/s?k=coffee"), true);
+    assert.equal(isSearch("https://www.amazon.com/s/ref=nb_sb_noss?field-keywords=coffee"), true);
+    assert.equal(isSearch("https://www.amazon.com/s?rh=n%3A16318031"), false, "browse pages without a query");
+    assert.equal(isSearch("https://www.amazon.com/stores/Starbucks/page/1?k=coffee"), false);
+    assert.equal(isSearch("https://www.amazon.com/dp/B00BWQ7W5A"), false);
+    assert.equal(isSearch("https://www.notamazon.com/s?k=coffee"), false);
+    assert.equal(page.run(`getSearchQuery(${JSON.stringify(SEARCH_URL)})`), "whole bean coffee");
+  } finally {
+    page.close();
+  }
+});
+
+test("extractSearchResultTiles reads ASIN, title and the paid price of each tile", async () => {
+  const page = await loadSearchFixture();
+  try {
+    const tiles = page.run("extractSearchResultTiles().map((t) => t.info)");
+    assert.deepEqual(
+      Array.from(tiles, (t) => t.asin),
+      ["B00BWQ7W5A", "B07DNKWB12", "B0CLHCXSB7", "B09WLNTBL3", "B08MUGSET4"]
+    );
+    assert.equal(tiles[0].title, "Starbucks Whole Bean Coffee, Medium Roast Coffee, Pike Place Roast, 100% Arabica, 1 Bag (28 Oz)");
+    assert.equal(tiles[0].priceText, "$17.98", "struck-through list price is ignored");
+    assert.equal(tiles[0].category, "coffee");
+    assert.deepEqual({ ...tiles[0].quantity }, { value: 28, base: "oz" });
+  } finally {
+    page.close();
+  }
+});
+
+test("search results: chips on matching tiles and a banner for the query", async () => {
+  const page = await loadSearchFixture();
+  try {
+    await page.run("showSearchResultsAlternatives()");
+
+    // The catalog's own listing, the coffee table and the mugs get no chip.
+    assert.deepEqual(chippedAsins(page.document).sort(), ["B00BWQ7W5A", "B07DNKWB12"]);
+
+    const banner = page.document.getElementById("bbd-search-banner");
+    assert.ok(banner, "banner is shown");
+    const bannerUrls = Array.from(banner.querySelectorAll(".bbd-search-banner-item")).map((b) =>
+      b.getAttribute("data-product-url")
+    );
+    assert.ok(bannerUrls.length > 0 && bannerUrls.length <= 3);
+    assert.match(bannerUrls[0], /B0CLHCXSB7/, "curated Starbucks substitution leads the banner");
+
+    page.document.querySelector(".bbd-search-chip").click();
+    assert.ok(page.document.getElementById("bbd-modal-overlay"), "chip opens the alternatives modal");
+  } finally {
+    page.close();
+  }
+});
+
+test("search results: a dismissed banner stays closed for the same query", async () => {
+  const page = await loadSearchFixture();
+  try {
+    await page.run("showSearchResultsAlternatives()");
+    page.document.querySelector(".bbd-search-banner-close").click();
+    assert.equal(page.document.getElementById("bbd-search-banner"), null);
+
+    await page.run("showSearchResultsAlternatives()");
+    assert.equal(page.document.getElementById("bbd-search-banner"), null);
+    assert.equal(page.document.querySelectorAll(".bbd-search-chip").length, 2, "chips are not duplicated");
+  } finally {
+    page.close();
+  }
+});
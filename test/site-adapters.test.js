@@ -0,0 +1,181 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, loadPageFixture } from "./helpers/content-script.js";
+
+const WALMART_PRODUCT_URL = "https://www.walmart.com/ip/Starbucks-Whole-Bean-Coffee-Pike-Place-Roast-28-oz/10450996";
+const TARGET_PRODUCT_URL = "https://www.target.com/p/colgate-total-whitening-toothpaste-mint-gel-4-8oz-3pk/-/A-53410102";
+
+const STARBUCKS_SWAP_ID = "3d83509e-8e7c-4432-bdaf-5a19bc25f2cb";
+const TOOTHPASTE_ID = "3067f88d-d0da-48fc-b380-8fcf2ff4873d";
+
+test("getSiteAdapter and getPageType route URLs to the retailer adapters", () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    const adapterFor = (url) => page.run(`getSiteAdapter(${JSON.stringify(url)})?.id ?? null`);
+    const pageType = (url) => page.run(`getPageType(${JSON.stringify(url)})`);
+
+    assert.equal(adapterFor("https://www.amazon.co.uk/dp/B00BWQ7W5A"), "amazon");
+    assert.equal(adapterFor(WALMART_PRODUCT_URL), "walmart");
+    assert.equal(adapterFor(TARGET_PRODUCT_URL), "target");
+    assert.equal(adapterFor("https://www.walmart.com.evil.example/ip/10450996"), null);
+    assert.equal(adapterFor("https://www.bestbuy.com/site/coffee/123.p"), null);
+
+    assert.equal(pageType(WALMART_PRODUCT_URL), "product");
+    assert.equal(pageType("https://www.walmart.com/ip/10450996?athbdg=L1600"), "product");
+    assert.equal(pageType("https://www.walmart.com/search?q=whole+bean+coffee"), "search");
+    assert.equal(pageType("https://www.walmart.com/search"), null);
+    assert.equal(pageType("https://www.walmart.com/cart"), "cart");
+    assert.equal(pageType("https://www.walmart.com/browse/food/coffee/976759_1086446"), null);
+
+    assert.equal(pageType(TARGET_PRODUCT_URL), "product");
+    assert.equal(pageType("https://www.target.com/p/-/A-53410102"), "product");
+    assert.equal(pageType("https://www.target.com/s?searchTerm=toothpaste"), "search");
+    assert.equal(pageType("https://www.target.com/s/toothpaste"), "search");
+    assert.equal(pageType("https://www.target.com/cart"), "cart");
+    assert.equal(pageType("https://www.target.com/c/toothpaste-oral-care-personal-care/-/N-4y6ym"), null);
+
+    assert.equal(page.run(`getSearchQuery("https://www.target.com/s/whitening%20toothpaste")`), "whitening toothpaste");
+    assert.equal(page.run(`getPageProductId(${JSON.stringify(TARGET_PRODUCT_URL)})`), "53410102");
+  } finally {
+    page.close();
+  }
+});
+
+test("registerAdapter rejects adapters missing part of the interface", () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    assert.throws(
+      () => page.run(`FairFindzSiteAdapters.registerAdapter({ id: "bestbuy", matchesUrl: () => false })`),
+      /missing getPageType/
+    );
+    assert.throws(() => page.run(`FairFindzSiteAdapters.registerAdapter(FairFindzSiteAdapters.getAdapterById("amazon"))`), /already registered/);
+  } finally {
+    page.close();
+  }
+});
+
+test("walmart: product page extraction and matching", async () => {
+  const page = await loadPageFixture({
+    retailer: "walmart",
+    fixture: "starbucks-pike-place-whole-bean.html",
+    url: WALMART_PRODUCT_URL
+  });
+  try {
+    assert.equal(page.run("isProductPage()"), true);
+
+    const info = page.extract();
+    assert.equal(info.retailer, "walmart");
+    assert.equal(info.itemId, "10450996");
+    assert.equal(info.asin, null, "only Amazon item ids are ASINs");
+    assert.equal(info.title, "Starbucks Whole Bean Coffee, Medium Roast, Pike Place Roast, 28 oz");
+    assert.equal(info.brand, "Starbucks");
+    assert.equal(info.priceText, "$17.48", "rollback prefix and struck-through price are ignored");
+    assert.equal(info.breadcrumbs, "Food / Coffee / Whole Bean Coffee");
+    assert.equal(info.category, "coffee");
+    assert.ok(info.features.length > 0);
+
+    const { top } = page.match();
+    assert.equal(top[0].product.id, STARBUCKS_SWAP_ID, "brand substitutions apply on every retailer");
+    assert.ok(top[0].priceComparison, "prices compare against the Walmart price");
+  } finally {
+    page.close();
+  }
+});
+
+test("target: product page extraction and matching", async () => {
+  const page = await loadPageFixture({ retailer: "target", fixture: "colgate-total-toothpaste.html", url: TARGET_PRODUCT_URL });
+  try {
+    assert.equal(page.run("isProductPage()"), true);
+
+    const info = page.extract();
+    assert.equal(info.retailer, "target");
+    assert.equal(info.itemId, "53410102");
+    assert.equal(info.title, "Colgate Total Whitening Toothpaste Mint Gel - 4.8oz/3pk");
+    assert.equal(info.brand, "Colgate");
+    assert.equal(info.priceText, "$12.49");
+    assert.equal(info.breadcrumbs, "Target / Personal Care / Oral Care / Toothpaste");
+    assert.ok(info.description.includes("fluoride toothpaste"));
+
+    const ids = Array.from(page.match().top, (m) => m.product.id);
+    assert.ok(ids.includes(TOOTHPASTE_ID));
+  } finally {
+    page.close();
+  }
+});
+
+test("walmart: search tiles get chips and the banner sits above the results", async () => {
+  const page = await loadPageFixture({
+    retailer: "walmart",
+    fixture: "search-whole-bean-coffee.html",
+    url: "https://www.walmart.com/search?q=whole+bean+coffee"
+  });
+  try {
+    const tiles = page.run("extractSearchResultTiles().map((t) => t.info)");
+    assert.deepEqual(Array.from(tiles, (t) => t.itemId), ["10450996", "51372968", "889123456"]);
+    assert.deepEqual(Array.from(tiles, (t) => t.priceText), ["$17.48", "$8.98", "$12.97"]);
+
+    await page.run("showSearchResultsAlternatives()");
+    const chipped = Array.from(page.document.querySelectorAll(".bbd-search-chip"), (chip) =>
+      chip.closest("[data-item-id]").getAttribute("data-item-id")
+    );
+    assert.deepEqual(chipped.sort(), ["10450996", "51372968"]);
+
+    const banner = page.document.getElementById("bbd-search-banner");
+    assert.ok(banner);
+    assert.equal(banner.nextElementSibling?.getAttribute("data-testid"), "item-stack");
+  } finally {
+    page.close();
+  }
+});
+
+test("target: search tiles read the TCIN from the product link", async () => {
+  const page = await loadPageFixture({
+    retailer: "target",
+    fixture: "search-toothpaste.html",
+    url: "https://www.target.com/s?searchTerm=whitening+toothpaste"
+  });
+  try {
+    const tiles = page.run("extractSearchResultTiles().map((t) => t.info)");
+    assert.deepEqual(Array.from(tiles, (t) => t.itemId), ["53410102", "14339497", "81117355"]);
+    assert.equal(tiles[0].priceText, "$12.49", "regular price is ignored");
+  } finally {
+    page.close();
+  }
+});
+
+for (const { retailer, url, itemIds, firstItem, redirectableTotal } of [
+  {
+    retailer: "walmart",
+    url: "https://www.walmart.com/cart",
+    itemIds: ["10450996", "563104112", "2189744555"],
+    firstItem: { priceText: "$17.48", quantity: 2, lineTotal: 34.96 },
+    redirectableTotal: 46.43
+  },
+  {
+    retailer: "target",
+    url: "https://www.target.com/cart",
+    itemIds: ["16947658", "53410102", "82144100"],
+    firstItem: { priceText: "$19.99", quantity: 2, lineTotal: 39.98 },
+    redirectableTotal: 52.47
+  }
+]) {
+  test(`${retailer}: cart items and swap total`, async () => {
+    const page = await loadPageFixture({ retailer, fixture: "cart.html", url });
+    try {
+      assert.equal(page.run("isCartPage()"), true);
+
+      const items = page.run("extractCartItems().map(({ info, quantity, lineTotal }) => ({ ...info, quantity, lineTotal }))");
+      assert.deepEqual(Array.from(items, (i) => i.itemId), itemIds, "saved-for-later items are not part of the cart");
+      assert.equal(items[0].priceText, firstItem.priceText);
+      assert.equal(items[0].quantity, firstItem.quantity);
+      assert.equal(Math.round(items[0].lineTotal * 100) / 100, firstItem.lineTotal);
+
+      page.window.__ffTestProducts = page.products;
+      const result = page.run("matchCartItems(extractCartItems(), __ffTestProducts)");
+      assert.equal(result.itemsWithAlternatives, 2);
+      assert.equal(Math.round(result.redirectableTotal * 100) / 100, redirectableTotal);
+    } finally {
+      page.close();
+    }
+  });
+}
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript } from "./helpers/content-script.js";
+
+const page = loadContentScript({ url: "https://www.amazon.co.uk/" });
+test.after(() => page.close());
+
+const storefrontFor = (url) => page.run(`FairFindzStorefronts.getStorefrontForUrl(${JSON.stringify(url)})?.id ?? null`);
+const parse = (text) => page.run(`FairFindzStorefronts.parsePriceAmount(${JSON.stringify(text)})`);
+const format = (value, id, digits = 2) =>
+  page.run(`FairFindzStorefronts.formatPrice(${value}, FairFindzStorefronts.getStorefrontById("${id}"), { fractionDigits: ${digits} })`);
+
+test("getStorefrontForUrl maps Amazon hosts to storefronts", () => {
+  assert.equal(storefrontFor("https://www.amazon.com/dp/B00BWQ7W5A"), "us");
+  assert.equal(storefrontFor("https://smile.amazon.com/dp/B00BWQ7W5A"), "us");
+  assert.equal(storefrontFor("https://www.amazon.ca/dp/B00BWQ7W5A"), "ca");
+  assert.equal(storefrontFor("https://www.amazon.co.uk/dp/B00BWQ7W5A"), "uk");
+  assert.equal(storefrontFor("https://www.amazon.de/dp/B00BWQ7W5A"), "de");
+  assert.equal(storefrontFor("https://www.amazon.com.mx/dp/B00BWQ7W5A"), "mx");
+  assert.equal(storefrontFor("https://www.amazon.fr/dp/B00BWQ7W5A"), null);
+  assert.equal(storefrontFor("https://www.amazon.com.evil.example/"), null);
+  assert.equal(storefrontFor("chrome-extension://amazon.com/"), null);
+  assert.equal(storefrontFor("not a url"), null);
+});
+
+test("parsePriceAmount reads both decimal conventions", () => {
+  assert.equal(parse("$17.98"), 17.98);
+  assert.equal(parse("CA$1,234.56"), 1234.56);
+  assert.equal(parse("£9.5"), 9.5);
+  assert.equal(parse("17,98 €"), 17.98);
+  assert.equal(parse("1.234,56 €"), 1234.56);
+  assert.equal(parse("$1,234"), 1234);
+  assert.equal(parse("$0.064/oz"), 0.064);
+  assert.equal(parse("$0.00"), null);
+  assert.equal(parse(""), null);
+});
+
+test("formatPrice uses the storefront currency and locale", () => {
+  assert.equal(format(17.98, "us"), "$17.98");
+  assert.equal(format(17.98, "uk"), "£17.98");
+  assert.match(format(17.98, "de"), /^17,98\s€$/);
+  assert.equal(format(0.0642, "us", 3), "$0.064");
+});
+
+test("isPriceText accepts storefront price formats and rejects bare numbers", () => {
+  const isPrice = (text, requireCents = false) =>
+    page.run(`FairFindzStorefronts.isPriceText(${JSON.stringify(text)}, { requireCents: ${requireCents} })`);
+  for (const text of ["$26.99", "$1,234.00", "CA$26.99", "£26.99", "€26.99", "26,99 €", "MX$499.00"]) {
+    assert.equal(isPrice(text, true), true, text);
+  }
+  assert.equal(isPrice("$10"), true);
+  assert.equal(isPrice("$10", true), false, "coupon-style amounts have no cents");
+  assert.equal(isPrice("26.99"), false);
+  assert.equal(isPrice("Save $10"), false);
+});
+
+test("unit prices on the page follow the current storefront", () => {
+  assert.equal(page.run(`formatUnitPrice({ value: 0.64, base: "oz" })`), "£0.64/oz");
+});
@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readFixture, waitFor } from "./helpers/content-script.js";
+
+const SUBSCRIPTIONS_URL = "https://www.amazon.com/auto-deliveries/subscriptionList?ref_=mys_nav_op_D";
+const STARBUCKS_URL = "https://www.amazon.com/dp/B00BWQ7W5A";
+const STARBUCKS_KEY = "amazon:B00BWQ7W5A";
+
+test("Subscribe & Save pages are their own page type", () => {
+  const page = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    const pageType = (url) => page.run(`getPageType(${JSON.stringify(url)})`);
+    assert.equal(pageType(SUBSCRIPTIONS_URL), "subscriptions");
+    assert.equal(pageType("https://www.amazon.com/gp/subscribe-and-save/manager/viewsubscriptions"), "subscriptions");
+    assert.equal(pageType("https://www.amazon.co.uk/auto-deliveries"), "subscriptions");
+    assert.equal(pageType("https://www.amazon.com/auto-deliveries-landing"), null);
+    assert.equal(pageType("https://www.walmart.com/auto-deliveries"), null);
+  } finally {
+    page.close();
+  }
+});
+
+test("product pages report a Subscribe & Save offer", async () => {
+  const page = loadContentScript({ html: readFixture("amazon/starbucks-pike-place-whole-bean.html"), url: STARBUCKS_URL });
+  try {
+    assert.equal(page.run("extractPageProduct().subscriptionOffered"), false);
+
+    const offer = page.document.createElement("div");
+    offer.id = "snsAccordionRowMiddle";
+    page.document.body.appendChild(offer);
+    assert.equal(page.run("extractPageProduct().subscriptionOffered"), true);
+  } finally {
+    page.close();
+  }
+});
+
+test("the subscriptions page stores active subscriptions and lists switches", async () => {
+  const storage = { ff_subscribed_item_keys: ["amazon:B07WGLS6N2"] };
+  const page = loadContentScript({ html: readFixture("amazon/subscriptions.html"), url: SUBSCRIPTIONS_URL, storage });
+  try {
+    const drawer = await waitFor(() => page.document.getElementById("bbd-list-drawer"), "no subscriptions drawer");
+    assert.deepEqual(
+      Array.from(storage.ff_subscribed_item_keys),
+      ["amazon:B01BZQJLMY", "amazon:B07QXM2L5C", STARBUCKS_KEY],
+      "cancelled subscriptions are dropped"
+    );
+
+    assert.equal(drawer.querySelector(".bbd-toast-title").textContent, "Switch your subscriptions");
+    assert.match(drawer.querySelector(".bbd-cart-panel-summary").textContent, /2 of 3 items you subscribe to have/);
+    const rows = Array.from(drawer.querySelectorAll(".bbd-list-row"));
+    assert.deepEqual(
+      rows.map((row) => row.querySelector(".bbd-cart-row-source").textContent),
+      [
+        "Subscribed For: Tide Liquid Laundry Detergent, Original Scent, 64 Loads, 92 fl oz, HE Compatible (Every 2 months)",
+        "Subscribed For: Starbucks Whole Bean Coffee, Medium Roast Coffee, Pike Place Roast, 100% Arabica, 1 Bag (28 Oz) (Every 1 month)"
+      ]
+    );
+    assert.equal(rows[0].querySelector(".bbd-list-replace").textContent, "Switch subscription →");
+  } finally {
+    page.close();
+  }
+});
+
+test("alternatives that offer a subscription go first for subscribed items", async () => {
+  const page = loadContentScript({ url: STARBUCKS_URL, storage: { ff_subscribed_item_keys: [STARBUCKS_KEY] } });
+  try {
+    await page.run("Promise.all([loadProductDatabase(), loadDomainTaxonomy(), loadSubstitutions(), loadSubscriptions()])");
+    const matchIds = async (itemId) =>
+      Array.from(
+        await page.run(`loadProductDatabase().then((products) => matchProducts(buildPageInfo({
+          retailer: "amazon",
+          itemId: "${itemId}",
+          title: "Starbucks Whole Bean Coffee, Medium Roast Coffee, Pike Place Roast, 100% Arabica, 1 Bag (28 Oz)"
+        }), products).scored.map((m) => m.product.id))`)
+      );
+
+    const before = await matchIds("B00BWQ7W5A");
+    assert.ok(before.length > 1);
+    const last = before[before.length - 1];
+    await page.run(`loadProductDatabase().then((products) => { products.find((p) => p.id === "${last}").offersSubscription = true; })`);
+
+    assert.equal((await matchIds("B00BWQ7W5A"))[0], last);
+    assert.deepEqual(await matchIds("B0OTHER000"), before, "items without a subscription keep their order");
+  } finally {
+    page.close();
+  }
+});
+
+test("the modal marks alternatives that offer a subscription", async () => {
+  const page = loadContentScript({ html: readFixture("amazon/starbucks-pike-place-whole-bean.html"), url: STARBUCKS_URL });
+  try {
+    await waitFor(() => page.run("Array.isArray(cachedMatches) && cachedMatches.length"), "no matches computed");
+    page.run("cachedMatches[0].product.offersSubscription = true; createModal({ amazonInfo: cachedAmazonInfo, matches: cachedMatches })");
+
+    const cards = page.document.querySelectorAll(".bbd-product-card");
+    assert.equal(cards[0].querySelector(".bbd-subscription-badge").textContent, "🔁 Offers a subscription");
+    assert.equal(cards[1].querySelector(".bbd-subscription-badge"), null);
+
+    // The Amazon listing offers Subscribe & Save too.
+    page.run("document.getElementById('bbd-modal-overlay').remove(); modalInitialized = false");
+    page.run("createModal({ amazonInfo: { ...cachedAmazonInfo, subscriptionOffered: true }, matches: cachedMatches })");
+    assert.equal(
+      page.document.querySelector(".bbd-product-card .bbd-subscription-badge").textContent,
+      "🔁 Also offers a subscription"
+    );
+  } finally {
+    page.close();
+  }
+});
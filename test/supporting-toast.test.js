@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, waitFor } from "./helpers/content-script.js";
+
+const TRUE_LAUNDRY_URL = "https://www.amazon.com/True-Laundry-Detergent-Concentrated/dp/B09GYQ9SJY";
+const TRUE_LAUNDRY_ID = "a3b8dd87-76b0-47ed-bb21-79a3892531a9";
+const SIGNED_IN = { ff_supabase_session: { access_token: "token", user: { id: "user-1" } } };
+
+/**
+ * Loads a product page and records the requests sent to the user_* tables.
+ * Reads of those tables return no rows; every other request goes to the
+ * offline fetch from loadContentScript.
+ */
+function loadProductPage({ url = TRUE_LAUNDRY_URL, storage = {} } = {}) {
+  const page = loadContentScript({ url, storage });
+  const writes = [];
+  const offlineFetch = page.window.fetch;
+  page.window.fetch = async (input, init = {}) => {
+    const target = String(input);
+    if (!target.includes("/rest/v1/user_")) return offlineFetch(input, init);
+    if (!init.method || init.method === "GET") return new Response("[]", { status: 200 });
+    writes.push({
+      table: new URL(target).pathname.split("/").pop(),
+      method: init.method,
+      body: init.body ? JSON.parse(init.body) : null
+    });
+    return new Response(null, { status: 201 });
+  };
+  return { ...page, storage, writes };
+}
+
+test("catalog listings get the supporting toast with same-brand products", async () => {
+  const page = loadProductPage({ storage: { ...SIGNED_IN } });
+  try {
+    const toast = await waitFor(() => page.document.querySelector("#bbd-toast.bbd-toast-supporting"), "no supporting toast");
+    assert.equal(toast.querySelector(".bbd-support-brand").textContent, "True Laundry");
+    assert.equal(toast.querySelector(".bbd-support-favorite").getAttribute("aria-pressed"), "false");
+
+    const relatedUrls = Array.from(toast.querySelectorAll(".bbd-support-related-item"), (el) =>
+      el.getAttribute("data-product-url")
+    );
+    assert.equal(relatedUrls.length, 2);
+    assert.ok(relatedUrls.every((url) => !url.includes("B09GYQ9SJY")), "the current listing is not suggested");
+
+    const viewed = await waitFor(() => page.writes.find((w) => w.body?.action_type === "viewed"), "no viewed event");
+    assert.equal(viewed.table, "user_history");
+    assert.equal(viewed.body.user_id, "user-1");
+    assert.equal(viewed.body.product_id, TRUE_LAUNDRY_ID);
+    assert.equal(viewed.body.amazon_product_url, TRUE_LAUNDRY_URL);
+  } finally {
+    page.close();
+  }
+});
+
+test("the brand story is shown when the catalog has one", async () => {
+  const page = loadProductPage();
+  try {
+    const products = await page.run("loadProductDatabase()");
+    for (const p of products) {
+      if (p.brand === "True Laundry") p.brandStory = "Founded in a family laundromat.";
+    }
+    await page.run("closeToast(); toastInitialized = false; logProductPageStatus()");
+    const story = await waitFor(() => page.document.querySelector(".bbd-support-story"), "no brand story");
+    assert.equal(story.textContent, "Founded in a family laundromat.");
+  } finally {
+    page.close();
+  }
+});
+
+test("saving to favorites stores the listing and syncs it for signed-in users", async () => {
+  const page = loadProductPage({ storage: { ...SIGNED_IN } });
+  try {
+    const button = await waitFor(() => page.document.querySelector(".bbd-support-favorite"), "no favorite button");
+
+    button.click();
+    await waitFor(() => page.writes.some((w) => w.body?.action_type === "favorited"), "no favorited event");
+    assert.equal(button.getAttribute("aria-pressed"), "true");
+    assert.deepEqual(Array.from(page.storage.ff_favorite_product_ids), [TRUE_LAUNDRY_ID]);
+
+    const saved = page.writes.find((w) => w.table === "user_favorites");
+    assert.equal(saved.method, "POST");
+    assert.deepEqual(saved.body, { user_id: "user-1", product_id: TRUE_LAUNDRY_ID });
+
+    await waitFor(() => !button.disabled, "favorite button stayed disabled");
+    button.click();
+    await waitFor(() => page.writes.some((w) => w.method === "DELETE"), "no favorite removal");
+    assert.deepEqual(Array.from(page.storage.ff_favorite_product_ids), []);
+    assert.equal(page.writes.filter((w) => w.body?.action_type === "favorited").length, 1);
+  } finally {
+    page.close();
+  }
+});
+
+test("guests keep favorites locally and nothing is logged", async () => {
+  const page = loadProductPage();
+  try {
+    const button = await waitFor(() => page.document.querySelector(".bbd-support-favorite"), "no favorite button");
+    button.click();
+    await waitFor(() => page.storage.ff_favorite_product_ids?.length, "favorite not stored");
+    assert.deepEqual(Array.from(page.storage.ff_favorite_product_ids), [TRUE_LAUNDRY_ID]);
+    assert.deepEqual(page.writes, []);
+  } finally {
+    page.close();
+  }
+});
+
+test("in-page updates do not log the view again or bring back a closed toast", async () => {
+  const page = loadProductPage({ storage: { ...SIGNED_IN } });
+  const viewedCount = () => page.writes.filter((w) => w.body?.action_type === "viewed").length;
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+  try {
+    await waitFor(() => page.document.querySelector("#bbd-toast.bbd-toast-supporting"), "no supporting toast");
+    await waitFor(() => viewedCount() === 1, "no viewed event");
+
+    // A variant swap or price block update on the same listing.
+    page.run("onInPageProductChange()");
+    await waitFor(() => page.document.querySelector("#bbd-toast.bbd-toast-supporting"), "the toast was not shown again");
+    await settle();
+    assert.equal(viewedCount(), 1);
+
+    page.document.querySelector("#bbd-toast .bbd-toast-close").click();
+    page.run("onInPageProductChange()");
+    await settle();
+    assert.equal(page.document.querySelector("#bbd-toast"), null, "a closed toast stays closed");
+    assert.equal(viewedCount(), 1);
+  } finally {
+    page.close();
+  }
+});
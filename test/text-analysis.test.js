@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript } from "./helpers/content-script.js";
+
+const page = loadContentScript({ url: "https://www.amazon.com/" });
+test.after(() => page.close());
+
+const tokenize = (text) => Array.from(page.run(`textAnalyzer.tokenize(${JSON.stringify(text)})`));
+
+test("tokenize folds plurals and verb forms onto one stem", () => {
+  assert.deepEqual(tokenize("candles"), tokenize("candle"));
+  assert.deepEqual(tokenize("Gummies"), tokenize("gummy"));
+  assert.deepEqual(tokenize("mopping vacuuming"), tokenize("mop vacuum"));
+  assert.deepEqual(tokenize("Dark Roasted Beans"), tokenize("dark roast bean"));
+  assert.deepEqual(tokenize("glass"), ["glass"]);
+  assert.notDeepEqual(tokenize("Scented"), tokenize("scent"));
+});
+
+test("tokenize folds hyphens and known compounds", () => {
+  assert.deepEqual(tokenize("K-Cup Pods"), tokenize("k cups pod"));
+  assert.deepEqual(tokenize("Keurig K-Cups"), tokenize("keurig kcup"));
+  assert.deepEqual(tokenize("tooth paste"), tokenize("Toothpaste"));
+  assert.deepEqual(tokenize("skin care"), tokenize("skincare"));
+  assert.deepEqual(tokenize("cold-pressed"), tokenize("cold pressed"));
+});
+
+test("tokenize folds diacritics and possessives", () => {
+  assert.deepEqual(tokenize("Café Crème"), tokenize("cafe creme"));
+  assert.deepEqual(tokenize("Women’s Multivitamin"), tokenize("women multivitamin"));
+});
+
+test("createAnalyzer takes a custom stopword list", () => {
+  assert.equal(page.run(`textAnalyzer.isStopword("Ounces")`), true);
+  assert.equal(page.run(`FairFindzText.createAnalyzer({ stopwords: ["roast"] }).isStopword("Roast")`), true);
+  assert.equal(page.run(`FairFindzText.createAnalyzer({ stopwords: ["roast"] }).isStopword("ounces")`), false);
+});
+
+test("domains.json stopwords replace the defaults for fallback keywords", () => {
+  const product = { name: "Pillar Candles Roasted", brand: "Ounces" };
+  const keywords = (data) =>
+    Array.from(page.run(`getEffectiveKeywords(${JSON.stringify(product)}, validateDomainTaxonomy(${JSON.stringify(data)}).analyzer)`));
+  const domains = [{ id: "candle", keywords: ["candle"] }];
+
+  assert.deepEqual(keywords({ domains }), ["Pillar", "Candles", "Roasted"]);
+  assert.deepEqual(keywords({ domains, stopwords: ["roasted"] }), ["Pillar", "Candles", "Ounces"]);
+  assert.throws(() => page.run(`validateDomainTaxonomy(${JSON.stringify({ domains, stopwords: "roasted" })})`), /stopwords/);
+});
+
+test("the Supabase taxonomy takes its stopwords from text_stopwords", async () => {
+  const supabase = loadContentScript({ url: "https://www.amazon.com/" });
+  const tables = {
+    product_domains: [{ id: "candle", label: "candle", keywords: ["candle"] }],
+    text_stopwords: [{ word: "Roasted" }]
+  };
+  supabase.window.fetch = async (input) =>
+    new Response(JSON.stringify(tables[new URL(String(input)).pathname.split("/").pop()] || []), { status: 200 });
+  try {
+    const isStopword = (word) => supabase.run(`loadSupabaseDomainTaxonomy().then((t) => t.analyzer.isStopword("${word}"))`);
+    assert.equal(await isStopword("roasted"), true);
+    assert.equal(await isStopword("ounces"), false);
+
+    tables.text_stopwords = [];
+    assert.equal(await isStopword("ounces"), true, "no rows keeps the defaults");
+  } finally {
+    supabase.close();
+  }
+});
+
+test("the bundled taxonomy detects scented candle and cleaning pages", async () => {
+  await page.run("loadDomainTaxonomy()");
+  assert.deepEqual(Array.from(page.run(`detectDomainsFromText("Lavender Scented Soy Wax")`)), ["candle"]);
+  assert.deepEqual(Array.from(page.run(`detectDomainsFromText("Cleaning Spray Refill")`)), ["household"]);
+});
+
+test("maskPhrases blanks exclusions without joining their neighbours", () => {
+  const masked = page.run(`maskPhrases(textAnalyzer.tokenize("walnut coffee table set"), [textAnalyzer.tokenize("coffee tables")])`);
+  assert.deepEqual(Array.from(masked), ["walnut", "", "", "set"]);
+});
+
+test("detectDomainsFromText matches whole tokens, not substrings", () => {
+  const taxonomy = `validateDomainTaxonomy(${JSON.stringify({
+    domains: [{ id: "oralcare", keywords: ["gum", "toothpaste"] }]
+  })})`;
+  const detect = (text) => Array.from(page.run(`detectDomainsFromText(${JSON.stringify(text)}, ${taxonomy})`));
+  assert.deepEqual(detect("Multivitamin Gummies"), []);
+  assert.deepEqual(detect("Whitening Tooth Paste"), ["oralcare"]);
+});
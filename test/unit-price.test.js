@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, waitFor } from "./helpers/content-script.js";
+
+const page = loadContentScript({ url: "https://www.amazon.com/" });
+test.after(() => page.close());
+
+const quantity = (text) => page.run(`parseProductQuantity(${JSON.stringify(text)})`);
+const plain = (value) => (value == null ? value : { ...value });
+
+test("parseProductQuantity reads sizes and folds units", () => {
+  assert.deepEqual(plain(quantity("Whole Bean Coffee, Pike Place Roast, 1 Bag (28 Oz)")), { value: 28, base: "oz" });
+  assert.deepEqual(plain(quantity("Medium Roast Coffee Beans -12oz")), { value: 12, base: "oz" });
+  assert.deepEqual(plain(quantity("Ground Coffee, 2 lb")), { value: 32, base: "oz" });
+  assert.deepEqual(plain(quantity("Laundry Detergent, 64 fl oz")), { value: 64, base: "floz" });
+  assert.deepEqual(plain(quantity("Original Blend Coffee, 60 Keurig K-Cup Pods")), { value: 60, base: "count" });
+  assert.equal(quantity("Scented Candle, Balsam & Cedar"), null);
+});
+
+test("parseProductQuantity multiplies out multipacks", () => {
+  assert.deepEqual(plain(quantity("Toothpaste, 4.8 oz, Pack of 3")), { value: 14.4, base: "oz" });
+  assert.deepEqual(plain(quantity("Sparkling Water 3 x 12 oz")), { value: 36, base: "oz" });
+  assert.deepEqual(plain(quantity("Snack Bars, 6 Pack")), { value: 6, base: "count" });
+});
+
+test("comparePrices compares per unit when both sizes share a unit", () => {
+  // $15.99 for 12 oz vs $17.98 for 28 oz: cheaper on the shelf, pricier per ounce.
+  const c = page.run(`comparePrices(17.98, 15.99, { amazonQuantity: { value: 28, base: "oz" }, alternativeQuantity: { value: 12, base: "oz" } })`);
+  assert.equal(c.basis, "unit");
+  assert.equal(c.kind, "more");
+  assert.equal(c.label, "+$0.69/oz");
+  assert.ok(c.ratio > 2);
+  assert.equal(page.run(`formatUnitPrice(${JSON.stringify(c.alternativeUnitPrice)})`), "$1.33/oz");
+});
+
+test("comparePrices falls back to the sticker price across different units", () => {
+  const c = page.run(`comparePrices(32.49, 20.99, { amazonQuantity: { value: 60, base: "count" }, alternativeQuantity: { value: 12, base: "oz" } })`);
+  assert.equal(c.basis, "total");
+  assert.equal(c.kind, "cheaper");
+  assert.equal(c.label, "Cheaper");
+});
+
+test("formatUnitPrice keeps small per-count prices readable", () => {
+  assert.equal(page.run(`formatUnitPrice({ value: 0.0213, base: "count" })`), "$0.021/count");
+  assert.equal(page.run(`formatUnitPrice({ value: 0.02, base: "g" })`), "$2.00/100 g");
+});
+
+test("price settings are loaded again after the options or the sign-in change", async () => {
+  const storage = { ff_price_min_ratio: 0.5 };
+  const settingsPage = loadContentScript({ url: "https://www.amazon.com/", storage });
+  try {
+    assert.equal((await settingsPage.run("loadPriceSettings()")).minRatio, 0.5);
+    settingsPage.run("chrome.storage.local.set({ ff_price_min_ratio: 0.8 })");
+    assert.equal((await settingsPage.run("loadPriceSettings()")).minRatio, 0.8);
+
+    const before = settingsPage.run("loadPriceSettings()");
+    settingsPage.run("chrome.storage.local.set({ ff_favorite_product_ids: [] })");
+    assert.equal(settingsPage.run("loadPriceSettings()"), before, "unrelated keys keep the loaded settings");
+    settingsPage.run("chrome.storage.local.set({ ff_guest_mode: true })");
+    assert.notEqual(settingsPage.run("loadPriceSettings()"), before);
+  } finally {
+    settingsPage.close();
+  }
+});
+
+test("the modal shows the listing's live price and unit price", async () => {
+  const modalPage = loadContentScript({ url: "https://www.amazon.com/" });
+  try {
+    modalPage.chrome.runtime.sendMessage = (message, callback) => {
+      if (message?.type === "FAIRFINDZ_RESOLVE_PRODUCT") callback({ priceText: "$14.49", unitPriceText: "$1.21/oz" });
+    };
+    await modalPage.run(`Promise.all([loadProductDatabase(), loadDomainTaxonomy()]).then(([products]) => {
+      const amazonInfo = buildPageInfo({ retailer: "amazon", title: "Whole Bean Coffee, Medium Roast, 1 Bag (28 Oz)", priceText: "$17.98" });
+      createModal({ amazonInfo, matches: matchProducts(amazonInfo, products).top });
+    })`);
+
+    const row = modalPage.document.querySelector(".bbd-product-price-row");
+    await waitFor(() => row.querySelector(".bbd-product-price").textContent === "$14.49", "the live price was not shown");
+    assert.equal(row.querySelector(".bbd-product-unit-price").textContent, "($1.21/oz)");
+  } finally {
+    modalPage.close();
+  }
+});
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadContentScript, readRepoFile } from "./helpers/content-script.js";
+
+const page = loadContentScript({ url: "https://www.amazon.com/" });
+test.after(() => page.close());
+
+const validate = (data) => page.run(`validateBusinessesData(${JSON.stringify(data)})`);
+
+const validProduct = () => ({
+  id: "p1",
+  name: "Example Coffee",
+  brand: "Example",
+  category: "coffee",
+  price: "$15.99",
+  rating: 4.5,
+  reviewCount: 10,
+  imageUrl: "",
+  productUrl: "https://www.amazon.com/dp/B0CLHCXSB7"
+});
+
+test("validateBusinessesData accepts the bundled catalog", () => {
+  const data = JSON.parse(readRepoFile("data/businesses.json"));
+  const products = validate(data);
+  assert.equal(products.length, data.products.length);
+});
+
+test("validateBusinessesData fills optional fields with defaults", () => {
+  const { price, rating, reviewCount, imageUrl, ...rest } = validProduct();
+  const [p] = validate({ products: [rest] });
+  assert.equal(p.price, "");
+  assert.equal(p.rating, 0);
+  assert.equal(p.reviewCount, 0);
+  assert.equal(p.imageUrl, "");
+  assert.equal(p.variant, "");
+  assert.equal(p.productId, "p1", "a listing without productId is its own parent product");
+  assert.equal(p.negativeKeywords.length, 0);
+  assert.equal(p.requiredKeywords.length, 0);
+  assert.equal(p.boostRules.length, 0);
+  assert.deepEqual([...p.marketplaces], ["us"], "a listing is sold where its productUrl points");
+});
+
+test("validateBusinessesData accepts storefront listings and their currencies", () => {
+  const [uk, de] = validate({
+    products: [
+      { ...validProduct(), id: "uk", price: "£12.49", productUrl: "https://www.amazon.co.uk/dp/B0CLHCXSB7" },
+      { ...validProduct(), id: "de", price: "14,99 €", productUrl: "https://www.amazon.de/dp/B0CLHCXSB7", marketplaces: ["de", "uk"] }
+    ]
+  });
+  assert.deepEqual([...uk.marketplaces], ["uk"]);
+  assert.deepEqual([...de.marketplaces], ["de", "uk"]);
+});
+
+test("validateBusinessesData rejects malformed catalogs", () => {
+  const cases = [
+    [null, /must be an object/],
+    [[], /must be an object/],
+    [{}, /missing required 'products' array/],
+    [{ products: [{ ...validProduct(), name: "" }] }, /missing required field 'name'/],
+    [{ products: [validProduct(), validProduct()] }, /Duplicate product id 'p1'/],
+    [{ products: [{ ...validProduct(), price: "15.99" }] }, /price must be empty or a string like/],
+    [{ products: [{ ...validProduct(), rating: 7 }] }, /rating must be 0 or a number between 0 and 5/],
+    [{ products: [{ ...validProduct(), reviewCount: -1 }] }, /reviewCount must be 0 or a non-negative number/],
+    [{ products: [{ ...validProduct(), availability: "maybe" }] }, /availability must be one of in_stock, temporarily_out_of_stock, out_of_stock/],
+    [{ products: [{ ...validProduct(), availabilityCheckedAt: "yesterday" }] }, /availabilityCheckedAt must be an ISO date string/],
+    [{ products: [{ ...validProduct(), imageUrl: "https://example.com/a.jpg" }] }, /imageUrl must be empty or a valid Amazon image URL/],
+    [{ products: [{ ...validProduct(), productUrl: "https://www.amazon.com/s?k=coffee" }] }, /productUrl must be a valid Amazon product URL/],
+    [{ products: [{ ...validProduct(), productUrl: "https://www.amazon.fr/dp/B0CLHCXSB7" }] }, /productUrl must be a valid Amazon product URL/],
+    [{ products: [{ ...validProduct(), marketplaces: ["us", "fr"] }] }, /marketplaces must be a non-empty array of storefront ids/],
+    [{ products: [{ ...validProduct(), marketplaces: [] }] }, /marketplaces must be a non-empty array of storefront ids/],
+    [{ products: [{ ...validProduct(), amazonKeywords: ["ok", " "] }] }, /amazonKeywords must only contain non-empty strings/],
+    [{ products: [{ ...validProduct(), variant: 12 }] }, /variant must be a string if provided/],
+    [{ products: [{ ...validProduct(), negativeKeywords: "collagen" }] }, /negativeKeywords must be an array of strings/],
+    [{ products: [{ ...validProduct(), boostRules: [{ keywords: [], points: 10 }] }] }, /boostRules\[0\]\.keywords must be a non-empty array/],
+    [{ products: [{ ...validProduct(), boostRules: [{ keywords: ["x"], points: "10" }] }] }, /boostRules\[0\]\.points must be a number/]
+  ];
+
+  for (const [data, message] of cases) {
+    assert.throws(() => validate(data), message);
+  }
+});
+
+test("validateDomainTaxonomy trims domain ids before checking for duplicates", () => {
+  const domain = (id) => ({ id, keywords: ["coffee"] });
+  assert.throws(
+    () => page.run(`validateDomainTaxonomy(${JSON.stringify({ domains: [domain("coffee"), domain("coffee ")] })})`),
+    /Duplicate domain id 'coffee'/
+  );
+  const { domains } = page.run(`validateDomainTaxonomy(${JSON.stringify({ domains: [domain(" coffee "), { ...domain("tea"), parent: "coffee" }] })})`);
+  assert.deepEqual(Array.from(domains, (d) => d.id), ["coffee", "tea"]);
+});